@@ -0,0 +1,364 @@
+/**
+ * Analytics Dashboard - Summarises the analytics store and draws the charts
+ *
+ * summarize() turns message_sent events (with fallback_used for older ones)
+ * and saved blueprints into the dashboard figures; render() fills the
+ * dashboard dialog and draws the charts on canvases, without a chart library.
+ */
+class AnalyticsDashboard {
+  constructor() {
+    this.sections = [
+      { key: 'identity', i18n: 'blueprint.sections.identity' },
+      { key: 'habitat', i18n: 'blueprint.sections.habitat' },
+      { key: 'diet', i18n: 'blueprint.sections.diet' },
+      { key: 'skills', i18n: 'blueprint.sections.skills' },
+      { key: 'challenges', i18n: 'blueprint.sections.challenges' },
+      { key: 'message', i18n: 'blueprint.sections.message' },
+      { key: 'future', i18n: 'blueprint.sections.future' }
+    ];
+    this.routes = [
+      { key: 'ai', i18n: 'analytics.route.ai', color: '#06b6d4' },
+      { key: 'grounded', i18n: 'analytics.route.grounded', color: '#498ea3' },
+      { key: 'curated', i18n: 'analytics.route.curated', color: '#fbbf24' }
+    ];
+    this.colors = {
+      bar: '#498ea3',
+      text: '#cbd5e1',
+      grid: 'rgba(255, 255, 255, 0.08)'
+    };
+    this.fontFamily = "'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif";
+  }
+
+  /**
+   * Local calendar day of a date as YYYY-MM-DD
+   */
+  toDayKey(date) {
+    const d = new Date(date);
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  }
+
+  /**
+   * ISO timestamps bounding a range of local days; to is inclusive, so the
+   * upper bound is the start of the following day. Missing ends are null.
+   */
+  getBounds({ from = null, to = null } = {}) {
+    const start = from ? new Date(`${from}T00:00:00`) : null;
+    const end = to ? new Date(`${to}T00:00:00`) : null;
+    if (end) end.setDate(end.getDate() + 1);
+    return {
+      lower: start && !isNaN(start) ? start.toISOString() : null,
+      upper: end && !isNaN(end) ? end.toISOString() : null
+    };
+  }
+
+  /**
+   * Range of the last `days` days including today, as YYYY-MM-DD strings
+   */
+  getRecentRange(days, now = new Date()) {
+    const from = new Date(now);
+    from.setDate(from.getDate() - (days - 1));
+    return { from: this.toDayKey(from), to: this.toDayKey(now) };
+  }
+
+  /**
+   * Dashboard figures for the events and blueprints in a range.
+   * detectTopic(text) classifies messages recorded before topics were stored.
+   */
+  summarize(events = [], blueprints = [], range = {}, detectTopic = null) {
+    const { lower, upper } = this.getBounds(range);
+    const inRange = timestamp => !!timestamp && (!lower || timestamp >= lower) && (!upper || timestamp < upper);
+
+    const scoped = events.filter(event => event && inRange(event.timestamp));
+    const messages = scoped.filter(event => event.type === 'message_sent' && event.data);
+
+    const fellBack = this.findFallbacks(scoped);
+    const topics = new Map();
+    const routes = new Map(this.routes.map(route => [route.key, 0]));
+    const latencies = [];
+    messages.forEach(event => {
+      const { data } = event;
+      let topic = data.topic;
+      if (topic === undefined && detectTopic && data.userMessage) topic = detectTopic(data.userMessage);
+      topic = topic || 'general';
+      topics.set(topic, (topics.get(topic) || 0) + 1);
+
+      const answeredBy = this.getAnsweredBy(data, fellBack.has(event));
+      routes.set(answeredBy, routes.get(answeredBy) + 1);
+
+      if (Number.isFinite(data.latencyMs)) latencies.push(data.latencyMs);
+    });
+
+    // Latest blueprint of each conversation in the range
+    const latest = new Map();
+    blueprints
+      .filter(blueprint => blueprint && blueprint.sections && inRange(blueprint.createdAt))
+      .forEach(blueprint => {
+        const key = blueprint.conversationId || blueprint.id;
+        const current = latest.get(key);
+        if (!current || blueprint.createdAt > current.createdAt) latest.set(key, blueprint);
+      });
+    const saved = Array.from(latest.values());
+
+    return {
+      messages: messages.length,
+      sessions: new Set(scoped.map(event => event.sessionId).filter(Boolean)).size,
+      days: this.countByDay(messages.map(event => event.timestamp), range),
+      topics: Array.from(topics, ([key, count]) => ({ key, count })).sort((a, b) => b.count - a.count),
+      routes: this.routes.map(route => ({ key: route.key, count: routes.get(route.key) })),
+      averageLatency: latencies.length > 0 ? latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length : null,
+      blueprints: saved.length,
+      sections: this.sections.map(section => {
+        const count = saved.filter(blueprint => {
+          const items = blueprint.sections[section.key];
+          return Array.isArray(items) && items.length > 0;
+        }).length;
+        return { key: section.key, count, share: saved.length > 0 ? count / saved.length : 0 };
+      })
+    };
+  }
+
+  /**
+   * Which route answered a message: its recorded source, where a failed AI
+   * request counts as curated. Partial and stopped replies count for their
+   * route; events from before routing policies only tell whether AI mode was on.
+   */
+  getAnsweredBy(data, fellBack = false) {
+    if (fellBack || data.source === 'fallback' || data.source === 'curated') return 'curated';
+    if (this.routes.some(route => route.key === data.source)) return data.source;
+    if (this.routes.some(route => route.key === data.route)) return data.route;
+    return data.aiMode ? 'ai' : 'curated';
+  }
+
+  /**
+   * message_sent events recorded before they stored their source that were
+   * followed by a fallback_used event in the same session, i.e. answered by a
+   * curated reply standing in for the AI
+   */
+  findFallbacks(events) {
+    const fellBack = new Set();
+    const pending = new Map(); // sessionId -> message_sent without a source
+    events
+      .slice()
+      .sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0))
+      .forEach(event => {
+        if (event.type === 'message_sent') {
+          if (event.data && event.data.source === undefined) pending.set(event.sessionId, event);
+          else pending.delete(event.sessionId);
+        } else if (event.type === 'fallback_used' && pending.has(event.sessionId)) {
+          fellBack.add(pending.get(event.sessionId));
+          pending.delete(event.sessionId);
+        }
+      });
+    return fellBack;
+  }
+
+  /**
+   * Messages per local day, with empty days filled in; an open range runs
+   * from the first message to the last (or to today)
+   */
+  countByDay(timestamps, { from = null, to = null } = {}) {
+    const counts = new Map();
+    timestamps.forEach(timestamp => {
+      const day = this.toDayKey(timestamp);
+      counts.set(day, (counts.get(day) || 0) + 1);
+    });
+
+    const known = Array.from(counts.keys()).sort();
+    const first = from || known[0];
+    const last = to || (from ? this.toDayKey(new Date()) : known[known.length - 1]);
+    if (!first || !last || first > last) return [];
+
+    const days = [];
+    const cursor = new Date(`${first}T00:00:00`);
+    for (let day = first; day <= last; day = this.toDayKey(cursor)) {
+      days.push({ date: day, count: counts.get(day) || 0 });
+      cursor.setDate(cursor.getDate() + 1);
+    }
+    return days;
+  }
+
+  /**
+   * Fill the dashboard: elements are { tiles: { messages, sessions, latency, blueprints },
+   * days, topics, routes, sections } with the charts as canvases
+   */
+  render(elements, summary, { t = key => key, locale } = {}) {
+    const tiles = elements.tiles || {};
+    const setTile = (element, value) => {
+      if (element) element.textContent = value;
+    };
+    setTile(tiles.messages, summary.messages.toLocaleString(locale));
+    setTile(tiles.sessions, summary.sessions.toLocaleString(locale));
+    setTile(tiles.blueprints, summary.blueprints.toLocaleString(locale));
+    setTile(tiles.latency, summary.averageLatency === null
+      ? '—'
+      : `${(summary.averageLatency / 1000).toLocaleString(locale, { maximumFractionDigits: 1 })} s`);
+
+    const formatDay = date => new Date(`${date}T00:00:00`).toLocaleDateString(locale, { month: 'short', day: 'numeric' });
+    this.drawColumnChart(elements.days, summary.days.map(day => ({ label: formatDay(day.date), value: day.count })));
+    this.drawBarChart(elements.topics, summary.topics.map(topic => ({ label: topic.key, value: topic.count })));
+    this.drawShareChart(elements.routes, this.routes.map((route, i) => ({
+      label: t(route.i18n),
+      value: summary.routes[i].count,
+      color: route.color
+    })));
+    this.drawBarChart(elements.sections, this.sections.map((section, i) => ({
+      label: t(section.i18n),
+      value: summary.sections[i].share * 100
+    })), { max: 100, format: value => `${Math.round(value)}%` });
+  }
+
+  /**
+   * 2D context sized to the canvas's displayed width and sharp on high-DPI screens
+   */
+  prepareCanvas(canvas) {
+    const ctx = canvas && canvas.getContext ? canvas.getContext('2d') : null;
+    if (!ctx) return null;
+    const width = canvas.clientWidth || canvas.width;
+    const height = Number(canvas.getAttribute('height')) || canvas.clientHeight || canvas.height;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    canvas.style.height = `${height}px`;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = `12px ${this.fontFamily}`;
+    ctx.textBaseline = 'middle';
+    return { ctx, width, height };
+  }
+
+  drawEmpty(ctx, width, height) {
+    ctx.fillStyle = this.colors.text;
+    ctx.textAlign = 'center';
+    ctx.fillText('—', width / 2, height / 2);
+  }
+
+  /**
+   * Vertical bars over time; labels are thinned out to fit
+   */
+  drawColumnChart(canvas, items) {
+    const prepared = this.prepareCanvas(canvas);
+    if (!prepared) return;
+    const { ctx, width, height } = prepared;
+    if (items.length === 0 || items.every(item => item.value === 0)) {
+      this.drawEmpty(ctx, width, height);
+      return;
+    }
+
+    const padding = { top: 16, right: 8, bottom: 22, left: 32 };
+    const chartWidth = width - padding.left - padding.right;
+    const chartHeight = height - padding.top - padding.bottom;
+    const max = Math.max(...items.map(item => item.value));
+    const slot = chartWidth / items.length;
+
+    // Gridlines at zero, half and the maximum
+    ctx.textAlign = 'right';
+    [0, 0.5, 1].forEach(fraction => {
+      const y = padding.top + chartHeight * (1 - fraction);
+      ctx.strokeStyle = this.colors.grid;
+      ctx.beginPath();
+      ctx.moveTo(padding.left, y);
+      ctx.lineTo(width - padding.right, y);
+      ctx.stroke();
+      ctx.fillStyle = this.colors.text;
+      ctx.fillText(String(Math.round(max * fraction)), padding.left - 6, y);
+    });
+
+    const labelEvery = Math.ceil(items.length / Math.max(1, Math.floor(chartWidth / 48)));
+    ctx.textAlign = 'center';
+    items.forEach((item, i) => {
+      const barHeight = max > 0 ? (item.value / max) * chartHeight : 0;
+      const x = padding.left + slot * i;
+      ctx.fillStyle = this.colors.bar;
+      ctx.fillRect(x + slot * 0.15, padding.top + chartHeight - barHeight, Math.max(1, slot * 0.7), barHeight);
+      if (i % labelEvery === 0) {
+        ctx.fillStyle = this.colors.text;
+        ctx.fillText(item.label, x + slot / 2, height - padding.bottom / 2);
+      }
+    });
+  }
+
+  /**
+   * Horizontal bars with the label on the left and the value on the right
+   */
+  drawBarChart(canvas, items, { max = null, format = value => value.toLocaleString() } = {}) {
+    const prepared = this.prepareCanvas(canvas);
+    if (!prepared) return;
+    const { ctx, width, height } = prepared;
+    if (items.length === 0) {
+      this.drawEmpty(ctx, width, height);
+      return;
+    }
+
+    const labelWidth = Math.min(width * 0.35, Math.max(...items.map(item => ctx.measureText(item.label).width)) + 8);
+    const valueWidth = 40;
+    const rowHeight = height / items.length;
+    const barMax = max || Math.max(1, ...items.map(item => item.value));
+    const barSpace = width - labelWidth - valueWidth;
+
+    items.forEach((item, i) => {
+      const y = rowHeight * i + rowHeight / 2;
+      ctx.fillStyle = this.colors.text;
+      ctx.textAlign = 'right';
+      ctx.fillText(item.label, labelWidth - 8, y, labelWidth - 8);
+      ctx.fillStyle = this.colors.grid;
+      ctx.fillRect(labelWidth, y - rowHeight * 0.3, barSpace, rowHeight * 0.6);
+      ctx.fillStyle = this.colors.bar;
+      ctx.fillRect(labelWidth, y - rowHeight * 0.3, barSpace * Math.min(1, item.value / barMax), rowHeight * 0.6);
+      ctx.fillStyle = this.colors.text;
+      ctx.textAlign = 'left';
+      ctx.fillText(format(item.value), labelWidth + barSpace + 6, y);
+    });
+  }
+
+  /**
+   * Donut of shares with a legend of labels and percentages
+   */
+  drawShareChart(canvas, items) {
+    const prepared = this.prepareCanvas(canvas);
+    if (!prepared) return;
+    const { ctx, width, height } = prepared;
+    const total = items.reduce((sum, item) => sum + item.value, 0);
+    if (total === 0) {
+      this.drawEmpty(ctx, width, height);
+      return;
+    }
+
+    const radius = Math.min(height / 2 - 8, width / 4);
+    const cx = radius + 8;
+    const cy = height / 2;
+    let angle = -Math.PI / 2;
+    items.forEach(item => {
+      const sweep = (item.value / total) * Math.PI * 2;
+      ctx.fillStyle = item.color;
+      ctx.beginPath();
+      ctx.moveTo(cx, cy);
+      ctx.arc(cx, cy, radius, angle, angle + sweep);
+      ctx.closePath();
+      ctx.fill();
+      angle += sweep;
+    });
+    // Punch out the middle to make a donut
+    ctx.save();
+    ctx.globalCompositeOperation = 'destination-out';
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius * 0.55, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+
+    const legendX = cx + radius + 20;
+    const lineHeight = 22;
+    const top = cy - (items.length * lineHeight) / 2 + lineHeight / 2;
+    ctx.textAlign = 'left';
+    items.forEach((item, i) => {
+      const y = top + lineHeight * i;
+      ctx.fillStyle = item.color;
+      ctx.fillRect(legendX, y - 6, 12, 12);
+      ctx.fillStyle = this.colors.text;
+      ctx.fillText(`${item.label} ${Math.round((item.value / total) * 100)}%`, legendX + 18, y, width - legendX - 18);
+    });
+  }
+}
+
+// Export for use in other modules
+window.AnalyticsDashboard = AnalyticsDashboard;
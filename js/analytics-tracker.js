@@ -0,0 +1,115 @@
+/**
+ * Analytics Tracker - Typed analytics events with a privacy mode and retention
+ *
+ * Every event type lists the fields it may carry; anything else is dropped.
+ * Fields holding what the user or Polar wrote are marked as content and are
+ * left out in privacy mode, so only metadata is stored. Events older than the
+ * retention period are pruned through the analytics store's timestamp index.
+ */
+class AnalyticsTracker {
+  constructor(db) {
+    this.db = db;
+    this.privacyMode = false;
+    this.retentionDays = 0; // 0 = keep events forever
+    this.sessionKey = 'polarSessionTracked';
+
+    this.schema = {
+      session_start: {
+        fields: ['lang', 'aiMode', 'policy', 'provider', 'model', 'privacyMode']
+      },
+      message_sent: {
+        fields: ['conversationId', 'lang', 'aiMode', 'policy', 'route', 'source', 'topic', 'latencyMs', 'messageLength', 'voice'],
+        content: ['userMessage', 'botResponse']
+      },
+      response_source: {
+        fields: ['conversationId', 'source', 'route', 'policy', 'topic', 'provider', 'model', 'streamed',
+          'latencyMs', 'promptTokens', 'completionTokens', 'tokensEstimated', 'responseLength']
+      },
+      ai_error: {
+        fields: ['provider', 'model', 'streamed', 'error']
+      },
+      fallback_used: {
+        fields: ['reason', 'errorKind', 'topic', 'provider', 'model']
+      },
+      blueprint_generated: {
+        fields: ['conversationId', 'lang', 'method', 'fallback', 'messageCount', 'sections', 'items']
+      },
+      export: {
+        fields: ['format', 'scope', 'includeBlueprint', 'messageCount']
+      },
+      language_changed: {
+        fields: ['from', 'to']
+      },
+      voice_used: {
+        fields: ['lang', 'messageLength']
+      },
+      intake_completed: {
+        fields: ['conversationId', 'messageCount']
+      }
+    };
+  }
+
+  configure({ privacyMode, retentionDays } = {}) {
+    if (privacyMode !== undefined) this.privacyMode = !!privacyMode;
+    if (retentionDays !== undefined) {
+      const days = parseInt(retentionDays, 10);
+      this.retentionDays = Number.isFinite(days) && days > 0 ? days : 0;
+    }
+  }
+
+  /**
+   * The stored form of an event: only the fields of its type, without
+   * content in privacy mode. Throws for an unknown type.
+   */
+  buildEvent(type, data = {}) {
+    const schema = this.schema[type];
+    if (!schema) throw new Error(`Unknown analytics event type "${type}"`);
+
+    const fields = this.privacyMode ? schema.fields : schema.fields.concat(schema.content || []);
+    const event = {};
+    fields.forEach(field => {
+      if (data[field] !== undefined) event[field] = data[field];
+    });
+    return event;
+  }
+
+  /**
+   * Record an event; failures are logged and never reach the caller
+   */
+  async track(type, data = {}) {
+    try {
+      await this.db.saveAnalytics(type, this.buildEvent(type, data));
+    } catch (error) {
+      console.error(`Failed to record analytics event ${type}:`, error);
+    }
+  }
+
+  /**
+   * Record session_start once per browser session
+   */
+  async startSession(data = {}) {
+    try {
+      if (sessionStorage.getItem(this.sessionKey)) return false;
+      sessionStorage.setItem(this.sessionKey, 'true');
+    } catch (_) {}
+    await this.track('session_start', data);
+    return true;
+  }
+
+  /**
+   * Delete events older than the retention period; returns how many were removed
+   */
+  async prune(now = new Date()) {
+    if (!this.retentionDays) return 0;
+    const cutoff = new Date(now.getTime() - this.retentionDays * 24 * 60 * 60 * 1000);
+    try {
+      return await this.db.deleteAnalyticsBefore(cutoff.toISOString());
+    } catch (error) {
+      console.error('Failed to prune analytics:', error);
+      return 0;
+    }
+  }
+}
+
+// Export for use in other modules
+window.AnalyticsTracker = AnalyticsTracker;
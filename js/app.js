@@ -86,8 +86,7 @@ class PolarBearApp {
         // Load the most recent conversation
         const latestConversation = conversations[conversations.length - 1];
         if (latestConversation.messages && latestConversation.messages.length > 0) {
-          this.chatManager.messages = latestConversation.messages;
-          this.displayConversation(latestConversation.messages);
+          this.chatManager.loadConversation(latestConversation);
         }
       }
     } catch (error) {
@@ -95,22 +94,6 @@ class PolarBearApp {
     }
   }
 
-  /**
-   * Display conversation messages
-   */
-  displayConversation(messages) {
-    // Clear welcome message
-    const welcomeMessage = document.getElementById('chatContainer').querySelector('.welcome-message');
-    if (welcomeMessage) {
-      welcomeMessage.remove();
-    }
-
-    // Display each message
-    messages.forEach(msg => {
-      this.chatManager.addMessage(msg.content, msg.role === 'user');
-    });
-  }
-
   /**
    * Setup global error handling
    */
@@ -0,0 +1,332 @@
+/**
+ * Blueprint Exporter - Exports a Conversation Blueprint as Markdown, a printable
+ * certificate page (HTML / PDF) or a PNG card drawn on a canvas
+ *
+ * A blueprint here is { order, sections, starred, lang, title, generatedAt }, with
+ * sections already in the language being exported.
+ */
+class BlueprintExporter {
+  constructor() {
+    this.formats = {
+      markdown: { extension: 'md', mimeType: 'text/markdown' },
+      html: { extension: 'html', mimeType: 'text/html' },
+      png: { extension: 'png', mimeType: 'image/png' }
+    };
+    this.card = {
+      width: 1200,
+      padding: 56,
+      gap: 24,
+      lineHeight: 28,
+      fontFamily: "'Inter', -apple-system, 'Segoe UI', sans-serif"
+    };
+  }
+
+  /**
+   * Translate a UI key in the blueprint's language, falling back to the given text
+   */
+  t(blueprint, key, fallback) {
+    return (window.getTranslation && window.getTranslation(key, blueprint.lang || 'en')) || fallback;
+  }
+
+  /**
+   * All seven sections in display order; empty ones have no items
+   */
+  getSections(blueprint) {
+    return blueprint.order.map(section => {
+      const texts = (blueprint.sections && blueprint.sections[section.key]) || [];
+      const starred = (blueprint.starred && blueprint.starred[section.key]) || [];
+      return {
+        label: this.t(blueprint, section.i18n, section.key),
+        items: texts.map((text, i) => ({ text, starred: !!starred[i] }))
+      };
+    });
+  }
+
+  /**
+   * Long date in the blueprint's language
+   */
+  getDate(blueprint) {
+    const locale = LanguagePacks.getLocale(blueprint.lang);
+    return new Date(blueprint.generatedAt || Date.now()).toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric' });
+  }
+
+  getTitle(blueprint) {
+    return this.t(blueprint, 'blueprint.title', 'Conversation Blueprint');
+  }
+
+  getReflection(blueprint) {
+    return this.t(blueprint, 'blueprint.reflection', "Here's what I learned about the polar bear today.");
+  }
+
+  toMarkdown(blueprint) {
+    const lines = [`# ${this.getTitle(blueprint)}`, ''];
+    if (blueprint.title) lines.push(`**${blueprint.title}**`, '');
+    lines.push(`_${this.getDate(blueprint)}_`, '');
+
+    this.getSections(blueprint).forEach(section => {
+      lines.push(`## ${section.label}`, '');
+      if (section.items.length === 0) {
+        lines.push('—');
+      }
+      section.items.forEach(item => lines.push(`- ${item.starred ? '★ ' : ''}${item.text}`));
+      lines.push('');
+    });
+
+    lines.push(`> ${this.getReflection(blueprint)}`, '');
+    return lines.join('\n');
+  }
+
+  /**
+   * Certificate-style page sized for one printed sheet.
+   * autoPrint opens the print dialog once the page has loaded.
+   */
+  toHtml(blueprint, { autoPrint = false } = {}) {
+    const esc = (str) => this.escapeHtml(str);
+    const lang = blueprint.lang || 'en';
+
+    let body = '<main class="certificate">';
+    body += '<div class="badge">🐻‍❄️</div>';
+    body += `<h1>${esc(this.getTitle(blueprint))}</h1>`;
+    if (blueprint.title) body += `<p class="subtitle">${esc(blueprint.title)}</p>`;
+    body += `<p class="date">${esc(this.getDate(blueprint))}</p>`;
+    body += '<div class="sections">';
+    this.getSections(blueprint).forEach(section => {
+      body += `<section><h2>${esc(section.label)}</h2>`;
+      if (section.items.length === 0) {
+        body += '<p class="none">—</p>';
+      } else {
+        body += '<ul>';
+        section.items.forEach(item => {
+          body += `<li${item.starred ? ' class="starred"' : ''}>${item.starred ? '★ ' : ''}${esc(item.text)}</li>`;
+        });
+        body += '</ul>';
+      }
+      body += '</section>';
+    });
+    body += '</div>';
+    body += `<p class="reflection">${esc(this.getReflection(blueprint))}</p>`;
+    body += '</main>';
+    body += `<button class="print-button" onclick="window.print()">${esc(this.t(blueprint, 'export.print', 'Print / Save as PDF'))}</button>`;
+
+    const script = autoPrint ? '\n<script>window.addEventListener(\'load\', function () { window.print(); });</script>' : '';
+
+    return `<!DOCTYPE html>
+<html lang="${esc(lang)}">
+<head>
+<meta charset="UTF-8">
+<title>${esc(this.getTitle(blueprint))} - ${esc(this.getDate(blueprint))}</title>
+<style>
+  @page { size: A4; margin: 12mm; }
+  body { font-family: 'Inter', -apple-system, 'Segoe UI', sans-serif; color: #0f172a; margin: 32px auto; max-width: 820px; padding: 0 16px; }
+  .certificate { border: 6px double #498ea3; border-radius: 16px; padding: 28px 36px; text-align: center; }
+  .badge { font-size: 2.6rem; }
+  h1 { font-size: 1.9rem; margin: 4px 0; letter-spacing: 0.02em; }
+  .subtitle { font-size: 1.05rem; margin: 4px 0; }
+  .date { color: #64748b; margin: 4px 0 20px; }
+  .sections { display: grid; grid-template-columns: 1fr 1fr; gap: 12px; text-align: left; }
+  section { border: 1px solid #cbd5e1; border-radius: 10px; padding: 8px 14px; page-break-inside: avoid; break-inside: avoid; }
+  section:last-child:nth-child(odd) { grid-column: span 2; }
+  h2 { font-size: 1rem; color: #498ea3; margin: 4px 0; }
+  ul { margin: 4px 0; padding-left: 18px; }
+  li { margin: 2px 0; }
+  li.starred { font-weight: 600; list-style: none; margin-left: -18px; }
+  .none { color: #94a3b8; margin: 4px 0; }
+  .reflection { font-style: italic; font-size: 1.1rem; margin-top: 24px; }
+  .print-button { display: block; margin: 16px auto; padding: 8px 14px; border-radius: 8px; border: 1px solid #498ea3; background: #498ea3; color: white; cursor: pointer; }
+  @media print {
+    body { margin: 0; max-width: none; padding: 0; }
+    .print-button { display: none; }
+    .certificate { padding: 18px 24px; }
+  }
+</style>
+</head>
+<body>
+${body}${script}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Split text into lines no wider than maxWidth for the context's current font
+   */
+  wrapText(ctx, text, maxWidth) {
+    const lines = [];
+    let line = '';
+    String(text).split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? line + ' ' + word : word;
+      if (ctx.measureText(candidate).width <= maxWidth) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+      // Break words that are wider than a whole line
+      line = '';
+      for (const char of word) {
+        if (line && ctx.measureText(line + char).width > maxWidth) {
+          lines.push(line);
+          line = '';
+        }
+        line += char;
+      }
+    });
+    if (line) lines.push(line);
+    return lines.length > 0 ? lines : [''];
+  }
+
+  /**
+   * Draw the blueprint as a card: title and date, the seven sections in two
+   * columns, and the reflection line at the bottom
+   */
+  toCanvas(blueprint) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext ? canvas.getContext('2d') : null;
+    if (!ctx) {
+      throw new Error('Image export is not supported in this browser.');
+    }
+
+    const { width, padding, gap, lineHeight, fontFamily } = this.card;
+    const columnWidth = (width - padding * 2 - gap) / 2;
+    const boxPadding = 18;
+    const headingHeight = 36;
+    const itemFont = `18px ${fontFamily}`;
+
+    // Measure every section before sizing the canvas
+    ctx.font = itemFont;
+    const boxes = this.getSections(blueprint).map(section => {
+      const lines = [];
+      if (section.items.length === 0) lines.push({ text: '—', starred: false });
+      section.items.forEach(item => {
+        this.wrapText(ctx, (item.starred ? '★ ' : '• ') + item.text, columnWidth - boxPadding * 2)
+          .forEach(text => lines.push({ text, starred: item.starred }));
+      });
+      return { label: section.label, lines, height: boxPadding * 2 + headingHeight + lines.length * lineHeight };
+    });
+
+    const rows = [];
+    for (let i = 0; i < boxes.length; i += 2) {
+      rows.push(boxes.slice(i, i + 2));
+    }
+    const rowHeights = rows.map(row => Math.max(...row.map(box => box.height)));
+    const headerHeight = blueprint.title ? 170 : 140;
+    const footerHeight = 90;
+    const height = headerHeight + rowHeights.reduce((sum, h) => sum + h + gap, 0) + footerHeight;
+
+    canvas.width = width;
+    canvas.height = height;
+
+    const background = ctx.createLinearGradient(0, 0, 0, height);
+    background.addColorStop(0, '#0f172a');
+    background.addColorStop(1, '#1e3a4f');
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, width, height);
+    ctx.strokeStyle = '#498ea3';
+    ctx.lineWidth = 6;
+    ctx.strokeRect(12, 12, width - 24, height - 24);
+
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `bold 40px ${fontFamily}`;
+    ctx.fillText(this.getTitle(blueprint), width / 2, padding);
+    let y = padding + 54;
+    if (blueprint.title) {
+      ctx.font = `22px ${fontFamily}`;
+      ctx.fillText(this.wrapText(ctx, blueprint.title, width - padding * 2)[0], width / 2, y);
+      y += 32;
+    }
+    ctx.fillStyle = '#cbd5e1';
+    ctx.font = `20px ${fontFamily}`;
+    ctx.fillText(this.getDate(blueprint), width / 2, y);
+
+    ctx.textAlign = 'left';
+    y = headerHeight;
+    rows.forEach((row, r) => {
+      row.forEach((box, c) => {
+        // A last section on its own spans both columns
+        const x = padding + c * (columnWidth + gap);
+        const boxWidth = row.length === 1 ? width - padding * 2 : columnWidth;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.06)';
+        ctx.fillRect(x, y, boxWidth, rowHeights[r]);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x, y, boxWidth, rowHeights[r]);
+
+        ctx.fillStyle = '#7cc4d8';
+        ctx.font = `bold 22px ${fontFamily}`;
+        ctx.fillText(box.label, x + boxPadding, y + boxPadding);
+        box.lines.forEach((line, i) => {
+          ctx.fillStyle = line.starred ? '#fbbf24' : '#e2e8f0';
+          ctx.font = (line.starred ? 'bold ' : '') + itemFont;
+          ctx.fillText(line.text, x + boxPadding, y + boxPadding + headingHeight + i * lineHeight);
+        });
+      });
+      y += rowHeights[r] + gap;
+    });
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `italic 24px ${fontFamily}`;
+    ctx.fillText(this.getReflection(blueprint), width / 2, height - footerHeight + 20);
+
+    return canvas;
+  }
+
+  escapeHtml(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  getFileName(blueprint, format) {
+    const date = new Date(blueprint.generatedAt || Date.now()).toISOString().split('T')[0];
+    return `polar-bear-blueprint-${blueprint.lang || 'en'}-${date}.${this.formats[format].extension}`;
+  }
+
+  downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Export a blueprint as a file download
+   */
+  async download(format, blueprint) {
+    const fileName = this.getFileName(blueprint, format);
+    if (format === 'png') {
+      const canvas = this.toCanvas(blueprint);
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+      if (!blob) throw new Error('Could not create the image.');
+      this.downloadBlob(blob, fileName);
+      return;
+    }
+
+    const content = format === 'markdown' ? this.toMarkdown(blueprint) : this.toHtml(blueprint);
+    this.downloadBlob(new Blob([content], { type: `${this.formats[format].mimeType};charset=utf-8` }), fileName);
+  }
+
+  /**
+   * Open the certificate page in a new window with the print dialog;
+   * downloads the page instead when pop-ups are blocked
+   */
+  async print(blueprint) {
+    const win = window.open('', '_blank');
+    if (!win) {
+      await this.download('html', blueprint);
+      return;
+    }
+    win.document.open();
+    win.document.write(this.toHtml(blueprint, { autoPrint: true }));
+    win.document.close();
+  }
+}
+
+// Export for use in other modules
+window.BlueprintExporter = BlueprintExporter;
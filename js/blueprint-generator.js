@@ -15,62 +15,22 @@
         { key: 'future', i18n: 'blueprint.sections.future' }
       ];
 
-      // Simple keyword maps for EN/ES
-      this.keywords = {
-        identity: [
-          // EN
-          'your name', 'name', 'who are you', 'who are u', 'who are', 'introduce', 'identity',
-          // ES
-          'cómo te llamas', 'como te llamas', 'nombre', 'quién eres', 'quien eres', 'te llamas'
-        ],
-        habitat: [
-          // EN
-          'where do you live', 'where are you', 'where in the arctic', 'where', 'live', 'home', 'location', 'habitat', 'territory', 'sea ice', 'ice floes', 'north', 'arctic',
-          // ES
-          'dónde vives', 'donde vives', 'vives', 'hogar', 'lugar', 'hábitat', 'habitat', 'territorio', 'ártico', 'artico', 'hielo'
-        ],
-        diet: [
-          // EN
-          'what do you eat', 'eat', 'food', 'diet', 'meal', 'hunt', 'hunting', 'prey', 'seal', 'seals', 'blubber', 'fish',
-          // ES
-          'qué comes', 'que comes', 'comes', 'comer', 'comida', 'dieta', 'cazar', 'caza', 'presa', 'presas', 'foca', 'focas'
-        ],
-        skills: [
-          // EN
-          'skills', 'special skills', 'survive', 'survival', 'adapt', 'adaptation', 'adaptations', 'ability', 'abilities', 'fur', 'swim', 'paws', 'claws', 'smell', 'run', 'fast', 'strong',
-          // ES
-          'habilidades', 'especiales', 'sobrevives', 'sobrevivir', 'adaptaciones', 'adaptación', 'adaptacion', 'capacidad', 'capacidades', 'pelaje', 'nadar', 'patas', 'garras', 'olfato', 'correr'
-        ],
-        challenges: [
-          // EN
-          'biggest problem', 'what problems', 'what challenges', 'problem', 'problems', 'challenge', 'challenges', 'difficult', 'concern', 'issue', 'trouble', 'hardest', 'struggle', 'melting', 'climate change', 'warming', 'ice is', 'sea ice',
-          // ES
-          'mayor problema', 'problema', 'problemas', 'desafío', 'desafios', 'desafío', 'desafíos', 'dificultad', 'preocupación', 'preocupaciones', 'calentamiento', 'cambio climático', 'cambio climatico', 'deshielo', 'hielo'
-        ],
-        message: [
-          // EN
-          'message to humans', 'what should humans know', 'what do you want humans', 'humans should', 'tell humans', 'message', 'humans', 'people should',
-          // ES
-          'mensaje a los humanos', 'mensaje para los humanos', 'humanos deben', 'qué quieres que los humanos', 'que quieres que los humanos', 'mensaje', 'humanos'
-        ],
-        future: [
-          // EN
-          'what do you hope', 'hope', 'dream', 'future', 'vision', 'wish', 'tomorrow', 'ahead',
-          // ES
-          'futuro', 'esperas', 'esperanza', 'sueñas', 'sueños', 'sueños', 'sueño', 'deseas', 'deseo', 'mañana'
-        ]
-      };
+      // Section keywords of every language pack
+      this.keywords = LanguagePacks.getBlueprintKeywords();
 
-      this.lastSectionsSource = null; // stores un-translated sentences
+      this.maxItemLength = 300;
+      this.lastExtraction = null; // { sources, method, fallback, generatedAt } of the last rendered blueprint
+      this.currentRecord = null; // blueprint being shown and edited: { id, conversationId, lang, items, dismissed, ... }
+      this.displaySections = null; // currentRecord.sections translated for display, or null to show them as stored
+      this.dragItemId = null;
+      this.view = 'blueprint'; // 'blueprint' | 'history' | 'diff'
       this.translationCache = new Map(); // key: JSON.stringify(sections)+lang
+      this.phraseTable = null;
+      this.phraseTableKey = null;
     }
 
     getCurrentLanguage() {
-      try {
-        return (localStorage.getItem('polar.lang') || document.documentElement.getAttribute('lang') || 'en').toLowerCase();
-      } catch (_) {
-        return (document.documentElement.getAttribute('lang') || 'en').toLowerCase();
-      }
+      return LanguagePacks.getCurrentLanguage();
     }
 
     async getLatestMessages() {
@@ -111,6 +71,14 @@
     }
 
     buildSections(messages) {
+      return this.extractByKeywords(messages).sections;
+    }
+
+    /**
+     * Keyword extractor: files assistant sentences under sections.
+     * sources[key][i] lists the message indices item i came from.
+     */
+    extractByKeywords(messages) {
       const sections = {
         identity: new Set(),
         habitat: new Set(),
@@ -120,28 +88,142 @@
         message: new Set(),
         future: new Set()
       };
-      const assistantMessages = messages.filter(m => (m && (m.role === 'assistant' || m.role === 'bot')));
+      const sources = {};
 
-      for (const msg of assistantMessages) {
+      messages.forEach((msg, index) => {
+        if (!msg || (msg.role !== 'assistant' && msg.role !== 'bot')) return;
+        // Answers given during a guided intake are tagged with their section
+        const tagged = msg.section && sections[msg.section] ? msg.section : null;
         const sentences = this.splitIntoSentences(msg.content || '');
         for (const sentence of sentences) {
-          const section = this.detectSectionForText(sentence.toLowerCase());
+          const section = tagged || this.detectSectionForText(sentence.toLowerCase());
           if (section && sections[section]) {
-            if (sections[section].size < this.maxItemsPerSection) {
+            if (sections[section].size < this.maxItemsPerSection && !sections[section].has(sentence)) {
               sections[section].add(sentence);
+              (sources[section] = sources[section] || []).push([index]);
             }
           }
         }
-      }
+      });
 
       // Convert sets to arrays for rendering
       const result = {};
       for (const key of Object.keys(sections)) {
         result[key] = Array.from(sections[key]);
+        sources[key] = sources[key] || [];
       }
-      return result;
+      return { sections: result, sources };
+    }
+
+    isAIExtractionEnabled() {
+      const app = window.polarBearApp;
+      return !!(app && app.chatManager && app.chatManager.aiBlueprint);
+    }
+
+    /**
+     * Extract a blueprint with the configured model when AI extraction is on,
+     * falling back to the keyword extractor offline or on invalid output.
+     * Returns { sections, sources, method: 'ai' | 'keywords', fallback }.
+     */
+    async extract(messages, lang) {
+      const svc = this.getAIService();
+      const useAI = this.isAIExtractionEnabled() && svc && svc.isAvailable && messages.length > 0;
+
+      if (useAI) {
+        try {
+          const result = await this.extractWithAI(messages, lang, svc);
+          return { ...result, method: 'ai', fallback: false };
+        } catch (error) {
+          console.warn('AI blueprint extraction failed, using keywords:', error);
+        }
+      }
+
+      return { ...this.extractByKeywords(messages), method: 'keywords', fallback: useAI };
+    }
+
+    async extractWithAI(messages, lang, svc) {
+      const targetName = LanguagePacks.get(lang).englishName;
+      const keys = this.sectionsOrder.map(section => section.key);
+      const transcript = messages
+        .map((m, index) => `[${index}] ${m.role === 'user' ? 'User' : 'Polar'}: ${String(m.content || '').replace(/\s+/g, ' ')}`)
+        .join('\n');
+
+      const system = `You extract a Conversation Blueprint from an interview with Polar, a polar bear. Sections: ${keys.join(', ')}. ` +
+        `Return ONLY valid JSON, no commentary, matching this schema: ` +
+        `{"sections": {"<section>": [{"text": string, "sources": [integer, ...]}]}}. ` +
+        `Use only the section names listed. Each item is a short fact stated in the transcript, at most ${this.maxItemsPerSection} items per section, written in ${targetName}. ` +
+        `"sources" lists the [n] numbers of the transcript messages that support the item. Use an empty list for a section with no facts.`;
+
+      const content = await svc.getProvider().complete([
+        { role: 'system', content: system },
+        { role: 'user', content: transcript }
+      ], { maxTokens: 1200, temperature: 0 });
+
+      const jsonMatch = content.match(/\{[\s\S]*\}/);
+      const parsed = JSON.parse(jsonMatch ? jsonMatch[0] : content);
+      return this.validateExtraction(parsed, messages.length);
+    }
+
+    /**
+     * Check model output against the blueprint schema; throws on anything unexpected
+     */
+    validateExtraction(parsed, messageCount) {
+      if (!parsed || typeof parsed !== 'object' || !parsed.sections || typeof parsed.sections !== 'object' || Array.isArray(parsed.sections)) {
+        throw new Error('Blueprint JSON has no sections object');
+      }
+
+      const keys = this.sectionsOrder.map(section => section.key);
+      const unknown = Object.keys(parsed.sections).filter(key => !keys.includes(key));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown blueprint sections: ${unknown.join(', ')}`);
+      }
+
+      const sections = {};
+      const sources = {};
+      keys.forEach(key => {
+        const items = parsed.sections[key] === undefined ? [] : parsed.sections[key];
+        if (!Array.isArray(items)) {
+          throw new Error(`Section ${key} is not a list`);
+        }
+        sections[key] = [];
+        sources[key] = [];
+        items.slice(0, this.maxItemsPerSection).forEach(item => {
+          if (!item || typeof item.text !== 'string' || !item.text.trim() || item.text.length > this.maxItemLength) {
+            throw new Error(`Section ${key} has an invalid item`);
+          }
+          if (!Array.isArray(item.sources) || item.sources.length === 0 ||
+              item.sources.some(n => !Number.isInteger(n) || n < 0 || n >= messageCount)) {
+            throw new Error(`Section ${key} has an item with invalid sources`);
+          }
+          sections[key].push(item.text.trim());
+          sources[key].push(Array.from(new Set(item.sources)));
+        });
+      });
+
+      return { sections, sources };
     }
 
+    /**
+     * Phrase table for the built-in responses and the active persona's,
+     * rebuilt when the persona changes
+     */
+    getPhraseTable() {
+      const svc = this.getAIService();
+      if (!svc || !window.PhraseTable || typeof svc.getAlignedResponseLists !== 'function') return null;
+      const persona = svc.persona;
+      const key = persona ? persona.id + ':' + (persona.updatedAt || '') : 'builtin';
+      if (!this.phraseTable || this.phraseTableKey !== key) {
+        this.phraseTable = new PhraseTable(text => this.splitIntoSentences(text));
+        svc.getAlignedResponseLists().forEach(lists => this.phraseTable.addLists(lists));
+        this.phraseTableKey = key;
+      }
+      return this.phraseTable;
+    }
+
+    /**
+     * Translate items into the target language. Curated responses come from the
+     * phrase table offline; only free-form text is sent to the provider.
+     */
     async maybeTranslateSections(sections, targetLang) {
       const lang = (targetLang || this.getCurrentLanguage()).toLowerCase();
       if (!sections) return sections;
@@ -150,68 +232,71 @@
       const totalCount = Object.values(sections).reduce((n, arr) => n + (arr ? arr.length : 0), 0);
       if (totalCount === 0) return sections;
 
-      const cacheKey = JSON.stringify(sections) + '::' + lang;
+      // Only languages with a pack are supported
+      if (!LanguagePacks.has(lang)) {
+        return sections;
+      }
+
+      const table = this.getPhraseTable();
+      const cacheKey = JSON.stringify(sections) + '::' + lang + '::' + (this.phraseTableKey || '');
       if (this.translationCache.has(cacheKey)) {
         return this.translationCache.get(cacheKey);
       }
 
-      // Only English and Spanish supported
-      if (lang !== 'en' && lang !== 'es') {
-        return sections;
+      const result = {};
+      const pending = {}; // key -> indices of items the table does not know
+      let pendingCount = 0;
+      for (const key of Object.keys(sections)) {
+        result[key] = (sections[key] || []).map((text, i) => {
+          const translated = table ? table.translate(text, lang) : null;
+          if (translated !== null) return translated;
+          (pending[key] = pending[key] || []).push(i);
+          pendingCount++;
+          return text;
+        });
+      }
+      if (pendingCount === 0) {
+        this.translationCache.set(cacheKey, result);
+        return result;
       }
 
-      // Use AI translation if available; otherwise return original
-      const cfg = this.getAIConfig();
-      if (!cfg || !cfg.apiKey) {
-        return sections; // offline/no key -> skip translating notes
+      // Use AI translation for the rest if available; otherwise keep it as written
+      const svc = this.getAIService();
+      if (!svc || !svc.isAvailable) {
+        return result; // offline/no provider -> not cached, so it is translated once online
       }
 
       try {
-        const translated = await this.translateViaOpenRouter(sections, lang, cfg);
-        if (translated && typeof translated === 'object') {
-          this.translationCache.set(cacheKey, translated);
-          return translated;
-        }
+        const request = {};
+        Object.keys(pending).forEach(key => {
+          request[key] = pending[key].map(i => sections[key][i]);
+        });
+        const translated = await this.translateViaProvider(request, lang, svc);
+        Object.keys(pending).forEach(key => {
+          pending[key].forEach((index, j) => { result[key][index] = translated[key][j]; });
+        });
+        this.translationCache.set(cacheKey, result);
       } catch (_) {}
 
-      return sections;
+      return result;
     }
 
-    getAIConfig() {
+    getAIService() {
       try {
-        const svc = window.polarBearApp && window.polarBearApp.aiService;
-        if (!svc) return null;
-        return { apiKey: svc.apiKey, baseURL: svc.baseURL, model: svc.model };
+        return (window.polarBearApp && window.polarBearApp.aiService) || null;
       } catch (_) { return null; }
     }
 
-    async translateViaOpenRouter(sections, lang, cfg) {
-      const targetName = lang === 'es' ? 'Spanish' : 'English';
+    async translateViaProvider(sections, lang, svc) {
+      const targetName = LanguagePacks.get(lang).englishName;
       const payload = sections;
       const system = `You are a precise translation engine. Translate ONLY the string values in the provided JSON to ${targetName}. Keep emojis and punctuation. Preserve array lengths and keys. Return VALID JSON, no commentary.`;
       const user = JSON.stringify({ targetLang: targetName, sections: payload });
 
-      const response = await fetch(`${cfg.baseURL}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${cfg.apiKey}`,
-          'Content-Type': 'application/json',
-          'HTTP-Referer': window.location.origin,
-          'X-Title': 'Polar Bear Chatbot'
-        },
-        body: JSON.stringify({
-          model: cfg.model,
-          messages: [
-            { role: 'system', content: system },
-            { role: 'user', content: user }
-          ],
-          max_tokens: 800,
-          temperature: 0.2
-        })
-      });
-      if (!response.ok) throw new Error('translation http error');
-      const data = await response.json();
-      const content = (data && data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content) || '';
+      const content = await svc.getProvider().complete([
+        { role: 'system', content: system },
+        { role: 'user', content: user }
+      ], { maxTokens: 800, temperature: 0.2 });
       // Try to locate JSON in the response
       const jsonMatch = content.match(/\{[\s\S]*\}/);
       const jsonText = jsonMatch ? jsonMatch[0] : content;
@@ -221,49 +306,88 @@
       // Validate structure: ensure same keys and arrays
       const result = {};
       for (const key of Object.keys(sections)) {
-        const arr = Array.isArray(out[key]) ? out[key] : sections[key];
+        // Keep the original when the lengths differ so source references stay aligned
+        const arr = Array.isArray(out[key]) && out[key].length === sections[key].length ? out[key] : sections[key];
         result[key] = arr.map(x => String(x));
       }
       return result;
     }
 
-    renderBlueprint(sections) {
+    /**
+     * UI string in the current language
+     */
+    t(key, fallback) {
+      return (window.getTranslation && window.getTranslation(key, this.getCurrentLanguage())) || fallback;
+    }
+
+    /**
+     * Show a blueprint record as editable cards. displaySections, when given,
+     * holds the record's sections translated for display.
+     */
+    renderBlueprint(record = this.currentRecord, displaySections = this.displaySections, { scroll = true } = {}) {
       const container = document.getElementById('blueprintContainer');
-      if (!container) return;
+      if (!container || !record) return;
+      const extraction = this.lastExtraction || { sources: {}, method: 'keywords', fallback: false };
+      this.currentRecord = record;
+      this.displaySections = displaySections;
 
-      const now = new Date();
-      const timeString = now.toLocaleString();
+      const timeString = (extraction.generatedAt ? new Date(extraction.generatedAt) : new Date()).toLocaleString();
+      this.view = 'blueprint';
 
       // Build HTML
-      const hasAny = Object.values(sections).some(arr => Array.isArray(arr) && arr.length > 0);
+      const items = this.getItems(record);
+      const hasAny = Object.values(items).some(list => list.length > 0);
 
       let html = '';
       html += '<div class="blueprint-header">';
       html += '<h2 data-i18n="blueprint.title">Conversation Blueprint</h2>';
-      html += '<div class="blueprint-meta"><span data-i18n="blueprint.generatedAt">Generated at</span>: ' + this.escapeHtml(timeString) + '</div>';
-      html += '<div style="margin-left:auto; display:flex; gap:8px;">';
+      html += '<div class="blueprint-meta"><span data-i18n="blueprint.generatedAt">Generated at</span>: ' + this.escapeHtml(timeString);
+      const methodKey = extraction.method === 'ai' ? 'blueprint.method.ai' : (extraction.fallback ? 'blueprint.method.fallback' : 'blueprint.method.keywords');
+      html += ' · <span data-i18n="' + methodKey + '">' + this.escapeHtml(extraction.method) + '</span></div>';
+      html += '<div style="margin-left:auto; display:flex; flex-wrap:wrap; gap:8px;">';
+      if (hasAny) {
+        html += '<button type="button" class="blueprint-export-button" data-format="markdown" data-i18n="blueprint.exportMarkdown">Markdown</button>';
+        html += '<button type="button" class="blueprint-export-button" data-format="print" data-i18n="blueprint.exportPrint">Print / PDF</button>';
+        html += '<button type="button" class="blueprint-export-button" data-format="png" data-i18n="blueprint.exportImage">Image</button>';
+      }
+      html += '<button type="button" class="blueprint-history-button" data-i18n="blueprint.history">History</button>';
       html += '<button type="button" class="blueprint-toggle" data-i18n="blueprint.collapse">Collapse</button>';
       html += '<button type="button" class="blueprint-close" data-i18n="blueprint.close">Close</button>';
       html += '</div>';
       html += '</div>';
 
-      if (!hasAny) {
+      if (!hasAny && !record.messageCount) {
         html += '<div class="blueprint-empty" data-i18n="blueprint.noData">No conversation yet. Send a message first.</div>';
       } else {
+        html += '<p class="blueprint-hint" data-i18n="blueprint.editHint">Star, edit, reorder or drag items between sections. Your changes are kept when you regenerate.</p>';
         html += '<div class="blueprint-grid">';
         for (const section of this.sectionsOrder) {
-          html += '<div class="blueprint-card">';
+          const list = items[section.key] || [];
+          const shown = displaySections && displaySections[section.key];
+          html += '<div class="blueprint-card" data-section="' + section.key + '">';
           html += '<h3 data-i18n="' + section.i18n + '">' + this.escapeHtml(section.key) + '</h3>';
-          const items = sections[section.key] || [];
-          if (items.length === 0) {
+          if (list.length === 0) {
             html += '<p class="blueprint-none">—</p>';
-          } else {
-            html += '<ul class="blueprint-list">';
-            for (const item of items) {
-              html += '<li>' + this.escapeHtml(item) + '</li>';
-            }
-            html += '</ul>';
           }
+          html += '<ul class="blueprint-list">';
+          list.forEach((item, i) => {
+            const text = shown && shown[i] !== undefined ? shown[i] : item.text;
+            html += '<li class="blueprint-item' + (item.starred ? ' starred' : '') + '" draggable="true" data-id="' + this.escapeHtml(item.id) + '">';
+            html += '<button type="button" class="blueprint-item-action blueprint-star" data-action="star" aria-pressed="' + !!item.starred + '" data-i18n-title="blueprint.star" title="Star">' + (item.starred ? '★' : '☆') + '</button>';
+            html += '<span class="blueprint-item-text">' + this.escapeHtml(text) + '</span>';
+            (item.sources || []).forEach(index => {
+              html += ' <button type="button" class="blueprint-source" data-message-index="' + Number(index) + '">#' + (Number(index) + 1) + '</button>';
+            });
+            html += '<span class="blueprint-item-actions">';
+            html += '<button type="button" class="blueprint-item-action" data-action="edit" data-i18n-title="blueprint.edit" title="Edit">✎</button>';
+            html += '<button type="button" class="blueprint-item-action" data-action="up" data-i18n-title="blueprint.moveUp" title="Move up">↑</button>';
+            html += '<button type="button" class="blueprint-item-action" data-action="down" data-i18n-title="blueprint.moveDown" title="Move down">↓</button>';
+            html += '<button type="button" class="blueprint-item-action" data-action="delete" data-i18n-title="blueprint.deleteItem" title="Delete item">×</button>';
+            html += '</span>';
+            html += '</li>';
+          });
+          html += '</ul>';
+          html += '<input type="text" class="blueprint-add-input" maxlength="' + this.maxItemLength + '" data-i18n-placeholder="blueprint.addItem" placeholder="Add an item and press Enter">';
           html += '</div>';
         }
         html += '</div>';
@@ -284,6 +408,29 @@
         });
       }
 
+      const historyBtn = container.querySelector('.blueprint-history-button');
+      if (historyBtn) {
+        historyBtn.addEventListener('click', () => this.showHistory());
+      }
+
+      container.querySelectorAll('.blueprint-export-button').forEach(button => {
+        button.addEventListener('click', () => this.exportBlueprint(button.dataset.format));
+      });
+
+      // Source references jump to the message they came from
+      container.querySelectorAll('.blueprint-source').forEach(button => {
+        button.addEventListener('click', () => {
+          const bubbles = document.querySelectorAll('#chatContainer .message');
+          const target = bubbles[Number(button.dataset.messageIndex)];
+          if (!target) return;
+          target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+          target.classList.add('highlight');
+          setTimeout(() => target.classList.remove('highlight'), 1500);
+        });
+      });
+
+      this.bindItemEditing(container);
+
       const toggleBtn = container.querySelector('.blueprint-toggle');
       if (toggleBtn) {
         toggleBtn.addEventListener('click', () => {
@@ -302,7 +449,327 @@
       }
 
       // Scroll into view for convenience
-      container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+      if (scroll) {
+        container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+      }
+    }
+
+    /**
+     * Item buttons, inline editing, add inputs and drag and drop between cards
+     */
+    bindItemEditing(container) {
+      container.querySelectorAll('.blueprint-item').forEach(li => {
+        const id = li.dataset.id;
+        li.querySelectorAll('.blueprint-item-action').forEach(button => {
+          button.addEventListener('click', () => this.handleItemAction(button.dataset.action, id, li));
+        });
+        li.addEventListener('dragstart', event => {
+          this.dragItemId = id;
+          if (event.dataTransfer) {
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', id);
+          }
+          li.classList.add('dragging');
+        });
+        li.addEventListener('dragend', () => {
+          this.dragItemId = null;
+          li.classList.remove('dragging');
+        });
+      });
+
+      container.querySelectorAll('.blueprint-card[data-section]').forEach(card => {
+        card.addEventListener('dragover', event => {
+          if (!this.dragItemId) return;
+          event.preventDefault();
+          card.classList.add('drop-target');
+        });
+        card.addEventListener('dragleave', () => card.classList.remove('drop-target'));
+        card.addEventListener('drop', event => {
+          event.preventDefault();
+          card.classList.remove('drop-target');
+          const id = this.dragItemId;
+          this.dragItemId = null;
+          if (!id) return;
+
+          // Drop before the item under the pointer, or at the end of the card
+          const others = Array.from(card.querySelectorAll('.blueprint-item')).filter(li => li.dataset.id !== id);
+          const target = event.target && event.target.closest ? event.target.closest('.blueprint-item') : null;
+          const index = target && target.dataset.id !== id ? others.indexOf(target) : others.length;
+          this.moveItem(id, card.dataset.section, index);
+        });
+
+        const input = card.querySelector('.blueprint-add-input');
+        if (input) {
+          input.addEventListener('keydown', event => {
+            if (event.key !== 'Enter') return;
+            event.preventDefault();
+            this.addItem(card.dataset.section, input.value);
+          });
+        }
+      });
+    }
+
+    handleItemAction(action, id, li) {
+      const found = this.currentRecord && this.findItem(this.getItems(this.currentRecord), id);
+      if (!found) return;
+      switch (action) {
+        case 'star': return this.toggleStar(id);
+        case 'edit': return this.startEditing(li, id);
+        case 'up': return found.index > 0 ? this.moveItem(id, found.key, found.index - 1) : undefined;
+        case 'down': return this.moveItem(id, found.key, found.index + 1);
+        case 'delete': return this.deleteItem(id);
+        default: return undefined;
+      }
+    }
+
+    /**
+     * Swap an item's text for an input; Enter or leaving the field saves, Escape cancels
+     */
+    startEditing(li, id) {
+      const span = li.querySelector('.blueprint-item-text');
+      if (!span) return;
+      const original = span.textContent;
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'blueprint-edit-input';
+      input.maxLength = this.maxItemLength;
+      input.value = original;
+      span.replaceWith(input);
+      li.draggable = false;
+      input.focus();
+      input.select();
+
+      let done = false;
+      const finish = save => {
+        if (done) return;
+        done = true;
+        if (save && input.value.trim() && input.value.trim() !== original.trim()) {
+          this.editItem(id, input.value);
+        } else {
+          this.renderBlueprint(this.currentRecord, this.displaySections, { scroll: false });
+        }
+      };
+      input.addEventListener('keydown', event => {
+        if (event.key === 'Enter') {
+          event.preventDefault();
+          finish(true);
+        } else if (event.key === 'Escape') {
+          finish(false);
+        }
+      });
+      input.addEventListener('blur', () => finish(true));
+    }
+
+    normalizeText(text) {
+      return String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    createItemId() {
+      return 'item_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 6);
+    }
+
+    /**
+     * Editable items from plain section lists; every item starts out generated
+     */
+    itemsFromSections(sections, sources) {
+      const items = {};
+      this.sectionsOrder.forEach(({ key }) => {
+        const texts = (sections && sections[key]) || [];
+        const refs = (sources && sources[key]) || [];
+        items[key] = texts.map((text, i) => ({
+          id: this.createItemId(),
+          text: String(text),
+          origin: 'generated',
+          curated: false,
+          starred: false,
+          sources: refs[i] || []
+        }));
+      });
+      return items;
+    }
+
+    /**
+     * Items of a record; blueprints saved before editing existed get them on first use
+     */
+    getItems(record) {
+      if (!record.items) {
+        this.applyItems(record, this.itemsFromSections(record.sections, record.sources));
+      }
+      return record.items;
+    }
+
+    /**
+     * Store items on a record along with the plain sections and sources
+     * that exports, diffs and the intake read
+     */
+    applyItems(record, items) {
+      record.items = {};
+      record.sections = {};
+      record.sources = {};
+      this.sectionsOrder.forEach(({ key }) => {
+        const list = items[key] || [];
+        record.items[key] = list;
+        record.sections[key] = list.map(item => item.text);
+        record.sources[key] = list.map(item => item.sources || []);
+      });
+      return record;
+    }
+
+    /**
+     * Merge a fresh extraction into the previous blueprint. Items the facilitator
+     * touched (added, edited, starred or moved) are kept where they are; untouched
+     * items stay only if extracted again; deleted items do not come back; new
+     * extracted items are appended to their section.
+     */
+    mergeItems(previous, sections, sources) {
+      const fresh = this.itemsFromSections(sections, sources);
+      const dismissed = previous && Array.isArray(previous.dismissed) ? previous.dismissed.slice() : [];
+      if (!previous) return { items: fresh, dismissed };
+
+      const freshByText = new Map();
+      this.sectionsOrder.forEach(({ key }) => {
+        fresh[key].forEach(item => freshByText.set(this.normalizeText(item.text), item));
+      });
+
+      const placed = new Set(dismissed);
+      const previousItems = this.getItems(previous);
+      const items = {};
+      this.sectionsOrder.forEach(({ key }) => {
+        items[key] = [];
+        (previousItems[key] || []).forEach(item => {
+          const match = freshByText.get(this.normalizeText(item.generatedText || item.text));
+          if (!item.curated && !match) return;
+          items[key].push({ ...item, sources: match ? match.sources : (item.sources || []) });
+          placed.add(this.normalizeText(item.text));
+          if (item.generatedText) placed.add(this.normalizeText(item.generatedText));
+        });
+      });
+
+      this.sectionsOrder.forEach(({ key }) => {
+        fresh[key].forEach(item => {
+          const normalized = this.normalizeText(item.text);
+          if (placed.has(normalized)) return;
+          placed.add(normalized);
+          items[key].push(item);
+        });
+      });
+
+      return { items, dismissed };
+    }
+
+    findItem(items, id) {
+      for (const key of Object.keys(items)) {
+        const index = items[key].findIndex(item => item.id === id);
+        if (index !== -1) return { key, index, item: items[key][index] };
+      }
+      return null;
+    }
+
+    /**
+     * Apply a change to the shown blueprint's items, save it and re-render.
+     * change(items, record) returns false when nothing changed.
+     */
+    async updateItems(change) {
+      const record = this.currentRecord;
+      if (!record) return;
+      const items = this.getItems(record);
+      if (change(items, record) === false) {
+        this.renderBlueprint(record, this.displaySections, { scroll: false });
+        return;
+      }
+      this.applyItems(record, items);
+      record.updatedAt = new Date().toISOString();
+      await this.saveRecord(record);
+      await this.refresh();
+    }
+
+    addItem(key, text) {
+      const value = String(text || '').trim().slice(0, this.maxItemLength);
+      if (!value) return undefined;
+      return this.updateItems(items => {
+        items[key].push({ id: this.createItemId(), text: value, origin: 'manual', curated: true, starred: false, sources: [] });
+      });
+    }
+
+    editItem(id, text) {
+      const value = String(text || '').trim().slice(0, this.maxItemLength);
+      return this.updateItems(items => {
+        const found = this.findItem(items, id);
+        if (!found || !value || value === found.item.text) return false;
+        // Remember the extracted wording so regeneration does not add it back
+        if (found.item.origin === 'generated' && !found.item.generatedText) {
+          found.item.generatedText = found.item.text;
+        }
+        found.item.text = value;
+        found.item.curated = true;
+        return true;
+      });
+    }
+
+    deleteItem(id) {
+      return this.updateItems((items, record) => {
+        const found = this.findItem(items, id);
+        if (!found) return false;
+        items[found.key].splice(found.index, 1);
+        if (found.item.origin === 'generated') {
+          record.dismissed = Array.isArray(record.dismissed) ? record.dismissed : [];
+          record.dismissed.push(this.normalizeText(found.item.generatedText || found.item.text));
+        }
+        return true;
+      });
+    }
+
+    toggleStar(id) {
+      return this.updateItems(items => {
+        const found = this.findItem(items, id);
+        if (!found) return false;
+        found.item.starred = !found.item.starred;
+        found.item.curated = true;
+        return true;
+      });
+    }
+
+    /**
+     * Move an item to a position in a section (its index after the move)
+     */
+    moveItem(id, key, index) {
+      return this.updateItems(items => {
+        const found = this.findItem(items, id);
+        if (!found || !items[key]) return false;
+        const target = Math.max(0, Math.min(index, items[key].length - (found.key === key ? 1 : 0)));
+        if (found.key === key && found.index === target) return false;
+        items[found.key].splice(found.index, 1);
+        items[key].splice(target, 0, found.item);
+        found.item.curated = true;
+        return true;
+      });
+    }
+
+    /**
+     * Save the shown blueprint after an edit
+     */
+    async saveRecord(record) {
+      const db = this.getDatabase();
+      if (!db || !record.conversationId) return;
+      try {
+        record.id = await db.saveBlueprint(record);
+        if (this.lastExtraction) this.lastExtraction.id = record.id;
+      } catch (error) {
+        console.error('Failed to save blueprint:', error);
+      }
+    }
+
+    /**
+     * Re-render the shown blueprint in the current language
+     */
+    async refresh({ scroll = false } = {}) {
+      const record = this.currentRecord;
+      if (!record) return;
+      const lang = this.getCurrentLanguage();
+      const display = record.lang && record.lang !== lang
+        ? await this.maybeTranslateSections(record.sections, lang)
+        : null;
+      this.renderBlueprint(record, display, { scroll });
     }
 
     escapeHtml(str) {
@@ -316,26 +783,357 @@
 
     async handleGenerateClick() {
       const messages = await this.getLatestMessages();
-      const sections = this.buildSections(messages);
-      this.lastSectionsSource = sections;
+      const lang = this.getCurrentLanguage();
 
       const container = document.getElementById('blueprintContainer');
       if (container) {
+        const status = this.isAIExtractionEnabled() ? 'blueprint.extracting' : 'blueprint.translating';
         container.style.display = 'block';
-        container.innerHTML = '<div class="blueprint-header"><h2 data-i18n="blueprint.title">Conversation Blueprint</h2><div class="blueprint-meta" data-i18n="blueprint.translating">Translating notes...</div></div>';
-        const lang1 = this.getCurrentLanguage();
-        if (window.applyTranslations) window.applyTranslations(lang1);
+        container.innerHTML = '<div class="blueprint-header"><h2 data-i18n="blueprint.title">Conversation Blueprint</h2><div class="blueprint-meta" data-i18n="' + status + '">Translating notes...</div></div>';
+        if (window.applyTranslations) window.applyTranslations(lang);
       }
 
-      const lang = this.getCurrentLanguage();
-      const localized = await this.maybeTranslateSections(sections, lang);
-      this.renderBlueprint(localized);
+      const extraction = await this.extract(messages, lang);
+      extraction.generatedAt = new Date().toISOString();
+      this.lastExtraction = extraction;
+
+      // AI extraction already writes in the current language
+      const localized = extraction.method === 'ai'
+        ? extraction.sections
+        : await this.maybeTranslateSections(extraction.sections, lang);
+
+      // Keep the facilitator's edits from the last blueprint in this language
+      const previous = await this.getLatestRecord(lang);
+      const { items, dismissed } = this.mergeItems(previous, localized, extraction.sources);
+      const record = this.applyItems({
+        conversationId: this.getConversationId(),
+        lang,
+        method: extraction.method,
+        messageCount: messages.length,
+        createdAt: extraction.generatedAt,
+        dismissed
+      }, items);
+
+      await this.persistBlueprint(record);
+      this.renderBlueprint(record, null);
+
+      const filled = Object.values(record.sections).filter(items => Array.isArray(items) && items.length > 0);
+      this.track('blueprint_generated', {
+        conversationId: record.conversationId,
+        lang,
+        method: extraction.method,
+        fallback: !!extraction.fallback,
+        messageCount: messages.length,
+        sections: filled.length,
+        items: filled.reduce((sum, items) => sum + items.length, 0)
+      });
+    }
+
+    /**
+     * Record an analytics event through the chat manager's tracker
+     */
+    track(type, data) {
+      const app = window.polarBearApp;
+      if (app && app.chatManager && app.chatManager.analytics) {
+        app.chatManager.analytics.track(type, data);
+      }
+    }
+
+    getDatabase() {
+      const app = window.polarBearApp;
+      return (app && app.databaseManager) || null;
+    }
+
+    /**
+     * Conversation the blueprints belong to: the open chat
+     */
+    getConversationId() {
+      const app = window.polarBearApp;
+      return (app && app.chatManager && app.chatManager.conversationId) || null;
+    }
+
+    /**
+     * Latest saved blueprint of a conversation in a language, or null
+     */
+    async getLatestRecord(lang, conversationId = this.getConversationId()) {
+      const db = this.getDatabase();
+      if (!db || !conversationId) return null;
+      try {
+        const records = await db.getBlueprintsByConversation(conversationId);
+        return records.filter(record => record.lang === lang).pop() || null;
+      } catch (error) {
+        console.error('Failed to load blueprints:', error);
+        return null;
+      }
+    }
+
+    /**
+     * Store a generated blueprint, linked to its conversation
+     */
+    async persistBlueprint(record) {
+      const db = this.getDatabase();
+      const hasAny = Object.values(record.sections).some(arr => Array.isArray(arr) && arr.length > 0);
+      if (!db || !record.conversationId || !hasAny) return null;
+
+      try {
+        record.id = await db.saveBlueprint(record);
+        this.lastExtraction.id = record.id;
+        return record.id;
+      } catch (error) {
+        console.error('Failed to save blueprint:', error);
+        return null;
+      }
+    }
+
+    /**
+     * List this conversation's past blueprints with view, delete and compare actions
+     */
+    async showHistory() {
+      const container = document.getElementById('blueprintContainer');
+      const db = this.getDatabase();
+      if (!container || !db) return;
+
+      let records = [];
+      try {
+        records = await db.getBlueprintsByConversation(this.getConversationId());
+      } catch (error) {
+        console.error('Failed to load blueprint history:', error);
+      }
+      records = records.slice().reverse(); // newest first
+      this.view = 'history';
+
+      const countItems = record => Object.values(record.sections || {}).reduce((n, arr) => n + (arr ? arr.length : 0), 0);
+      const label = record => new Date(record.createdAt).toLocaleString() + ' · ' + countItems(record);
+
+      let html = '';
+      html += '<div class="blueprint-header">';
+      html += '<h2 data-i18n="blueprint.historyTitle">Blueprint History</h2>';
+      html += '<div style="margin-left:auto; display:flex; gap:8px;">';
+      html += '<button type="button" class="blueprint-close" data-i18n="blueprint.close">Close</button>';
+      html += '</div>';
+      html += '</div>';
+
+      if (records.length === 0) {
+        html += '<div class="blueprint-empty" data-i18n="blueprint.historyEmpty">No saved blueprints for this conversation yet.</div>';
+      } else {
+        if (records.length > 1) {
+          const options = records.map(record => '<option value="' + this.escapeHtml(record.id) + '">' + this.escapeHtml(label(record)) + '</option>').join('');
+          html += '<div class="blueprint-compare">';
+          html += '<select class="api-key-input blueprint-compare-from">' + options + '</select>';
+          html += '<span>→</span>';
+          html += '<select class="api-key-input blueprint-compare-to">' + options + '</select>';
+          html += '<button type="button" class="blueprint-compare-button" data-i18n="blueprint.compare">Compare</button>';
+          html += '</div>';
+        }
+        html += '<ul class="blueprint-history-list">';
+        records.forEach(record => {
+          const methodKey = record.method === 'ai' ? 'blueprint.method.ai' : 'blueprint.method.keywords';
+          html += '<li data-id="' + this.escapeHtml(record.id) + '">';
+          html += '<span>' + this.escapeHtml(label(record)) + ' · <span data-i18n="' + methodKey + '">' + this.escapeHtml(record.method) + '</span> · ' + this.escapeHtml((record.lang || '').toUpperCase()) + '</span>';
+          html += '<button type="button" class="blueprint-view" data-i18n="blueprint.view">View</button>';
+          html += '<button type="button" class="blueprint-delete" data-i18n="blueprint.delete">Delete</button>';
+          html += '</li>';
+        });
+        html += '</ul>';
+      }
+
+      container.innerHTML = html;
+      container.style.display = 'block';
+
+      container.querySelector('.blueprint-close').addEventListener('click', () => {
+        container.style.display = 'none';
+        container.innerHTML = '';
+      });
+
+      const byId = new Map(records.map(record => [record.id, record]));
+      container.querySelectorAll('.blueprint-history-list li').forEach(item => {
+        const record = byId.get(item.dataset.id);
+        item.querySelector('.blueprint-view').addEventListener('click', () => this.viewRecord(record));
+        item.querySelector('.blueprint-delete').addEventListener('click', async () => {
+          await db.deleteBlueprint(record.id);
+          this.showHistory();
+        });
+      });
+
+      const compareBtn = container.querySelector('.blueprint-compare-button');
+      if (compareBtn) {
+        const from = container.querySelector('.blueprint-compare-from');
+        const to = container.querySelector('.blueprint-compare-to');
+        from.value = records[1].id;
+        to.value = records[0].id;
+        compareBtn.addEventListener('click', () => {
+          this.renderDiff(byId.get(from.value), byId.get(to.value));
+        });
+      }
+
+      if (window.applyTranslations) window.applyTranslations(this.getCurrentLanguage());
+    }
+
+    /**
+     * Show a stored blueprint
+     */
+    viewRecord(record) {
+      this.lastExtraction = {
+        id: record.id,
+        sources: record.sources || {},
+        method: record.method,
+        fallback: false,
+        generatedAt: record.createdAt
+      };
+      this.currentRecord = record;
+      return this.refresh({ scroll: true });
+    }
+
+    /**
+     * Per-section changes between two blueprints: items added, removed and kept
+     */
+    diffBlueprints(before, after) {
+      const normalize = text => this.normalizeText(text);
+      const diff = {};
+      this.sectionsOrder.forEach(({ key }) => {
+        const oldItems = (before.sections && before.sections[key]) || [];
+        const newItems = (after.sections && after.sections[key]) || [];
+        const oldSet = new Set(oldItems.map(normalize));
+        const newSet = new Set(newItems.map(normalize));
+        diff[key] = {
+          added: newItems.filter(item => !oldSet.has(normalize(item))),
+          removed: oldItems.filter(item => !newSet.has(normalize(item))),
+          kept: newItems.filter(item => oldSet.has(normalize(item)))
+        };
+      });
+      return diff;
+    }
+
+    renderDiff(before, after) {
+      const container = document.getElementById('blueprintContainer');
+      if (!container || !before || !after) return;
+      this.view = 'diff';
+
+      const diff = this.diffBlueprints(before, after);
+      let html = '';
+      html += '<div class="blueprint-header">';
+      html += '<h2 data-i18n="blueprint.diffTitle">Blueprint Changes</h2>';
+      html += '<div class="blueprint-meta">' + this.escapeHtml(new Date(before.createdAt).toLocaleString()) + ' → ' + this.escapeHtml(new Date(after.createdAt).toLocaleString()) + '</div>';
+      html += '<div style="margin-left:auto; display:flex; gap:8px;">';
+      html += '<button type="button" class="blueprint-history-button" data-i18n="blueprint.history">History</button>';
+      html += '<button type="button" class="blueprint-close" data-i18n="blueprint.close">Close</button>';
+      html += '</div>';
+      html += '</div>';
+
+      if (before.lang !== after.lang) {
+        html += '<p class="blueprint-none" data-i18n="blueprint.diffLanguage">These versions are in different languages, so most items show as changed.</p>';
+      }
+
+      html += '<div class="blueprint-grid">';
+      for (const section of this.sectionsOrder) {
+        const changes = diff[section.key];
+        html += '<div class="blueprint-card">';
+        html += '<h3 data-i18n="' + section.i18n + '">' + this.escapeHtml(section.key) + '</h3>';
+        if (changes.added.length + changes.removed.length + changes.kept.length === 0) {
+          html += '<p class="blueprint-none">—</p>';
+        } else {
+          html += '<ul class="blueprint-list">';
+          changes.kept.forEach(item => { html += '<li>' + this.escapeHtml(item) + '</li>'; });
+          changes.added.forEach(item => { html += '<li class="blueprint-added">+ ' + this.escapeHtml(item) + '</li>'; });
+          changes.removed.forEach(item => { html += '<li class="blueprint-removed">− ' + this.escapeHtml(item) + '</li>'; });
+          html += '</ul>';
+        }
+        html += '</div>';
+      }
+      html += '</div>';
+
+      container.innerHTML = html;
+      container.style.display = 'block';
+
+      container.querySelector('.blueprint-history-button').addEventListener('click', () => this.showHistory());
+      container.querySelector('.blueprint-close').addEventListener('click', () => {
+        container.style.display = 'none';
+        container.innerHTML = '';
+      });
+
+      if (window.applyTranslations) window.applyTranslations(this.getCurrentLanguage());
+    }
+
+    /**
+     * Build a blueprint for the given messages without rendering it
+     */
+    async buildBlueprint(messages, lang) {
+      const targetLang = lang || this.getCurrentLanguage();
+      const extraction = await this.extract(messages || [], targetLang);
+      const localized = extraction.method === 'ai'
+        ? extraction.sections
+        : await this.maybeTranslateSections(extraction.sections, targetLang);
+      return {
+        order: this.sectionsOrder,
+        sections: localized,
+        sources: extraction.sources,
+        method: extraction.method,
+        generatedAt: new Date().toISOString()
+      };
+    }
+
+    /**
+     * The shown blueprint as the exporter expects it, in the current language
+     */
+    getExportBlueprint() {
+      const record = this.currentRecord;
+      const items = this.getItems(record);
+      const app = window.polarBearApp;
+      const starred = {};
+      this.sectionsOrder.forEach(({ key }) => {
+        starred[key] = (items[key] || []).map(item => !!item.starred);
+      });
+      return {
+        order: this.sectionsOrder,
+        sections: this.displaySections || record.sections,
+        starred,
+        lang: this.getCurrentLanguage(),
+        title: (app && app.chatManager && app.chatManager.conversationTitle) || '',
+        generatedAt: record.updatedAt || record.createdAt
+      };
+    }
+
+    /**
+     * Export the shown blueprint: 'markdown', 'print' (certificate page / PDF) or 'png'
+     */
+    async exportBlueprint(format) {
+      if (!this.currentRecord || !window.BlueprintExporter) return;
+      const exporter = new BlueprintExporter();
+      const blueprint = this.getExportBlueprint();
+      try {
+        if (format === 'print') {
+          await exporter.print(blueprint);
+        } else {
+          await exporter.download(format, blueprint);
+        }
+        this.track('export', { format, scope: 'blueprint' });
+      } catch (error) {
+        console.error('Failed to export blueprint:', error);
+        const app = window.polarBearApp;
+        if (app && app.chatManager) app.chatManager.showMessage(error.message, 'error');
+      }
+    }
+
+    /**
+     * Blueprint for exporting a conversation: the latest saved one in the
+     * language, with the facilitator's edits, or a freshly built one
+     */
+    async getCuratedBlueprint(conversation, lang) {
+      const targetLang = lang || this.getCurrentLanguage();
+      const record = await this.getLatestRecord(targetLang, conversation.id);
+      if (!record) return this.buildBlueprint(conversation.messages, targetLang);
+      return {
+        order: this.sectionsOrder,
+        sections: record.sections,
+        sources: record.sources,
+        method: record.method,
+        generatedAt: record.updatedAt || record.createdAt
+      };
     }
 
-    async reRenderForLanguage(lang) {
-      if (!this.lastSectionsSource) return;
-      const localized = await this.maybeTranslateSections(this.lastSectionsSource, lang);
-      this.renderBlueprint(localized);
+    async reRenderForLanguage() {
+      if (!this.currentRecord || this.view !== 'blueprint') return;
+      await this.refresh();
     }
   }
 
@@ -361,17 +1159,16 @@
       button.setAttribute('aria-expanded', 'true');
     });
 
-    // On language toggle, re-render notes into the selected language if visible
-    const langToggle = document.getElementById('langToggle');
-    if (langToggle) {
-      langToggle.addEventListener('click', () => {
+    // On language change, re-render notes into the selected language if visible
+    const langSelect = document.getElementById('langSelect');
+    if (langSelect) {
+      langSelect.addEventListener('change', () => {
         setTimeout(async () => {
           const container = document.getElementById('blueprintContainer');
           if (!container) return;
           const isVisible = window.getComputedStyle(container).display !== 'none' && container.innerHTML.trim() !== '';
           if (!isVisible) return;
-          const lang = generator.getCurrentLanguage();
-          await generator.reRenderForLanguage(lang);
+          await generator.reRenderForLanguage();
         }, 0);
       });
     }
@@ -6,10 +6,30 @@ class ChatManager {
   constructor(databaseManager, aiService) {
     this.db = databaseManager;
     this.ai = aiService;
-    this.messages = [];
+    this.keyVault = new KeyVault();
+    this.personas = new PersonaManager(databaseManager);
+    this.persona = null;
+    this.editingPersona = null;
+    this.intake = new IntakeGuide();
+    this.dashboard = new AnalyticsDashboard();
+    this.analytics = new AnalyticsTracker(databaseManager);
+    this.analyticsRange = null; // { from, to } days shown on the dashboard; set when it is first opened
+    this.pendingIntakeSection = null;
+    this.tree = new ConversationTree(); // every message, with edited branches
+    this.messages = []; // the active branch of the tree
+    this.conversationId = this.db.createConversationId();
+    this.conversationTitle = null;
+    this.conversationPinned = false;
     this.isTyping = false;
+    this.pendingReply = null; // AbortController of the reply being generated, see stopReply()
+    this.versionFields = ['content', 'timestamp', 'route', 'policy', 'topic', 'offline', 'offlineReason', 'stopped'];
+    this.voiceMessage = false; // the message being sent was dictated
+    this.lang = LanguagePacks.getCurrentLanguage();
     this.autoSave = true;
     this.aiMode = false;
+    this.streaming = true;
+    this.routingPolicy = 'curated-first';
+    this.aiBlueprint = false;
     
     this.initializeElements();
     this.setupEventListeners();
@@ -23,14 +43,56 @@ class ChatManager {
     this.chatContainer = document.getElementById('chatContainer');
     this.messageInput = document.getElementById('messageInput');
     this.sendButton = document.getElementById('sendButton');
+    this.stopButton = document.getElementById('stopButton');
     this.micButton = document.getElementById('micButton');
     this.typingIndicator = document.getElementById('typingIndicator');
     this.connectionStatus = document.getElementById('connectionStatus');
     this.settingsPanel = document.getElementById('settingsPanel');
     this.aiModeToggle = document.getElementById('aiModeToggle');
     this.autoSaveToggle = document.getElementById('autoSaveToggle');
+    this.streamingToggle = document.getElementById('streamingToggle');
+    this.aiBlueprintToggle = document.getElementById('aiBlueprintToggle');
+    this.routingSelect = document.getElementById('routingSelect');
+    this.privacyToggle = document.getElementById('privacyToggle');
+    this.retentionSelect = document.getElementById('retentionSelect');
     this.apiKeyInput = document.getElementById('apiKeyInput');
+    this.passphraseInput = document.getElementById('passphraseInput');
+    this.unlockBar = document.getElementById('unlockBar');
+    this.unlockInput = document.getElementById('unlockInput');
+    this.legacyApiKey = null; // plaintext key saved before encryption, until it is encrypted
+    this.providerSelect = document.getElementById('providerSelect');
+    this.baseUrlInput = document.getElementById('baseUrlInput');
+    this.modelInput = document.getElementById('modelInput');
+    this.modelOptions = document.getElementById('modelOptions');
+    this.paramInputs = {
+      temperature: document.getElementById('temperatureInput'),
+      maxTokens: document.getElementById('maxTokensInput'),
+      presencePenalty: document.getElementById('presencePenaltyInput'),
+      frequencyPenalty: document.getElementById('frequencyPenaltyInput'),
+      historyWindow: document.getElementById('historyWindowInput'),
+      contextSize: document.getElementById('contextSizeInput')
+    };
     this.saveSettingsButton = document.getElementById('saveSettings');
+    this.historyPanel = document.getElementById('historyPanel');
+    this.historyList = document.getElementById('historyList');
+    this.exportDialog = document.getElementById('exportDialog');
+    this.personaSelect = document.getElementById('personaSelect');
+    this.personaDialog = document.getElementById('personaDialog');
+    this.personaEditor = {
+      select: document.getElementById('personaEditorSelect'),
+      name: document.getElementById('personaName'),
+      lang: document.getElementById('personaLang'),
+      systemPrompt: document.getElementById('personaSystemPrompt'),
+      greeting: document.getElementById('personaGreeting'),
+      quickActions: document.getElementById('personaQuickActions'),
+      fallbackResponses: document.getElementById('personaFallbacks'),
+      deleteButton: document.getElementById('personaDelete')
+    };
+    this.intakeButton = document.getElementById('intakeButton');
+    this.analyticsDialog = document.getElementById('analyticsDialog');
+    this.analyticsFrom = document.getElementById('analyticsFrom');
+    this.analyticsTo = document.getElementById('analyticsTo');
+    this.intakeBar = document.getElementById('intakeBar');
   }
 
   /**
@@ -39,6 +101,9 @@ class ChatManager {
   setupEventListeners() {
     // Send message events
     this.sendButton.addEventListener('click', () => this.sendMessage());
+    if (this.stopButton) {
+      this.stopButton.addEventListener('click', () => this.stopReply());
+    }
     this.messageInput.addEventListener('keypress', (e) => {
       if (e.key === 'Enter' && !e.shiftKey) {
         e.preventDefault();
@@ -49,6 +114,24 @@ class ChatManager {
     // Auto-resize textarea
     this.messageInput.addEventListener('input', () => this.autoResizeTextarea());
 
+    // The AI went down or came back while chatting
+    this.ai.onAvailabilityChange((available, reason) => this.handleAvailabilityChange(available, reason));
+
+    // Regenerate and version buttons on bot messages, edit and branch buttons on user messages
+    this.chatContainer.addEventListener('click', (e) => {
+      const button = e.target.closest('.message-action');
+      const messageDiv = button && button.closest('.message');
+      if (!messageDiv || button.disabled) return;
+      const index = Number(messageDiv.dataset.index);
+      const action = button.dataset.action;
+      if (action === 'regenerate') this.regenerateMessage(index);
+      else if (action === 'previous-version') this.showMessageVersion(index, -1);
+      else if (action === 'next-version') this.showMessageVersion(index, 1);
+      else if (action === 'edit') this.startEditingMessage(index);
+      else if (action === 'previous-branch') this.showBranch(index, -1);
+      else if (action === 'next-branch') this.showBranch(index, 1);
+    });
+
     // Mic button
     if (this.micButton) {
       this.micButton.addEventListener('click', () => this.toggleVoiceInput());
@@ -72,6 +155,76 @@ class ChatManager {
       this.saveSettings();
     });
 
+    // API key vault
+    if (this.unlockBar) {
+      document.getElementById('unlockButton').addEventListener('click', () => this.unlockApiKey());
+      this.unlockInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') this.unlockApiKey();
+      });
+    }
+    const forgetKeyButton = document.getElementById('forgetKeyButton');
+    if (forgetKeyButton) {
+      forgetKeyButton.addEventListener('click', () => this.forgetApiKey());
+    }
+
+    // Provider selection
+    if (this.providerSelect) {
+      this.populateProviderSelect();
+      this.providerSelect.addEventListener('change', () => {
+        this.updateProviderInputs(this.providerSelect.value, true);
+      });
+    }
+
+    // Persona profiles
+    if (this.personaSelect) {
+      this.personaSelect.addEventListener('change', () => {
+        this.switchPersona(this.personaSelect.value);
+      });
+    }
+    if (this.personaDialog) {
+      document.getElementById('editPersonasButton').addEventListener('click', () => this.openPersonaEditor());
+      document.getElementById('personaNew').addEventListener('click', () => this.fillPersonaEditor(null));
+      document.getElementById('personaSave').addEventListener('click', () => this.savePersonaFromEditor());
+      document.getElementById('personaDelete').addEventListener('click', () => this.deletePersonaFromEditor());
+      document.getElementById('personaExport').addEventListener('click', () => this.exportPersonas());
+      document.getElementById('personaClose').addEventListener('click', () => {
+        this.personaDialog.classList.remove('show');
+      });
+      this.personaEditor.select.addEventListener('change', async () => {
+        this.fillPersonaEditor(await this.personas.get(this.personaEditor.select.value));
+      });
+
+      const personaImportInput = document.getElementById('personaImportInput');
+      document.getElementById('personaImport').addEventListener('click', () => personaImportInput.click());
+      personaImportInput.addEventListener('change', () => {
+        const file = personaImportInput.files[0];
+        personaImportInput.value = '';
+        if (file) this.importPersonas(file);
+      });
+    }
+
+    // Guided intake
+    if (this.intakeButton && this.intakeBar) {
+      this.intakeButton.addEventListener('click', () => this.toggleIntake());
+      document.getElementById('intakeAsk').addEventListener('click', () => this.askIntakeQuestion());
+      document.getElementById('intakeSkip').addEventListener('click', () => this.skipIntakeSection());
+    }
+
+    // Re-render a persona's greeting and questions in the new language
+    const langSelect = document.getElementById('langSelect');
+    if (langSelect) {
+      langSelect.addEventListener('change', () => {
+        if (langSelect.value !== this.lang) {
+          this.analytics.track('language_changed', { from: this.lang, to: langSelect.value });
+          this.lang = langSelect.value;
+        }
+        if (this.messages.length === 0 && this.persona && !this.persona.builtIn) {
+          this.showWelcome();
+        }
+        this.renderIntake();
+      });
+    }
+
     // Toggle switches
     this.aiModeToggle.addEventListener('click', () => {
       this.toggleAIMode();
@@ -81,21 +234,105 @@ class ChatManager {
       this.toggleAutoSave();
     });
 
+    if (this.streamingToggle) {
+      this.streamingToggle.addEventListener('click', () => {
+        this.toggleStreaming();
+      });
+    }
+
+    if (this.privacyToggle) {
+      this.privacyToggle.addEventListener('click', () => {
+        this.analytics.configure({ privacyMode: !this.analytics.privacyMode });
+        this.updateToggleStates();
+      });
+    }
+
+    if (this.routingSelect) {
+      this.routingSelect.addEventListener('change', () => {
+        this.routingPolicy = this.routingSelect.value;
+      });
+    }
+
+    if (this.aiBlueprintToggle) {
+      this.aiBlueprintToggle.addEventListener('click', () => {
+        this.toggleAIBlueprint();
+      });
+    }
+
     // Control buttons
     document.getElementById('exportButton').addEventListener('click', () => {
       this.exportConversation();
     });
 
+    if (this.exportDialog) {
+      document.getElementById('exportCancel').addEventListener('click', () => {
+        this.exportDialog.classList.remove('show');
+      });
+      document.getElementById('exportConfirm').addEventListener('click', () => {
+        this.confirmExport();
+      });
+      this.exportDialog.addEventListener('click', (e) => {
+        if (e.target === this.exportDialog) this.exportDialog.classList.remove('show');
+      });
+    }
+
+    const analyticsButton = document.getElementById('analyticsButton');
+    if (analyticsButton && this.analyticsDialog) {
+      analyticsButton.addEventListener('click', () => this.openAnalytics());
+      document.getElementById('analyticsClose').addEventListener('click', () => {
+        this.analyticsDialog.classList.remove('show');
+      });
+      this.analyticsDialog.addEventListener('click', (e) => {
+        if (e.target === this.analyticsDialog) this.analyticsDialog.classList.remove('show');
+      });
+      [this.analyticsFrom, this.analyticsTo].forEach(input => {
+        input.addEventListener('change', () => {
+          this.analyticsRange = { from: this.analyticsFrom.value || null, to: this.analyticsTo.value || null };
+          this.refreshAnalytics();
+        });
+      });
+      this.analyticsDialog.querySelectorAll('[data-analytics-range]').forEach(button => {
+        button.addEventListener('click', () => {
+          const days = button.getAttribute('data-analytics-range');
+          this.analyticsRange = days === 'all' ? { from: null, to: null } : this.dashboard.getRecentRange(Number(days));
+          this.refreshAnalytics();
+        });
+      });
+    }
+
+    const importButton = document.getElementById('importButton');
+    const importFileInput = document.getElementById('importFileInput');
+    if (importButton && importFileInput) {
+      importButton.addEventListener('click', () => importFileInput.click());
+      importFileInput.addEventListener('change', () => {
+        const file = importFileInput.files[0];
+        importFileInput.value = '';
+        if (file) this.importConversations(file);
+      });
+    }
+
     document.getElementById('resetButton').addEventListener('click', () => {
       this.resetChat();
     });
 
-    // Close settings panel when clicking outside
+    const historyButton = document.getElementById('historyButton');
+    if (historyButton && this.historyPanel) {
+      historyButton.addEventListener('click', () => {
+        this.toggleHistoryPanel();
+      });
+    }
+
+    // Close settings and history panels when clicking outside
     document.addEventListener('click', (e) => {
       if (!this.settingsPanel.contains(e.target) && 
           !document.getElementById('settingsButton').contains(e.target)) {
         this.settingsPanel.classList.remove('show');
       }
+      if (this.historyPanel && e.target.isConnected &&
+          !this.historyPanel.contains(e.target) &&
+          !(historyButton && historyButton.contains(e.target))) {
+        this.historyPanel.classList.remove('show');
+      }
     });
   }
 
@@ -106,18 +343,69 @@ class ChatManager {
     try {
       const aiMode = await this.db.getSetting('aiMode');
       const autoSave = await this.db.getSetting('autoSave');
-      const apiKey = await this.db.getSetting('apiKey');
+      const streaming = await this.db.getSetting('streaming');
+      const aiBlueprint = await this.db.getSetting('aiBlueprint');
+      const routingPolicy = await this.db.getSetting('routingPolicy');
+      const analyticsPrivacy = await this.db.getSetting('analyticsPrivacy');
+      const analyticsRetentionDays = await this.db.getSetting('analyticsRetentionDays');
+      const legacyApiKey = await this.db.getSetting('apiKey');
+      const encryptedApiKey = await this.db.getSetting('apiKeyEncrypted');
+      const providerId = await this.db.getSetting('provider');
+      const baseURL = await this.db.getSetting('baseURL');
+      const model = await this.db.getSetting('model');
+
+      const params = {};
+      for (const name of Object.keys(this.paramInputs)) {
+        const value = await this.db.getSetting(name);
+        if (value !== null && value !== undefined && value !== '') params[name] = value;
+      }
+      this.ai.updateSettings(params);
+      this.updateParamInputs();
+
+      await this.loadPersona();
 
       this.aiMode = aiMode === 'true';
       this.autoSave = autoSave !== 'false'; // Default to true
+      this.streaming = streaming !== 'false'; // Default to true
+      this.aiBlueprint = aiBlueprint === 'true';
+      if (this.ai.routingPolicies.includes(routingPolicy)) this.routingPolicy = routingPolicy;
+      if (this.routingSelect) this.routingSelect.value = this.routingPolicy;
+      this.analytics.configure({ privacyMode: analyticsPrivacy === 'true', retentionDays: analyticsRetentionDays });
+      if (this.retentionSelect) this.retentionSelect.value = String(this.analytics.retentionDays);
       
-      if (apiKey) {
-        this.apiKeyInput.value = apiKey;
-        await this.ai.init(apiKey);
-        this.updateConnectionStatus();
+      this.ai.configureProvider({ providerId, baseURL, model });
+      this.updateProviderInputs(this.ai.providerId, false);
+
+      this.apiKeyInput.value = '';
+      this.setApiKeyPlaceholder(!!encryptedApiKey);
+
+      if (this.ai.apiKey) {
+        // Already unlocked this session (settings reloaded after an import)
+        await this.ai.init(this.ai.apiKey);
+      } else if (encryptedApiKey) {
+        this.showUnlockBar(true);
+      } else if (legacyApiKey) {
+        // Keys saved before encryption still work, but the passphrase prompt
+        // stays up until one is chosen and the key is re-saved encrypted
+        this.legacyApiKey = legacyApiKey;
+        await this.ai.init(legacyApiKey);
+        this.showUnlockBar(true, true);
+      } else if (!this.ai.requiresApiKey()) {
+        await this.ai.init(null);
       }
+      this.updateConnectionStatus();
 
       this.updateToggleStates();
+
+      await this.analytics.prune();
+      await this.analytics.startSession({
+        lang: this.lang,
+        aiMode: this.aiMode,
+        policy: this.routingPolicy,
+        provider: this.ai.providerId,
+        model: this.ai.model,
+        privacyMode: this.analytics.privacyMode
+      });
     } catch (error) {
       console.error('Failed to load settings:', error);
     }
@@ -129,20 +417,57 @@ class ChatManager {
   async saveSettings() {
     try {
       const apiKey = this.apiKeyInput.value.trim();
+      const passphrase = this.passphraseInput ? this.passphraseInput.value : '';
+
+      if (apiKey && !passphrase) {
+        this.showMessage('Choose a passphrase to encrypt your API key.', 'error');
+        return;
+      }
+
+      if (this.providerSelect) {
+        this.ai.configureProvider({
+          providerId: this.providerSelect.value,
+          baseURL: this.baseUrlInput.value.trim(),
+          model: this.modelInput.value.trim()
+        });
+        await this.db.saveSetting('provider', this.ai.providerId);
+        await this.db.saveSetting('baseURL', this.ai.baseURL);
+        await this.db.saveSetting('model', this.ai.model);
+      }
+
+      const params = {};
+      Object.entries(this.paramInputs).forEach(([name, input]) => {
+        if (input && input.value !== '') params[name] = input.value;
+      });
+      this.ai.updateSettings(params);
+      for (const name of Object.keys(this.paramInputs)) {
+        await this.db.saveSetting(name, String(this.ai[name]));
+      }
+      this.updateParamInputs();
       
-      if (apiKey) {
-        const isValid = await this.ai.init(apiKey);
+      const key = apiKey || this.ai.apiKey;
+      if (key || !this.ai.requiresApiKey()) {
+        const isValid = await this.ai.init(key || null);
         if (isValid) {
-          await this.db.saveSetting('apiKey', apiKey);
-          this.showMessage('Settings saved successfully!', 'success');
+          if (apiKey) {
+            await this.storeApiKey(apiKey, passphrase);
+          }
         } else {
-          this.showMessage('Invalid API key. Please check your OpenAI API key.', 'error');
+          this.showMessage('Could not connect to the AI provider. Please check the API key and endpoint.', 'error');
+          this.updateConnectionStatus();
           return;
         }
       }
 
       await this.db.saveSetting('aiMode', this.aiMode.toString());
       await this.db.saveSetting('autoSave', this.autoSave.toString());
+      await this.db.saveSetting('streaming', this.streaming.toString());
+      await this.db.saveSetting('aiBlueprint', this.aiBlueprint.toString());
+      await this.db.saveSetting('routingPolicy', this.routingPolicy);
+      if (this.retentionSelect) this.analytics.configure({ retentionDays: this.retentionSelect.value });
+      await this.db.saveSetting('analyticsPrivacy', this.analytics.privacyMode.toString());
+      await this.db.saveSetting('analyticsRetentionDays', String(this.analytics.retentionDays));
+      await this.analytics.prune();
 
       this.showMessage('Settings saved successfully!', 'success');
       this.settingsPanel.classList.remove('show');
@@ -153,39 +478,218 @@ class ChatManager {
     }
   }
 
+  /**
+   * Encrypt the API key with the passphrase and store only the ciphertext
+   */
+  async storeApiKey(apiKey, passphrase) {
+    const record = await this.keyVault.encrypt(apiKey, passphrase);
+    await this.db.saveSetting('apiKeyEncrypted', record);
+    await this.db.deleteSetting('apiKey');
+    this.legacyApiKey = null;
+
+    this.apiKeyInput.value = '';
+    this.passphraseInput.value = '';
+    this.setApiKeyPlaceholder(true);
+    this.showUnlockBar(false);
+  }
+
+  /**
+   * Decrypt the stored API key for this session, or encrypt a key saved
+   * before encryption with the passphrase entered
+   */
+  async unlockApiKey() {
+    const passphrase = this.unlockInput.value;
+    if (!passphrase) return;
+
+    if (this.legacyApiKey) {
+      try {
+        await this.storeApiKey(this.legacyApiKey, passphrase);
+        this.unlockInput.value = '';
+        this.showMessage('API key encrypted.', 'success');
+      } catch (error) {
+        console.error('Failed to encrypt API key:', error);
+        this.showMessage('Failed to encrypt API key. Please try again.', 'error');
+      }
+      return;
+    }
+
+    try {
+      const record = await this.db.getSetting('apiKeyEncrypted');
+      if (!record) {
+        this.showUnlockBar(false);
+        return;
+      }
+      const apiKey = await this.keyVault.decrypt(record, passphrase);
+      this.unlockInput.value = '';
+      this.showUnlockBar(false);
+
+      const isValid = await this.ai.init(apiKey);
+      this.updateConnectionStatus();
+      this.showMessage(isValid ? 'API key unlocked.' : 'API key unlocked, but the AI provider could not be reached.', isValid ? 'success' : 'error');
+    } catch (error) {
+      console.error('Failed to unlock API key:', error);
+      this.unlockInput.value = '';
+      this.showMessage(error.message || 'Failed to unlock API key.', 'error');
+    }
+  }
+
+  /**
+   * Delete the stored API key and disconnect the AI
+   */
+  async forgetApiKey() {
+    if (!confirm('Forget the saved API key? You will need to enter it again to use AI mode.')) return;
+
+    try {
+      await this.db.deleteSetting('apiKeyEncrypted');
+      await this.db.deleteSetting('apiKey');
+      this.legacyApiKey = null;
+      this.ai.apiKey = null;
+      this.ai.setAvailability(false, 'no_key');
+      this.apiKeyInput.value = '';
+      this.setApiKeyPlaceholder(false);
+      this.showUnlockBar(false);
+      this.updateConnectionStatus();
+      this.showMessage('API key forgotten.', 'success');
+    } catch (error) {
+      console.error('Failed to forget API key:', error);
+      this.showMessage('Failed to forget API key. Please try again.', 'error');
+    }
+  }
+
+  /**
+   * Hint in the API key field whether an encrypted key is already saved
+   */
+  setApiKeyPlaceholder(hasSavedKey) {
+    const key = hasSavedKey ? 'settings.apiKeySaved' : 'settings.apiKeyPlaceholder';
+    const lang = document.documentElement.getAttribute('lang') || 'en';
+    this.apiKeyInput.setAttribute('data-i18n-placeholder', key);
+    this.apiKeyInput.placeholder = (window.getTranslation && window.getTranslation(key, lang)) || '';
+  }
+
+  /**
+   * Show or hide the passphrase prompt for a locked API key; with encrypt,
+   * it asks for a passphrase to encrypt a key saved before encryption
+   */
+  showUnlockBar(show, encrypt = false) {
+    if (!this.unlockBar) return;
+    const lang = document.documentElement.getAttribute('lang') || 'en';
+    const t = (key, fallback) => (window.getTranslation && window.getTranslation(key, lang)) || fallback;
+    const label = document.getElementById('unlockLabel');
+    const button = document.getElementById('unlockButton');
+    const labelKey = encrypt ? 'unlock.encryptLabel' : 'unlock.label';
+    const buttonKey = encrypt ? 'unlock.encrypt' : 'unlock.button';
+    label.setAttribute('data-i18n', labelKey);
+    label.textContent = t(labelKey, label.textContent);
+    button.setAttribute('data-i18n', buttonKey);
+    button.textContent = t(buttonKey, button.textContent);
+    this.unlockInput.setAttribute('autocomplete', encrypt ? 'new-password' : 'current-password');
+
+    this.unlockBar.classList.toggle('show', show);
+    if (show) this.unlockInput.focus();
+  }
+
+  /**
+   * Fill the provider dropdown from the provider presets
+   */
+  populateProviderSelect() {
+    this.providerSelect.innerHTML = '';
+    Object.entries(LLMProviders.presets).forEach(([id, preset]) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = preset.label;
+      this.providerSelect.appendChild(option);
+    });
+    this.updateProviderInputs(this.ai.providerId, false);
+  }
+
+  /**
+   * Sync the endpoint and model inputs with the selected provider
+   */
+  updateProviderInputs(providerId, resetToDefaults) {
+    if (!this.providerSelect) return;
+    const preset = LLMProviders.getPreset(providerId);
+
+    this.providerSelect.value = providerId;
+    this.baseUrlInput.placeholder = preset.baseURL;
+    this.modelInput.placeholder = preset.defaultModel;
+    this.baseUrlInput.value = resetToDefaults ? preset.baseURL : this.ai.baseURL;
+    this.modelInput.value = resetToDefaults ? preset.defaultModel : this.ai.model;
+  }
+
   /**
    * Send a message
    */
   async sendMessage() {
     const message = this.messageInput.value.trim();
+    const voice = this.voiceMessage;
+    this.voiceMessage = false;
     if (!message || this.isTyping) return;
 
+    const detected = this.ai.detectTopic(this.ai.preprocessMessage(message));
+
+    // During a guided intake, file the exchange under the section it answers
+    const intakeSection = this.intake.active
+      ? (this.pendingIntakeSection || this.intake.sectionForTopic(detected))
+      : null;
+    const meta = intakeSection ? { section: intakeSection } : {};
+    this.pendingIntakeSection = null;
+
     // Add user message
-    this.addMessage(message, true);
+    this.addMessage(message, true, meta);
     this.messageInput.value = '';
     this.autoResizeTextarea();
 
+    await this.replyTo(message, detected, meta, voice);
+  }
+
+  /**
+   * Answer the user message at the end of the active branch
+   */
+  async replyTo(message, detected, meta = {}, voice = false) {
     // Show typing indicator
     this.showTyping();
+    const controller = new AbortController();
+    this.pendingReply = controller;
 
     try {
       let response;
-      // Force curated Polar responses for specific topics; otherwise, use AI if available
-      const curatedTopics = ['greeting', 'name', 'location', 'food', 'skills', 'problems', 'message'];
-      const detected = this.ai.detectTopic(this.ai.preprocessMessage(message));
-      if (detected && curatedTopics.includes(detected)) {
+      let streamed = false;
+      const startedAt = Date.now();
+      // The routing policy decides between a curated answer and the AI; the reply records which was used
+      const policy = this.routingPolicy;
+      const route = this.ai.chooseRoute(policy, detected, this.aiMode && this.ai.isAvailable);
+      const replyMeta = { ...meta, route, policy, topic: detected };
+      const options = { grounding: route === 'grounded' ? detected : null, signal: controller.signal };
+      if (route === 'curated') {
         response = this.ai.getFallbackResponse(message);
-      } else if (this.aiMode && this.ai.isAvailable) {
-        response = await this.ai.generateResponse(message, this.messages);
+      } else if (this.streaming) {
+        response = await this.streamResponse(message, replyMeta, options);
+        streamed = true;
       } else {
-        response = this.ai.getFallbackResponse(message);
+        // History is what came before the message, which is already stored
+        response = await this.ai.generateResponse(message, this.messages.slice(0, -1), options);
       }
+      const latencyMs = Date.now() - startedAt;
 
-      // Simulate typing delay
-      await this.delay(1000 + Math.random() * 1000);
-      
-      this.hideTyping();
-      this.addMessage(response, false);
+      if (!streamed) {
+        // Simulate typing delay
+        await this.delay(1000 + Math.random() * 1000, controller.signal);
+
+        this.hideTyping();
+        if (!controller.signal.aborted) {
+          this.addMessage(response, false, { ...replyMeta, ...this.getOfflineMeta(route) });
+        }
+      }
+
+      // Stopped before any text arrived: the question stays without an answer
+      if (controller.signal.aborted && (!streamed || !response)) {
+        if (this.autoSave) await this.saveConversation();
+        return;
+      }
+
+      if (this.intake.active) {
+        await this.updateIntake();
+      }
 
       // Save conversation if auto-save is enabled
       if (this.autoSave) {
@@ -193,134 +697,699 @@ class ChatManager {
       }
 
       // Track analytics
-      await this.db.saveAnalytics('message_sent', {
-        userMessage: message,
-        botResponse: response,
-        aiMode: this.aiMode,
-        timestamp: new Date().toISOString()
-      });
+      await this.trackReply({ message, response, route, policy, topic: detected, latencyMs, streamed, voice });
 
     } catch (error) {
       console.error('Error generating response:', error);
       this.hideTyping();
       this.addMessage("I'm having trouble thinking right now. Could you try asking me something else? 🐻‍❄️", false);
+    } finally {
+      this.pendingReply = null;
     }
   }
 
   /**
-   * Add a message to the chat
+   * Cancel the reply being generated; text that already streamed in is kept
    */
-  addMessage(content, isUser = false) {
-    const messageDiv = document.createElement('div');
-    messageDiv.className = `message ${isUser ? 'user' : 'bot'}`;
-    
-    const contentDiv = document.createElement('div');
-    contentDiv.className = 'message-content';
-    contentDiv.textContent = content;
-    
-    const timeDiv = document.createElement('div');
-    timeDiv.className = 'message-time';
-    timeDiv.textContent = new Date().toLocaleTimeString();
-    
-    contentDiv.appendChild(timeDiv);
-    messageDiv.appendChild(contentDiv);
-    
-    // Remove welcome message if it exists
-    const welcomeMessage = this.chatContainer.querySelector('.welcome-message');
-    if (welcomeMessage) {
-      welcomeMessage.remove();
+  stopReply() {
+    if (this.pendingReply) {
+      this.pendingReply.abort();
     }
-    
-    this.chatContainer.appendChild(messageDiv);
-    this.scrollToBottom();
-    
-    // Store message
-    this.messages.push({ 
-      role: isUser ? 'user' : 'assistant', 
-      content: content,
-      timestamp: new Date().toISOString()
+  }
+
+  /**
+   * Ask again for the bot message at index and keep the new answer as a
+   * version next to the earlier ones. The prompt is the user message before
+   * it, with the conversation up to that message as history.
+   */
+  async regenerateMessage(index) {
+    const target = this.messages[index];
+    const promptIndex = this.findPromptIndex(index);
+    const messageDiv = this.getMessageBubble(index);
+    if (this.isTyping || !target || promptIndex < 0 || !messageDiv) return;
+
+    const prompt = this.messages[promptIndex].content;
+    const history = this.messages.slice(0, promptIndex);
+    const topic = this.ai.detectTopic(this.ai.preprocessMessage(prompt));
+    const policy = this.routingPolicy;
+    const route = this.ai.chooseRoute(policy, topic, this.aiMode && this.ai.isAvailable);
+    const options = { grounding: route === 'grounded' ? topic : null };
+
+    const controller = new AbortController();
+    this.pendingReply = controller;
+    options.signal = controller.signal;
+    this.setBusy(true);
+    messageDiv.classList.add('streaming');
+
+    let response = '';
+    try {
+      if (route === 'curated') {
+        response = this.ai.getFallbackResponse(prompt);
+      } else if (this.streaming) {
+        response = await this.ai.generateResponseStream(prompt, history, (delta, fullText) => {
+          this.setMessageText(messageDiv, fullText);
+        }, options);
+      } else {
+        response = await this.ai.generateResponse(prompt, history, options);
+      }
+    } catch (error) {
+      console.error('Failed to regenerate response:', error);
+    } finally {
+      messageDiv.classList.remove('streaming');
+      this.pendingReply = null;
+      this.setBusy(false);
+    }
+
+    // Stopped before any text arrived: keep the answer that was there
+    if (!response) {
+      this.updateMessageBubble(messageDiv, target);
+      return;
+    }
+
+    this.addMessageVersion(index, {
+      content: response,
+      timestamp: new Date().toISOString(),
+      route,
+      policy,
+      topic,
+      ...this.getOfflineMeta(route),
+      stopped: controller.signal.aborted || undefined
     });
+    this.updateMessageBubble(messageDiv, this.messages[index]);
+    this.renderMessageActions(messageDiv, index);
+
+    if (this.autoSave) {
+      await this.saveConversation();
+    }
   }
 
   /**
-   * Show typing indicator
+   * Store a new answer for the message at index and make it the shown one.
+   * The first regeneration also keeps the original answer as version 1.
    */
-  showTyping() {
-    this.isTyping = true;
-    this.typingIndicator.classList.add('show');
-    this.sendButton.disabled = true;
-    this.scrollToBottom();
+  addMessageVersion(index, version) {
+    const message = this.messages[index];
+    if (!Array.isArray(message.versions)) {
+      const original = {};
+      this.versionFields.forEach(field => {
+        if (message[field] !== undefined) original[field] = message[field];
+      });
+      message.versions = [original];
+    }
+    message.versions.push(version);
+    this.applyMessageVersion(message, message.versions.length - 1);
   }
 
   /**
-   * Hide typing indicator
+   * Copy a version's fields onto the message, which is what history, exports
+   * and the blueprint read
    */
-  hideTyping() {
-    this.isTyping = false;
-    this.typingIndicator.classList.remove('show');
-    this.sendButton.disabled = false;
+  applyMessageVersion(message, versionIndex) {
+    const version = message.versions[versionIndex];
+    this.versionFields.forEach(field => {
+      if (version[field] === undefined) delete message[field];
+      else message[field] = version[field];
+    });
+    message.versionIndex = versionIndex;
   }
 
   /**
-   * Scroll to bottom of chat
+   * Step through the versions of the message at index (step -1 or 1)
    */
-  scrollToBottom() {
-    this.chatContainer.scrollTop = this.chatContainer.scrollHeight;
+  async showMessageVersion(index, step) {
+    const message = this.messages[index];
+    if (this.isTyping || !message || !Array.isArray(message.versions)) return;
+
+    const current = message.versionIndex !== undefined ? message.versionIndex : message.versions.length - 1;
+    const next = Math.max(0, Math.min(message.versions.length - 1, current + step));
+    if (next === current) return;
+
+    this.applyMessageVersion(message, next);
+    const messageDiv = this.getMessageBubble(index);
+    if (messageDiv) {
+      this.updateMessageBubble(messageDiv, message);
+      this.renderMessageActions(messageDiv, index);
+    }
+
+    if (this.autoSave) {
+      await this.saveConversation();
+    }
   }
 
   /**
-   * Auto-resize textarea
+   * Swap the text of the user message at index for an editor; sending the
+   * edit forks the conversation at that message
    */
-  autoResizeTextarea() {
-    this.messageInput.style.height = 'auto';
-    this.messageInput.style.height = Math.min(this.messageInput.scrollHeight, 120) + 'px';
+  startEditingMessage(index) {
+    const message = this.messages[index];
+    const messageDiv = this.getMessageBubble(index);
+    if (this.isTyping || !message || message.role !== 'user' || !messageDiv) return;
+    if (messageDiv.querySelector('.message-editor')) return;
+
+    const t = (key, fallback) => (window.getTranslation && window.getTranslation(key, this.lang)) || fallback;
+    const contentDiv = messageDiv.querySelector('.message-content');
+    const editor = document.createElement('div');
+    editor.className = 'message-editor';
+
+    const input = document.createElement('textarea');
+    input.className = 'message-edit-input';
+    input.value = message.content;
+    input.rows = Math.min(6, message.content.split('\n').length + 1);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'message-edit-buttons';
+    const save = document.createElement('button');
+    save.type = 'button';
+    save.className = 'message-edit-save';
+    save.setAttribute('data-i18n', 'message.sendEdit');
+    save.textContent = t('message.sendEdit', 'Send');
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.className = 'message-edit-cancel';
+    cancel.setAttribute('data-i18n', 'export.cancel');
+    cancel.textContent = t('export.cancel', 'Cancel');
+    buttons.appendChild(cancel);
+    buttons.appendChild(save);
+
+    editor.appendChild(input);
+    editor.appendChild(buttons);
+    messageDiv.classList.add('editing');
+    contentDiv.appendChild(editor);
+    input.focus();
+
+    const close = () => {
+      editor.remove();
+      messageDiv.classList.remove('editing');
+    };
+    cancel.addEventListener('click', close);
+    save.addEventListener('click', () => {
+      close();
+      this.editMessage(index, input.value);
+    });
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        save.click();
+      } else if (e.key === 'Escape') {
+        close();
+      }
+    });
   }
 
   /**
-   * Toggle settings panel
+   * Resend the user message at index with new text. The edit becomes a new
+   * branch next to the original, which keeps its replies; Polar answers the
+   * edit with the messages before it as history.
    */
-  toggleSettingsPanel() {
-    this.settingsPanel.classList.toggle('show');
+  async editMessage(index, text) {
+    const original = this.messages[index];
+    const content = String(text || '').trim();
+    if (this.isTyping || !original || original.role !== 'user') return;
+    if (!content || content === original.content) return;
+
+    const detected = this.ai.detectTopic(this.ai.preprocessMessage(content));
+    const meta = original.section ? { section: original.section } : {};
+    this.tree.branch(original.id, {
+      role: 'user',
+      content,
+      timestamp: new Date().toISOString(),
+      ...meta
+    });
+    this.messages = this.tree.getActivePath();
+    this.renderConversation();
+    this.restoreIntake();
+
+    await this.replyTo(content, detected, meta);
   }
 
   /**
-   * Toggle AI mode
+   * Show the previous (step -1) or next (step 1) branch at the user message at index
    */
-  toggleAIMode() {
-    this.aiMode = !this.aiMode;
-    this.updateToggleStates();
+  async showBranch(index, step) {
+    const message = this.messages[index];
+    if (this.isTyping || !message || !this.tree.selectSibling(message.id, step)) return;
+
+    this.messages = this.tree.getActivePath();
+    this.renderConversation();
+    this.restoreIntake();
+
+    if (this.autoSave) {
+      await this.saveConversation();
+    }
   }
 
   /**
-   * Toggle auto-save
+   * Render the active branch from scratch
    */
-  toggleAutoSave() {
-    this.autoSave = !this.autoSave;
-    this.updateToggleStates();
+  renderConversation() {
+    this.chatContainer.innerHTML = '';
+    if (this.messages.length === 0) {
+      this.showWelcome();
+      return;
+    }
+    this.messages.forEach((msg, index) => {
+      const messageDiv = this.renderMessage(msg.content, msg.role === 'user', msg.timestamp, msg);
+      this.renderMessageActions(messageDiv, index);
+    });
   }
 
   /**
-   * Update toggle states
+   * Recompute intake coverage for the active branch
    */
-  updateToggleStates() {
-    this.aiModeToggle.classList.toggle('active', this.aiMode);
-    this.autoSaveToggle.classList.toggle('active', this.autoSave);
+  restoreIntake() {
+    if (!this.intake.active) return;
+    this.intake.restore(this.intake.toJSON(), this.messages);
+    this.renderIntake();
   }
 
   /**
-   * Voice input via Web Speech API
+   * Index of the user message a bot message answers, or -1
    */
-  ensureRecognizer() {
-    if (this.recognizer) return this.recognizer;
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    if (!SpeechRecognition) return null;
-    const rec = new SpeechRecognition();
-    rec.continuous = false;
-    rec.interimResults = true;
-    rec.lang = (document.documentElement.getAttribute('lang') || 'en').toLowerCase() === 'es' ? 'es-ES' : 'en-US';
+  findPromptIndex(index) {
+    const message = this.messages[index];
+    if (!message || message.role !== 'assistant') return -1;
+    for (let i = index - 1; i >= 0; i--) {
+      if (this.messages[i].role === 'user') return i;
+    }
+    return -1;
+  }
 
-    rec.onstart = () => {
-      if (this.micButton) this.micButton.classList.add('active');
+  /**
+   * The rendered bubble of the message at index
+   */
+  getMessageBubble(index) {
+    return this.chatContainer.querySelector(`.message[data-index="${index}"]`);
+  }
+
+  /**
+   * Record the analytics events of one exchange: the message, where the reply
+   * came from with its token usage, and any AI errors or fallback
+   */
+  async trackReply({ message, response, route, policy, topic, latencyMs, streamed, voice }) {
+    const outcome = route === 'curated' ? null : this.ai.lastOutcome;
+    const provider = this.ai.providerId;
+    const model = this.ai.model;
+    // Who answered: the route taken, unless the AI failed or was stopped
+    let source = 'curated';
+    if (outcome) source = outcome.source === 'ai' ? route : outcome.source;
+
+    await this.analytics.track('message_sent', {
+      conversationId: this.conversationId,
+      lang: this.lang,
+      aiMode: this.aiMode,
+      policy,
+      route,
+      source,
+      topic,
+      latencyMs,
+      messageLength: message.length,
+      voice,
+      userMessage: message,
+      botResponse: response
+    });
+
+    const usage = (outcome && outcome.usage) || {};
+    await this.analytics.track('response_source', {
+      conversationId: this.conversationId,
+      source,
+      route,
+      policy,
+      topic,
+      provider: outcome ? provider : undefined,
+      model: outcome ? model : undefined,
+      streamed,
+      latencyMs,
+      promptTokens: usage.promptTokens,
+      completionTokens: usage.completionTokens,
+      tokensEstimated: usage.estimated,
+      responseLength: response.length
+    });
+
+    for (const error of (outcome && outcome.errors) || []) {
+      await this.analytics.track('ai_error', { provider, model, streamed, error });
+    }
+
+    // A curated reply where the AI should have answered
+    const unavailable = route === 'curated' && this.aiMode && !this.ai.isAvailable;
+    if (unavailable || (outcome && outcome.source === 'fallback')) {
+      await this.analytics.track('fallback_used', {
+        reason: outcome ? outcome.reason : 'unavailable',
+        errorKind: outcome ? outcome.errorKind : this.ai.unavailableReason,
+        topic,
+        provider,
+        model
+      });
+    }
+  }
+
+  /**
+   * Stream an AI response into a bot bubble as tokens arrive; message is the
+   * user message stored last in this.messages
+   */
+  async streamResponse(message, meta = {}, options = {}) {
+    let messageDiv = null;
+
+    const response = await this.ai.generateResponseStream(message, this.messages.slice(0, -1), (delta, fullText) => {
+      if (!messageDiv) {
+        // First token: swap the typing indicator for a live bubble
+        this.typingIndicator.classList.remove('show');
+        messageDiv = this.renderMessage('', false);
+        messageDiv.classList.add('streaming');
+      }
+      this.setMessageText(messageDiv, fullText);
+      this.scrollToBottom();
+    }, options);
+
+    this.hideTyping();
+    const stopped = !!(options.signal && options.signal.aborted);
+
+    if (messageDiv) {
+      messageDiv.classList.remove('streaming');
+      if (!response) {
+        messageDiv.remove();
+        return response;
+      }
+      const replyMeta = stopped ? { ...meta, stopped: true } : meta;
+      this.setMessageText(messageDiv, response);
+      this.renderBadges(messageDiv.querySelector('.message-content'), replyMeta);
+      this.storeMessage(response, false, replyMeta);
+      this.renderMessageActions(messageDiv, this.messages.length - 1);
+    } else if (!stopped) {
+      // Stream failed before any text arrived; response is the degraded answer
+      this.addMessage(response, false, { ...meta, ...this.getOfflineMeta(meta.route) });
+    }
+
+    return response;
+  }
+
+  /**
+   * Meta fields marking a reply answered offline: AI mode is on but the reply
+   * is curated because the AI is down or its request failed
+   */
+  getOfflineMeta(route) {
+    if (!this.aiMode) return {};
+    if (route === 'curated') {
+      return this.ai.isAvailable ? {} : { offline: true, offlineReason: this.ai.unavailableReason || 'unavailable' };
+    }
+    const outcome = this.ai.lastOutcome;
+    if (outcome && outcome.source === 'fallback') {
+      return { offline: true, offlineReason: outcome.errorKind || outcome.reason };
+    }
+    return {};
+  }
+
+  /**
+   * Add a message to the chat
+   */
+  addMessage(content, isUser = false, meta = {}) {
+    const messageDiv = this.renderMessage(content, isUser, null, meta);
+    this.storeMessage(content, isUser, meta);
+    this.renderMessageActions(messageDiv, this.messages.length - 1);
+  }
+
+  /**
+   * Render a message bubble without storing it; meta.offline and meta.stopped
+   * add badges
+   */
+  renderMessage(content, isUser = false, timestamp = null, meta = {}) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = `message ${isUser ? 'user' : 'bot'}`;
+    
+    const contentDiv = document.createElement('div');
+    contentDiv.className = 'message-content';
+
+    const textSpan = document.createElement('span');
+    textSpan.className = 'message-text';
+    textSpan.textContent = content;
+    
+    const timeDiv = document.createElement('div');
+    timeDiv.className = 'message-time';
+    timeDiv.textContent = (timestamp ? new Date(timestamp) : new Date()).toLocaleTimeString();
+    
+    contentDiv.appendChild(textSpan);
+    contentDiv.appendChild(timeDiv);
+    this.renderBadges(contentDiv, meta);
+    messageDiv.appendChild(contentDiv);
+    
+    // Remove welcome message if it exists
+    const welcomeMessage = this.chatContainer.querySelector('.welcome-message');
+    if (welcomeMessage) {
+      welcomeMessage.remove();
+    }
+    
+    this.chatContainer.appendChild(messageDiv);
+    this.scrollToBottom();
+
+    return messageDiv;
+  }
+
+  /**
+   * Show the badges of a message before its time, replacing any shown
+   */
+  renderBadges(contentDiv, meta = {}) {
+    contentDiv.querySelectorAll('.message-badge').forEach(badge => badge.remove());
+    const timeDiv = contentDiv.querySelector('.message-time');
+    if (meta.offline) {
+      contentDiv.insertBefore(this.createOfflineBadge(meta.offlineReason), timeDiv);
+    }
+    if (meta.stopped) {
+      const badge = document.createElement('span');
+      badge.className = 'message-badge stopped';
+      badge.setAttribute('data-i18n', 'message.stopped');
+      badge.textContent = (window.getTranslation && window.getTranslation('message.stopped', this.lang)) || 'Stopped';
+      contentDiv.insertBefore(badge, timeDiv);
+    }
+  }
+
+  /**
+   * Show a stored message (e.g. another version) in its existing bubble
+   */
+  updateMessageBubble(messageDiv, message) {
+    const contentDiv = messageDiv.querySelector('.message-content');
+    this.setMessageText(messageDiv, message.content);
+    const timeDiv = contentDiv.querySelector('.message-time');
+    if (timeDiv && message.timestamp) {
+      timeDiv.textContent = new Date(message.timestamp).toLocaleTimeString();
+    }
+    this.renderBadges(contentDiv, message);
+  }
+
+  /**
+   * Buttons under a message: edit and the branch switcher for a user message,
+   * regenerate and the version switcher for a bot message that answers one.
+   * Also tags the bubble with its index in this.messages.
+   */
+  renderMessageActions(messageDiv, index) {
+    messageDiv.dataset.index = String(index);
+    const contentDiv = messageDiv.querySelector('.message-content');
+    const existing = contentDiv.querySelector('.message-actions');
+    if (existing) existing.remove();
+
+    const message = this.messages[index];
+    const isUser = message && message.role === 'user';
+    if (!isUser && this.findPromptIndex(index) < 0) return;
+
+    const t = (key, fallback) => (window.getTranslation && window.getTranslation(key, this.lang)) || fallback;
+    const actions = document.createElement('div');
+    actions.className = 'message-actions';
+
+    const addButton = (action, icon, key, fallback, disabled = false) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'message-action';
+      button.dataset.action = action;
+      button.disabled = disabled;
+      button.setAttribute('data-i18n-title', key);
+      button.title = t(key, fallback);
+      button.setAttribute('aria-label', button.title);
+      button.innerHTML = `<i class="fas ${icon}"></i>`;
+      actions.appendChild(button);
+    };
+
+    const addCounter = text => {
+      const counter = document.createElement('span');
+      counter.className = 'message-version';
+      counter.textContent = text;
+      actions.appendChild(counter);
+    };
+
+    if (isUser) {
+      const { index: branch, count } = this.tree.getBranchInfo(message.id);
+      if (count > 1) {
+        addButton('previous-branch', 'fa-chevron-left', 'message.previousBranch', 'Previous branch', branch === 0);
+        addCounter(`${branch + 1} / ${count}`);
+        addButton('next-branch', 'fa-chevron-right', 'message.nextBranch', 'Next branch', branch === count - 1);
+      }
+      addButton('edit', 'fa-pen', 'message.edit', 'Edit and resend');
+      contentDiv.appendChild(actions);
+      return;
+    }
+
+    const versions = Array.isArray(message.versions) ? message.versions.length : 1;
+    if (versions > 1) {
+      const current = message.versionIndex !== undefined ? message.versionIndex : versions - 1;
+      addButton('previous-version', 'fa-chevron-left', 'message.previousVersion', 'Previous version', current === 0);
+      addCounter(`${current + 1} / ${versions}`);
+      addButton('next-version', 'fa-chevron-right', 'message.nextVersion', 'Next version', current === versions - 1);
+    }
+    addButton('regenerate', 'fa-redo', 'message.regenerate', 'Regenerate');
+
+    contentDiv.appendChild(actions);
+  }
+
+  /**
+   * Badge for a reply answered without the AI; its tooltip says why
+   */
+  createOfflineBadge(reason) {
+    const t = key => (window.getTranslation && window.getTranslation(key, this.lang)) || null;
+    const reasonKey = `offline.${reason || 'unavailable'}`;
+
+    const badge = document.createElement('span');
+    badge.className = 'message-badge offline';
+    badge.setAttribute('data-i18n', 'message.offline');
+    badge.textContent = t('message.offline') || 'Answered offline';
+    badge.setAttribute('data-i18n-title', reasonKey);
+    badge.title = t(reasonKey) || t('offline.unavailable') || '';
+    return badge;
+  }
+
+  /**
+   * Replace the text of a rendered message bubble
+   */
+  setMessageText(messageDiv, content) {
+    const textSpan = messageDiv.querySelector('.message-text');
+    if (textSpan) {
+      textSpan.textContent = content;
+    }
+  }
+
+  /**
+   * Store a message in the conversation history; meta adds fields such as the intake section
+   */
+  storeMessage(content, isUser = false, meta = {}) {
+    this.tree.append({
+      role: isUser ? 'user' : 'assistant', 
+      content: content,
+      timestamp: new Date().toISOString(),
+      ...meta
+    });
+    this.messages = this.tree.getActivePath();
+  }
+
+  /**
+   * Show typing indicator
+   */
+  showTyping() {
+    this.typingIndicator.classList.add('show');
+    this.setBusy(true);
+    this.scrollToBottom();
+  }
+
+  /**
+   * While a reply is being generated, swap the Send button for Stop
+   */
+  setBusy(busy) {
+    this.isTyping = busy;
+    this.sendButton.disabled = busy;
+    if (this.stopButton) {
+      this.stopButton.hidden = !busy;
+      this.sendButton.hidden = busy;
+    }
+  }
+
+  /**
+   * Hide typing indicator
+   */
+  hideTyping() {
+    this.typingIndicator.classList.remove('show');
+    this.setBusy(false);
+  }
+
+  /**
+   * Scroll to bottom of chat
+   */
+  scrollToBottom() {
+    this.chatContainer.scrollTop = this.chatContainer.scrollHeight;
+  }
+
+  /**
+   * Auto-resize textarea
+   */
+  autoResizeTextarea() {
+    this.messageInput.style.height = 'auto';
+    this.messageInput.style.height = Math.min(this.messageInput.scrollHeight, 120) + 'px';
+  }
+
+  /**
+   * Toggle settings panel
+   */
+  toggleSettingsPanel() {
+    this.settingsPanel.classList.toggle('show');
+  }
+
+  /**
+   * Toggle AI mode
+   */
+  toggleAIMode() {
+    this.aiMode = !this.aiMode;
+    this.updateToggleStates();
+  }
+
+  /**
+   * Toggle auto-save
+   */
+  toggleAutoSave() {
+    this.autoSave = !this.autoSave;
+    this.updateToggleStates();
+  }
+
+  /**
+   * Toggle streaming responses
+   */
+  toggleStreaming() {
+    this.streaming = !this.streaming;
+    this.updateToggleStates();
+  }
+
+  /**
+   * Toggle AI blueprint extraction
+   */
+  toggleAIBlueprint() {
+    this.aiBlueprint = !this.aiBlueprint;
+    this.updateToggleStates();
+  }
+
+  /**
+   * Update toggle states
+   */
+  updateToggleStates() {
+    this.aiModeToggle.classList.toggle('active', this.aiMode);
+    this.autoSaveToggle.classList.toggle('active', this.autoSave);
+    if (this.streamingToggle) {
+      this.streamingToggle.classList.toggle('active', this.streaming);
+    }
+    if (this.aiBlueprintToggle) {
+      this.aiBlueprintToggle.classList.toggle('active', this.aiBlueprint);
+    }
+    if (this.privacyToggle) {
+      this.privacyToggle.classList.toggle('active', this.analytics.privacyMode);
+    }
+  }
+
+  /**
+   * Voice input via Web Speech API
+   */
+  ensureRecognizer() {
+    if (this.recognizer) return this.recognizer;
+    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    if (!SpeechRecognition) return null;
+    const rec = new SpeechRecognition();
+    rec.continuous = false;
+    rec.interimResults = true;
+    rec.lang = LanguagePacks.getLocale(document.documentElement.getAttribute('lang'));
+
+    rec.onstart = () => {
+      if (this.micButton) this.micButton.classList.add('active');
     };
     rec.onend = () => {
       if (this.micButton) this.micButton.classList.remove('active');
@@ -343,6 +1412,8 @@ class ChatManager {
         this.autoResizeTextarea();
       }
       if (finalTranscript && finalTranscript.trim()) {
+        this.analytics.track('voice_used', { lang: this.lang, messageLength: finalTranscript.trim().length });
+        this.voiceMessage = true;
         this.sendMessage();
       }
     };
@@ -362,7 +1433,7 @@ class ChatManager {
         rec.stop();
         this.isListening = false;
       } else {
-        rec.lang = (document.documentElement.getAttribute('lang') || 'en').toLowerCase() === 'es' ? 'es-ES' : 'en-US';
+        rec.lang = LanguagePacks.getLocale(document.documentElement.getAttribute('lang'));
         rec.start();
         this.isListening = true;
       }
@@ -376,20 +1447,65 @@ class ChatManager {
    */
   updateConnectionStatus() {
     const statusIndicator = document.getElementById('statusIndicator');
-    
+    const t = key => (window.getTranslation && window.getTranslation(key, this.lang)) || null;
+    this.updateModelOptions();
+
+    // data-i18n follows the state so a language switch keeps the right text
+    const reason = this.ai.unavailableReason;
+    let key = 'status.fallback';
+    if (this.ai.isAvailable) key = 'status.connected';
+    else if (reason) key = 'status.offline';
+    const fallbackText = { 'status.connected': 'AI Connected', 'status.fallback': 'Fallback Mode', 'status.offline': 'AI Offline' };
+    this.connectionStatus.setAttribute('data-i18n', key);
+    this.connectionStatus.textContent = t(key) || fallbackText[key];
+    this.connectionStatus.style.color = '#ffffff';
+    statusIndicator.title = reason && !this.ai.isAvailable ? (t(`offline.${reason}`) || '') : '';
+
     if (this.ai.isAvailable) {
-      this.connectionStatus.textContent = 'AI Connected';
-      this.connectionStatus.style.color = '#ffffff';
       statusIndicator.classList.remove('offline');
       statusIndicator.classList.add('ai-connected');
     } else {
-      this.connectionStatus.textContent = 'Fallback Mode';
-      this.connectionStatus.style.color = '#ffffff';
       statusIndicator.classList.remove('ai-connected');
       statusIndicator.classList.add('offline');
     }
   }
 
+  /**
+   * Tell the user when the AI goes down mid-chat and when it is back
+   */
+  handleAvailabilityChange(available, reason) {
+    const t = key => (window.getTranslation && window.getTranslation(key, this.lang)) || null;
+    this.updateConnectionStatus();
+    if (available) {
+      this.showMessage(t('status.recovered') || 'The AI is back online.', 'success');
+    } else {
+      const why = t(`offline.${reason}`) || t('offline.unavailable') || '';
+      this.showMessage(`${t('status.wentOffline') || 'The AI is offline; Polar will answer from curated replies.'} ${why}`.trim(), 'error');
+    }
+  }
+
+  /**
+   * Fill the model picker with the models listed by the provider
+   */
+  updateModelOptions() {
+    if (!this.modelOptions) return;
+    this.modelOptions.innerHTML = '';
+    this.ai.availableModels.forEach(id => {
+      const option = document.createElement('option');
+      option.value = id;
+      this.modelOptions.appendChild(option);
+    });
+  }
+
+  /**
+   * Show the current model parameters in the settings panel (values are clamped by the AI service)
+   */
+  updateParamInputs() {
+    Object.entries(this.paramInputs).forEach(([name, input]) => {
+      if (input) input.value = this.ai[name];
+    });
+  }
+
   /**
    * Show message to user
    */
@@ -413,11 +1529,18 @@ class ChatManager {
    * Save conversation to database
    */
   async saveConversation() {
+    if (this.messages.length === 0) return;
+
     try {
       await this.db.saveConversation({
+        id: this.conversationId,
+        title: this.conversationTitle,
+        pinned: this.conversationPinned,
         messages: this.messages,
+        tree: this.tree.toJSON(),
         sessionId: this.db.getSessionId(),
         aiMode: this.aiMode,
+        intake: this.intake.toJSON(),
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -426,19 +1549,51 @@ class ChatManager {
   }
 
   /**
-   * Export conversation
+   * Open the export dialog for a conversation (defaults to the current one)
+   */
+  exportConversation(conversationId = null) {
+    this.exportConversationId = conversationId;
+    this.historyPanel.classList.remove('show');
+    this.exportDialog.classList.add('show');
+  }
+
+  /**
+   * Export using the options chosen in the export dialog
    */
-  async exportConversation() {
+  async confirmExport() {
+    const selected = this.exportDialog.querySelector('input[name="exportFormat"]:checked');
+    const format = selected ? selected.value : 'markdown';
+    const includeBlueprint = document.getElementById('exportIncludeBlueprint').checked;
+
+    if (format === 'json') {
+      await this.exportAllData();
+      this.exportDialog.classList.remove('show');
+      return;
+    }
+
     try {
-      const data = await this.db.exportData();
-      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `polar-bear-conversation-${new Date().toISOString().split('T')[0]}.json`;
-      a.click();
-      URL.revokeObjectURL(url);
-      
+      const conversation = this.exportConversationId && this.exportConversationId !== this.conversationId
+        ? await this.db.getConversation(this.exportConversationId)
+        : { id: this.conversationId, title: this.conversationTitle, messages: this.messages, tree: this.tree.toJSON(), createdAt: this.messages.length ? this.messages[0].timestamp : null };
+
+      if (!conversation || !conversation.messages || conversation.messages.length === 0) {
+        this.showMessage('Nothing to export yet. Send a message first.', 'error');
+        return;
+      }
+
+      let blueprint = null;
+      if (includeBlueprint && window.BlueprintGenerator) {
+        blueprint = await window.BlueprintGenerator.getCuratedBlueprint(conversation);
+      }
+
+      new ConversationExporter().download(format, conversation, blueprint);
+      this.analytics.track('export', {
+        format,
+        scope: 'conversation',
+        includeBlueprint: !!blueprint,
+        messageCount: conversation.messages.length
+      });
+      this.exportDialog.classList.remove('show');
       this.showMessage('Conversation exported successfully!', 'success');
     } catch (error) {
       console.error('Failed to export conversation:', error);
@@ -447,57 +1602,749 @@ class ChatManager {
   }
 
   /**
-   * Reset chat
+   * Open the analytics dashboard, last 30 days by default
    */
-  async resetChat() {
-    if (confirm('Are you sure you want to start a new conversation? This will clear the current chat.')) {
-      this.messages = [];
-      this.chatContainer.innerHTML = `
-        <div class="welcome-message">
-          <h3 data-i18n="welcome.title">Welcome to Polar's Arctic World! 🌨️</h3>
-          <p data-i18n="welcome.body">I'm here to help you with your Arctic intake process. Ask me anything about life in the Arctic!</p>
-          <div class="quick-actions">
-            <div class="quick-action" data-question="What's your name?" data-i18n-question="qa.name">
-              <i class="fas fa-user"></i> <span data-i18n="qa.name">What's your name?</span>
-            </div>
-            <div class="quick-action" data-question="Where do you live?" data-i18n-question="qa.location">
-              <i class="fas fa-map-marker-alt"></i> <span data-i18n="qa.location">Where do you live?</span>
-            </div>
-            <div class="quick-action" data-question="What do you eat?" data-i18n-question="qa.diet">
-              <i class="fas fa-fish"></i> <span data-i18n="qa.diet">What do you eat?</span>
-            </div>
-            <div class="quick-action" data-question="What are your special skills?" data-i18n-question="qa.skills">
-              <i class="fas fa-star"></i> <span data-i18n="qa.skills">What are your skills?</span>
-            </div>
-            <div class="quick-action" data-question="What challenges do you face?" data-i18n-question="qa.challenges">
-              <i class="fas fa-exclamation-triangle"></i> <span data-i18n="qa.challenges">What challenges do you face?</span>
-            </div>
-          </div>
-        </div>
-      `;
+  async openAnalytics() {
+    if (!this.analyticsRange) {
+      this.analyticsRange = this.dashboard.getRecentRange(30);
+    }
+    this.analyticsDialog.classList.add('show');
+    await this.refreshAnalytics();
+  }
 
-      // Re-attach quick-action clicks
-      document.querySelectorAll('.quick-action').forEach(button => {
-        button.addEventListener('click', (e) => {
-          const question = e.currentTarget.dataset.question;
-          this.messageInput.value = question;
-          this.sendMessage();
-        });
-      });
+  /**
+   * Redraw the dashboard for the selected date range
+   */
+  async refreshAnalytics() {
+    const range = this.analyticsRange;
+    this.analyticsFrom.value = range.from || '';
+    this.analyticsTo.value = range.to || '';
+
+    try {
+      const { lower, upper } = this.dashboard.getBounds(range);
+      const events = await this.db.getAnalyticsInRange(lower, upper);
+      const blueprints = await this.db.getBlueprints();
+      const summary = this.dashboard.summarize(events, blueprints, range,
+        text => this.ai.detectTopic(this.ai.preprocessMessage(text)));
 
-      // Re-apply current language
       const lang = document.documentElement.getAttribute('lang') || 'en';
-      if (window.applyTranslations) window.applyTranslations(lang);
+      this.dashboard.render({
+        tiles: {
+          messages: document.getElementById('analyticsMessages'),
+          sessions: document.getElementById('analyticsSessions'),
+          latency: document.getElementById('analyticsLatency'),
+          blueprints: document.getElementById('analyticsBlueprints')
+        },
+        days: document.getElementById('analyticsDays'),
+        routes: document.getElementById('analyticsRoutes'),
+        topics: document.getElementById('analyticsTopics'),
+        sections: document.getElementById('analyticsSections')
+      }, summary, {
+        t: key => (window.getTranslation && window.getTranslation(key, lang)) || key,
+        locale: LanguagePacks.getLocale(lang)
+      });
+    } catch (error) {
+      console.error('Failed to load analytics:', error);
+      this.showMessage('Failed to load analytics. Please try again.', 'error');
+    }
+  }
+
+  /**
+   * Export all conversations, settings and analytics as a JSON backup
+   */
+  async exportAllData() {
+    try {
+      const data = await this.db.exportData();
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `polar-bear-conversation-${new Date().toISOString().split('T')[0]}.json`;
+      a.click();
+      URL.revokeObjectURL(url);
+      this.analytics.track('export', { format: 'json', scope: 'all' });
+      
+      this.showMessage('Conversation exported successfully!', 'success');
+    } catch (error) {
+      console.error('Failed to export conversation:', error);
+      this.showMessage('Failed to export conversation. Please try again.', 'error');
+    }
+  }
 
+  /**
+   * Import conversations, settings and analytics from an export file
+   */
+  async importConversations(file) {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      this.showMessage('That file is not valid JSON.', 'error');
+      return;
+    }
+
+    const replace = confirm('Replace all existing conversations, settings, analytics and blueprints with this file?\n\nOK = replace, Cancel = merge with existing data.');
+
+    try {
+      const report = await this.db.importData(data, replace ? 'replace' : 'merge');
+      if (replace) {
+        this.startNewConversation();
+      }
+      await this.loadSettings();
+
+      const c = report.conversations;
+      this.showMessage(`Imported ${c.added} new and ${c.updated} updated conversations, ${report.settings.added} settings, ${report.analytics.added} analytics events and ${report.blueprints.added} blueprints.`, 'success');
+
+      if (report.conflicts.length > 0) {
+        const kept = report.conflicts.filter(conflict => conflict.resolution === 'local').length;
+        console.warn('Import conflicts:', report.conflicts);
+        this.showMessage(`${report.conflicts.length} conflicts: ${report.conflicts.length - kept} replaced by the newer imported copy, ${kept} kept from this device.`, 'info');
+      }
+
+      // Open history so an imported chat can be picked up and continued
+      this.historyPanel.classList.add('show');
+      await this.renderHistory();
+    } catch (error) {
+      console.error('Failed to import data:', error);
+      this.showMessage(error.message || 'Failed to import data. Please try again.', 'error');
+    }
+  }
+
+  /**
+   * Reset chat
+   */
+  async resetChat() {
+    if (confirm('Are you sure you want to start a new conversation? This will clear the current chat.')) {
+      this.startNewConversation();
       this.messageInput.focus();
     }
   }
 
   /**
-   * Utility function for delays
+   * Start a fresh conversation and show the welcome screen
+   */
+  startNewConversation() {
+    this.tree = new ConversationTree();
+    this.messages = [];
+    this.conversationId = this.db.createConversationId();
+    this.conversationTitle = null;
+    this.conversationPinned = false;
+    this.intake.reset();
+    this.renderIntake();
+    this.showWelcome();
+  }
+
+  /**
+   * Show the welcome message with quick actions
+   */
+  showWelcome() {
+    this.chatContainer.innerHTML = `
+      <div class="welcome-message">
+        <h3 data-i18n="welcome.title">Welcome to Polar's Arctic World! 🌨️</h3>
+        <p data-i18n="welcome.body">I'm here to help you with your Arctic intake process. Ask me anything about life in the Arctic!</p>
+        <div class="quick-actions">
+          <div class="quick-action" data-question="What's your name?" data-i18n-question="qa.name">
+            <i class="fas fa-user"></i> <span data-i18n="qa.name">What's your name?</span>
+          </div>
+          <div class="quick-action" data-question="Where do you live?" data-i18n-question="qa.location">
+            <i class="fas fa-map-marker-alt"></i> <span data-i18n="qa.location">Where do you live?</span>
+          </div>
+          <div class="quick-action" data-question="What do you eat?" data-i18n-question="qa.diet">
+            <i class="fas fa-fish"></i> <span data-i18n="qa.diet">What do you eat?</span>
+          </div>
+          <div class="quick-action" data-question="What are your special skills?" data-i18n-question="qa.skills">
+            <i class="fas fa-star"></i> <span data-i18n="qa.skills">What are your skills?</span>
+          </div>
+          <div class="quick-action" data-question="What challenges do you face?" data-i18n-question="qa.challenges">
+            <i class="fas fa-exclamation-triangle"></i> <span data-i18n="qa.challenges">What challenges do you face?</span>
+          </div>
+        </div>
+      </div>
+    `;
+
+    // Re-attach quick-action clicks
+    document.querySelectorAll('.quick-action').forEach(button => {
+      button.addEventListener('click', (e) => {
+        const question = e.currentTarget.dataset.question;
+        this.messageInput.value = question;
+        this.sendMessage();
+      });
+    });
+
+    // Re-apply current language
+    const lang = document.documentElement.getAttribute('lang') || 'en';
+    if (window.applyTranslations) window.applyTranslations(lang);
+
+    this.applyPersonaWelcome();
+  }
+
+  /**
+   * Replace the welcome greeting and quick actions with the active persona's, if it has any
+   */
+  applyPersonaWelcome() {
+    const welcome = this.chatContainer.querySelector('.welcome-message');
+    if (!welcome || !this.persona || this.persona.builtIn) return;
+
+    const lang = document.documentElement.getAttribute('lang') || 'en';
+    const greeting = this.personas.getText(this.persona, 'greeting', lang);
+    const questions = this.personas.getText(this.persona, 'quickActions', lang);
+    welcome.dataset.persona = this.persona.id;
+
+    const body = welcome.querySelector('p');
+    if (greeting && body) {
+      body.removeAttribute('data-i18n');
+      body.textContent = greeting;
+    }
+
+    const quickActions = welcome.querySelector('.quick-actions');
+    if (questions && quickActions) {
+      quickActions.className = 'quick-actions';
+      quickActions.innerHTML = '';
+      questions.forEach(question => {
+        const button = document.createElement('div');
+        button.className = 'quick-action';
+        button.dataset.question = question;
+        const icon = document.createElement('i');
+        icon.className = 'fas fa-comment-dots';
+        const label = document.createElement('span');
+        label.textContent = question;
+        button.append(icon, ' ', label);
+        button.addEventListener('click', () => {
+          this.messageInput.value = question;
+          this.sendMessage();
+        });
+        quickActions.appendChild(button);
+      });
+    }
+  }
+
+  /**
+   * Load the active persona profile
+   */
+  async loadPersona() {
+    try {
+      this.applyPersona(await this.personas.getActive());
+    } catch (error) {
+      console.error('Failed to load persona:', error);
+    }
+  }
+
+  /**
+   * Use a persona for prompts, fallbacks and the welcome screen
+   */
+  applyPersona(persona) {
+    const welcome = this.chatContainer.querySelector('.welcome-message');
+    const welcomeChanged = welcome && welcome.dataset.persona;
+
+    this.persona = persona;
+    this.ai.setPersona(persona);
+    this.renderPersonaSelects();
+
+    if (this.messages.length === 0 && (!persona.builtIn || welcomeChanged)) {
+      this.showWelcome();
+    }
+  }
+
+  /**
+   * Switch the active persona from the settings panel
+   */
+  async switchPersona(id) {
+    try {
+      await this.personas.setActive(id);
+      const persona = await this.personas.getActive();
+      this.applyPersona(persona);
+      this.showMessage(`Persona switched to ${persona.name}.`, 'success');
+    } catch (error) {
+      console.error('Failed to switch persona:', error);
+      this.showMessage('Failed to switch persona. Please try again.', 'error');
+    }
+  }
+
+  /**
+   * Fill the persona switcher and the editor's profile list
+   */
+  async renderPersonaSelects() {
+    let personas = [];
+    try {
+      personas = await this.personas.list();
+    } catch (error) {
+      console.error('Failed to load personas:', error);
+      return;
+    }
+
+    const lang = document.documentElement.getAttribute('lang') || 'en';
+    const builtInLabel = (window.getTranslation && window.getTranslation('persona.builtIn', lang)) || 'built-in';
+    const fill = (select, selectedId) => {
+      if (!select) return;
+      select.innerHTML = '';
+      personas.forEach(persona => {
+        const option = document.createElement('option');
+        option.value = persona.id;
+        option.textContent = persona.builtIn ? `${persona.name} (${builtInLabel})` : persona.name;
+        select.appendChild(option);
+      });
+      select.value = selectedId || this.personas.builtInId;
+    };
+
+    fill(this.personaSelect, this.persona && this.persona.id);
+    fill(this.personaEditor.select, this.editingPersona && this.editingPersona.id);
+  }
+
+  /**
+   * Open the persona editor on the active persona
+   */
+  openPersonaEditor() {
+    this.settingsPanel.classList.remove('show');
+    this.fillPersonaEditor(this.persona || this.personas.getBuiltIn());
+    this.personaDialog.classList.add('show');
+  }
+
+  /**
+   * Show a persona in the editor (null starts a new one)
+   */
+  fillPersonaEditor(persona) {
+    const editor = this.personaEditor;
+    const lang = document.documentElement.getAttribute('lang') || 'en';
+    this.editingPersona = persona;
+
+    const text = (field) => (persona && this.personas.getText(persona, field, lang)) || '';
+    const fallbackResponses = text('fallbackResponses');
+
+    editor.lang.textContent = lang.toUpperCase();
+    editor.name.value = persona && !persona.builtIn ? persona.name : '';
+    editor.systemPrompt.value = text('systemPrompt');
+    editor.greeting.value = text('greeting');
+    editor.quickActions.value = (text('quickActions') || []).join('\n');
+    editor.fallbackResponses.value = fallbackResponses ? JSON.stringify(fallbackResponses, null, 2) : '';
+    editor.deleteButton.disabled = !persona || !!persona.builtIn;
+
+    this.renderPersonaSelects();
+  }
+
+  /**
+   * Read the editor into a persona; texts in other languages are kept.
+   * Saving over the built-in persona creates a new profile.
+   */
+  readPersonaEditor() {
+    const editor = this.personaEditor;
+    const lang = document.documentElement.getAttribute('lang') || 'en';
+    const base = this.editingPersona && !this.editingPersona.builtIn ? this.editingPersona : {};
+
+    let fallbackResponses = {};
+    if (editor.fallbackResponses.value.trim()) {
+      try {
+        fallbackResponses = JSON.parse(editor.fallbackResponses.value);
+      } catch (error) {
+        throw new Error('Fallback responses must be valid JSON, e.g. { "greeting": ["Hi!"] }.');
+      }
+    }
+
+    const withLang = (field, value) => ({ ...(base[field] || {}), [lang]: value });
+
+    return {
+      ...base,
+      name: editor.name.value,
+      systemPrompt: withLang('systemPrompt', editor.systemPrompt.value),
+      greeting: withLang('greeting', editor.greeting.value),
+      quickActions: withLang('quickActions', editor.quickActions.value.split('\n')),
+      fallbackResponses: withLang('fallbackResponses', fallbackResponses)
+    };
+  }
+
+  /**
+   * Save the persona shown in the editor
+   */
+  async savePersonaFromEditor() {
+    try {
+      const persona = await this.personas.save(this.readPersonaEditor());
+      if (this.persona && this.persona.id === persona.id) {
+        this.applyPersona(persona);
+      }
+      this.fillPersonaEditor(persona);
+      this.showMessage(`Persona "${persona.name}" saved.`, 'success');
+    } catch (error) {
+      console.error('Failed to save persona:', error);
+      this.showMessage(error.message || 'Failed to save persona. Please try again.', 'error');
+    }
+  }
+
+  /**
+   * Delete the persona shown in the editor
+   */
+  async deletePersonaFromEditor() {
+    const persona = this.editingPersona;
+    if (!persona || persona.builtIn) return;
+    if (!confirm(`Delete the persona "${persona.name}"?`)) return;
+
+    try {
+      await this.personas.remove(persona.id);
+      if (this.persona && this.persona.id === persona.id) {
+        this.applyPersona(this.personas.getBuiltIn());
+      }
+      this.fillPersonaEditor(this.personas.getBuiltIn());
+    } catch (error) {
+      console.error('Failed to delete persona:', error);
+      this.showMessage('Failed to delete persona. Please try again.', 'error');
+    }
+  }
+
+  /**
+   * Download the stored persona profiles as JSON
+   */
+  async exportPersonas() {
+    try {
+      const data = await this.personas.exportProfiles();
+      if (data.personas.length === 0) {
+        this.showMessage('There are no custom personas to export yet.', 'error');
+        return;
+      }
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `polar-bear-personas-${new Date().toISOString().split('T')[0]}.json`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to export personas:', error);
+      this.showMessage('Failed to export personas. Please try again.', 'error');
+    }
+  }
+
+  /**
+   * Import persona profiles from a JSON file
+   */
+  async importPersonas(file) {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      this.showMessage('That file is not valid JSON.', 'error');
+      return;
+    }
+
+    try {
+      const report = await this.personas.importProfiles(data);
+      await this.loadPersona();
+      this.fillPersonaEditor(this.persona);
+      this.showMessage(`Imported ${report.added} new and ${report.updated} updated personas.`, 'success');
+    } catch (error) {
+      console.error('Failed to import personas:', error);
+      this.showMessage(error.message || 'Failed to import personas. Please try again.', 'error');
+    }
+  }
+
+  /**
+   * Load a saved conversation into the chat
+   */
+  loadConversation(conversation) {
+    this.tree = ConversationTree.fromConversation(conversation);
+    this.messages = this.tree.getActivePath();
+    this.conversationId = conversation.id;
+    this.conversationTitle = conversation.title || null;
+    this.conversationPinned = !!conversation.pinned;
+
+    this.intake.restore(conversation.intake, this.messages);
+    this.renderIntake();
+    this.renderConversation();
+  }
+
+  /**
+   * Turn guided intake mode on or off for this conversation
+   */
+  toggleIntake() {
+    if (this.intake.active) {
+      this.intake.active = false;
+    } else {
+      this.intake.restore({ ...this.intake.toJSON(), active: true }, this.messages);
+    }
+    this.renderIntake();
+    if (this.autoSave && this.messages.length > 0) {
+      this.saveConversation();
+    }
+  }
+
+  /**
+   * Recompute intake coverage after a reply
+   */
+  async updateIntake() {
+    const justCompleted = this.intake.update(this.messages);
+    this.renderIntake();
+
+    if (justCompleted) {
+      const lang = document.documentElement.getAttribute('lang') || 'en';
+      const text = (window.getTranslation && window.getTranslation('intake.completeMessage', lang)) ||
+        'Intake complete! Every blueprint section has content. Generate the blueprint to review it.';
+      this.showMessage(text, 'success');
+      await this.analytics.track('intake_completed', {
+        conversationId: this.conversationId,
+        messageCount: this.messages.length
+      });
+    }
+  }
+
+  /**
+   * Ask the suggested question for the current section
+   */
+  askIntakeQuestion() {
+    const section = this.intake.getSection(this.intake.current);
+    if (!section || this.isTyping) return;
+
+    const lang = document.documentElement.getAttribute('lang') || 'en';
+    this.messageInput.value = (window.getTranslation && window.getTranslation(section.question, lang)) || section.key;
+    this.pendingIntakeSection = section.key;
+    this.sendMessage();
+  }
+
+  skipIntakeSection() {
+    this.intake.skip();
+    this.renderIntake();
+  }
+
+  revisitIntakeSection(key) {
+    this.intake.revisit(key);
+    this.renderIntake();
+  }
+
+  /**
+   * Show intake progress, section chips and the next question
+   */
+  renderIntake() {
+    if (!this.intakeBar) return;
+
+    this.intakeBar.classList.toggle('show', this.intake.active);
+    if (this.intakeButton) {
+      this.intakeButton.classList.toggle('active', this.intake.active);
+      this.intakeButton.setAttribute('aria-pressed', String(this.intake.active));
+    }
+    if (!this.intake.active) return;
+
+    const progress = this.intake.getProgress();
+    document.getElementById('intakeProgressText').textContent = `${progress.covered}/${progress.total}`;
+    document.getElementById('intakeProgressFill').style.width = `${Math.round(progress.covered / progress.total * 100)}%`;
+
+    const chips = document.getElementById('intakeSections');
+    chips.innerHTML = '';
+    this.intake.sections.forEach(section => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'intake-chip';
+      if (this.intake.covered.has(section.key)) chip.classList.add('covered');
+      if (this.intake.skipped.has(section.key)) chip.classList.add('skipped');
+      if (this.intake.current === section.key) chip.classList.add('current');
+      chip.setAttribute('data-i18n', section.i18n);
+      chip.textContent = section.key;
+      chip.addEventListener('click', () => this.revisitIntakeSection(section.key));
+      chips.appendChild(chip);
+    });
+
+    const current = this.intake.getSection(this.intake.current);
+    const question = document.getElementById('intakeQuestion');
+    question.setAttribute('data-i18n', current ? current.question : 'intake.complete');
+    document.getElementById('intakeAsk').style.display = current ? '' : 'none';
+    document.getElementById('intakeSkip').style.display = current ? '' : 'none';
+
+    const lang = document.documentElement.getAttribute('lang') || 'en';
+    if (window.applyTranslations) window.applyTranslations(lang);
+  }
+
+  /**
+   * Toggle conversation history panel
+   */
+  toggleHistoryPanel() {
+    const isOpen = this.historyPanel.classList.toggle('show');
+    if (isOpen) {
+      this.renderHistory();
+    }
+  }
+
+  /**
+   * Render the list of saved conversations
+   */
+  async renderHistory() {
+    let conversations = [];
+    try {
+      conversations = await this.db.listConversations();
+    } catch (error) {
+      console.error('Failed to load conversation history:', error);
+    }
+
+    this.historyList.innerHTML = '';
+
+    if (conversations.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'history-empty';
+      empty.setAttribute('data-i18n', 'history.empty');
+      empty.textContent = 'No saved conversations yet.';
+      this.historyList.appendChild(empty);
+    }
+
+    conversations.forEach(conversation => {
+      this.historyList.appendChild(this.createHistoryItem(conversation));
+    });
+
+    const lang = document.documentElement.getAttribute('lang') || 'en';
+    if (window.applyTranslations) window.applyTranslations(lang);
+  }
+
+  /**
+   * Build one history list entry
+   */
+  createHistoryItem(conversation) {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+    item.classList.toggle('active', conversation.id === this.conversationId);
+    item.classList.toggle('pinned', conversation.pinned);
+
+    const info = document.createElement('div');
+    info.className = 'history-info';
+
+    const title = document.createElement('div');
+    title.className = 'history-title';
+    title.textContent = conversation.title || conversation.firstQuestion || '—';
+
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+    const date = document.createElement('span');
+    date.textContent = new Date(conversation.createdAt).toLocaleString() + ' · ' + conversation.messageCount + ' ';
+    const countLabel = document.createElement('span');
+    countLabel.setAttribute('data-i18n', 'history.messages');
+    countLabel.textContent = 'messages';
+    meta.appendChild(date);
+    meta.appendChild(countLabel);
+    if (conversation.branchCount > 1) {
+      const branches = document.createElement('span');
+      branches.textContent = ' · ' + conversation.branchCount + ' ';
+      const branchLabel = document.createElement('span');
+      branchLabel.setAttribute('data-i18n', 'history.branches');
+      branchLabel.textContent = 'branches';
+      meta.appendChild(branches);
+      meta.appendChild(branchLabel);
+    }
+
+    info.appendChild(title);
+    info.appendChild(meta);
+    info.addEventListener('click', () => this.openConversation(conversation.id));
+
+    const actions = document.createElement('div');
+    actions.className = 'history-actions';
+    [
+      { icon: 'fa-thumbtack', label: 'Pin', handler: () => this.togglePinConversation(conversation) },
+      { icon: 'fa-pen', label: 'Rename', handler: () => this.renameConversation(conversation) },
+      { icon: 'fa-download', label: 'Export', handler: () => this.exportConversation(conversation.id) },
+      { icon: 'fa-trash', label: 'Delete', handler: () => this.deleteConversation(conversation.id) }
+    ].forEach(action => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.title = action.label;
+      button.innerHTML = `<i class="fas ${action.icon}"></i>`;
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        action.handler();
+      });
+      actions.appendChild(button);
+    });
+
+    item.appendChild(info);
+    item.appendChild(actions);
+    return item;
+  }
+
+  /**
+   * Reopen a saved conversation
    */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  async openConversation(conversationId) {
+    if (this.isTyping || conversationId === this.conversationId) {
+      this.historyPanel.classList.remove('show');
+      return;
+    }
+
+    try {
+      if (this.autoSave && this.messages.length > 0) {
+        await this.saveConversation();
+      }
+      const conversation = await this.db.getConversation(conversationId);
+      if (!conversation) {
+        this.showMessage('That conversation could not be found.', 'error');
+        return;
+      }
+      this.loadConversation(conversation);
+      this.historyPanel.classList.remove('show');
+    } catch (error) {
+      console.error('Failed to open conversation:', error);
+      this.showMessage('Failed to open conversation. Please try again.', 'error');
+    }
+  }
+
+  /**
+   * Rename a saved conversation
+   */
+  async renameConversation(conversation) {
+    const current = conversation.title || conversation.firstQuestion || '';
+    const title = prompt('Rename conversation', current);
+    if (title === null) return;
+
+    const trimmed = title.trim() || null;
+    try {
+      await this.db.updateConversation(conversation.id, { title: trimmed });
+      if (conversation.id === this.conversationId) {
+        this.conversationTitle = trimmed;
+      }
+      await this.renderHistory();
+    } catch (error) {
+      console.error('Failed to rename conversation:', error);
+      this.showMessage('Failed to rename conversation. Please try again.', 'error');
+    }
+  }
+
+  /**
+   * Pin or unpin a saved conversation
+   */
+  async togglePinConversation(conversation) {
+    const pinned = !conversation.pinned;
+    try {
+      await this.db.updateConversation(conversation.id, { pinned });
+      if (conversation.id === this.conversationId) {
+        this.conversationPinned = pinned;
+      }
+      await this.renderHistory();
+    } catch (error) {
+      console.error('Failed to pin conversation:', error);
+      this.showMessage('Failed to update conversation. Please try again.', 'error');
+    }
+  }
+
+  /**
+   * Delete a saved conversation
+   */
+  async deleteConversation(conversationId) {
+    if (!confirm('Delete this conversation? This cannot be undone.')) return;
+
+    try {
+      await this.db.deleteConversation(conversationId);
+      if (conversationId === this.conversationId) {
+        this.startNewConversation();
+      }
+      await this.renderHistory();
+    } catch (error) {
+      console.error('Failed to delete conversation:', error);
+      this.showMessage('Failed to delete conversation. Please try again.', 'error');
+    }
+  }
+
+  /**
+   * Utility function for delays; an aborted signal ends the wait early
+   */
+  delay(ms, signal = null) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          resolve();
+        });
+      }
+    });
   }
 }
 
@@ -0,0 +1,158 @@
+/**
+ * Context Window - Fits conversation history into the model's token budget
+ *
+ * The history sent with each request is split into:
+ *   pinned  - the first exchanges of the conversation (the intake's key early answers)
+ *   older   - turns that no longer fit, replaced by a rolling summary
+ *   recent  - the newest turns, sent verbatim
+ */
+class ContextWindow {
+  constructor() {
+    this.charsPerToken = 4;
+    this.messageOverhead = 4;
+    this.pinnedExchanges = 2;
+    this.pinnedShare = 0.25;
+    this.summaryShare = 0.15;
+    this.maxSummaryTokens = 400;
+    this.defaultContextSize = 8192;
+    this.modelContextSizes = [
+      [/claude/i, 200000],
+      [/gpt-4o|gpt-4\.1|gpt-4-turbo|o[134]-/i, 128000],
+      [/gpt-3\.5/i, 16385],
+      [/deepseek/i, 64000],
+      [/llama-?3\.[1-3]|llama3\.[1-3]/i, 128000],
+      [/qwen/i, 32768],
+      [/mistral|mixtral/i, 32768],
+      [/gemini/i, 1000000],
+      [/gemma/i, 8192]
+    ];
+  }
+
+  /**
+   * Rough token count: about 4 characters per token for Latin text,
+   * with accented letters and emoji costing more
+   */
+  estimateTokens(text) {
+    if (!text) return 0;
+    let ascii = 0;
+    let other = 0;
+    for (const char of String(text)) {
+      if (char.charCodeAt(0) < 128) ascii++;
+      else other++;
+    }
+    return Math.ceil(ascii / this.charsPerToken + other / 1.5);
+  }
+
+  estimateMessageTokens(message) {
+    return this.estimateTokens(message.content) + this.messageOverhead;
+  }
+
+  /**
+   * Context size of a model in tokens; override > 0 wins over the built-in table
+   */
+  getContextSize(model, override = 0) {
+    if (override > 0) return override;
+    const match = this.modelContextSizes.find(([pattern]) => pattern.test(model || ''));
+    return match ? match[1] : this.defaultContextSize;
+  }
+
+  /**
+   * Tokens available for the prompt: the context size minus the reply
+   * (maxTokens) and a 5% margin for estimation error
+   */
+  getBudget(contextSize, maxTokens) {
+    const margin = Math.ceil(contextSize * 0.05);
+    return Math.max(256, contextSize - maxTokens - margin);
+  }
+
+  /**
+   * Split the history into pinned, older and recent messages that fit the budget.
+   * maxRecent caps how many recent messages are sent verbatim. Messages keep
+   * their id and timestamp, which identify them for the summary cache.
+   */
+  plan(history, { systemPrompt, userMessage, budget, maxRecent }) {
+    const messages = history
+      .filter(m => m && m.content)
+      .map(m => ({ id: m.id, role: m.role === 'user' ? 'user' : 'assistant', content: m.content, timestamp: m.timestamp }));
+
+    const available = budget
+      - this.estimateMessageTokens({ content: systemPrompt })
+      - this.estimateMessageTokens({ content: userMessage });
+    const result = { pinned: [], older: [], recent: [], summaryBudget: 0, available };
+
+    if (messages.length === 0 || maxRecent <= 0 || available <= 0) {
+      return result;
+    }
+
+    const sumTokens = list => list.reduce((sum, m) => sum + this.estimateMessageTokens(m), 0);
+
+    // Everything fits: send it all
+    if (messages.length <= maxRecent && sumTokens(messages) <= available) {
+      result.recent = messages;
+      return result;
+    }
+
+    // Pin the first exchanges if they take no more than their share of the budget
+    let pinnedCount = 0;
+    let userTurns = 0;
+    while (pinnedCount < messages.length) {
+      if (messages[pinnedCount].role === 'user' && ++userTurns > this.pinnedExchanges) break;
+      pinnedCount++;
+    }
+    let pinned = messages.slice(0, pinnedCount);
+    if (sumTokens(pinned) > available * this.pinnedShare) {
+      pinned = [];
+    }
+
+    const summaryBudget = Math.min(this.maxSummaryTokens, Math.floor(available * this.summaryShare));
+    let remaining = available - sumTokens(pinned) - summaryBudget - this.messageOverhead;
+
+    // Fill from the newest message backwards
+    const rest = messages.slice(pinned.length);
+    let start = rest.length;
+    while (start > 0 && rest.length - start < maxRecent) {
+      const tokens = this.estimateMessageTokens(rest[start - 1]);
+      if (tokens > remaining) break;
+      remaining -= tokens;
+      start--;
+    }
+
+    result.pinned = pinned;
+    result.older = rest.slice(0, start);
+    result.recent = rest.slice(start);
+    result.summaryBudget = result.older.length > 0 ? summaryBudget : 0;
+    return result;
+  }
+
+  /**
+   * Summary without a model call: one line per turn, user answers kept
+   * longer than replies, oldest lines dropped first to fit maxTokens
+   */
+  summarizeExtractive(messages, maxTokens, previousSummary = '') {
+    const clip = (text, length) => {
+      const flat = String(text).replace(/\s+/g, ' ').trim();
+      return flat.length > length ? flat.slice(0, length - 1) + '…' : flat;
+    };
+
+    const lines = previousSummary ? previousSummary.split('\n') : [];
+    messages.forEach(m => {
+      lines.push(m.role === 'user' ? `- User: ${clip(m.content, 160)}` : `- Assistant: ${clip(m.content, 80)}`);
+    });
+
+    while (lines.length > 1 && this.estimateTokens(lines.join('\n')) > maxTokens) {
+      lines.shift();
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Trim text to roughly maxTokens
+   */
+  truncate(text, maxTokens) {
+    if (this.estimateTokens(text) <= maxTokens) return text;
+    return text.slice(0, maxTokens * this.charsPerToken) + '…';
+  }
+}
+
+// Export for use in other modules
+window.ContextWindow = ContextWindow;
@@ -0,0 +1,284 @@
+/**
+ * Conversation Exporter - Formats a single conversation as Markdown, plain text,
+ * printable HTML or CSV, optionally with its Conversation Blueprint
+ *
+ * The transcript is the branch shown in the chat; branches left by editing a
+ * message follow it, each from the message that was edited.
+ */
+class ConversationExporter {
+  constructor() {
+    this.formats = {
+      markdown: { extension: 'md', mimeType: 'text/markdown' },
+      text: { extension: 'txt', mimeType: 'text/plain' },
+      html: { extension: 'html', mimeType: 'text/html' },
+      csv: { extension: 'csv', mimeType: 'text/csv' }
+    };
+  }
+
+  /**
+   * Translate a UI key in the current language, falling back to the given text
+   */
+  t(key, fallback) {
+    const lang = document.documentElement.getAttribute('lang') || 'en';
+    return (window.getTranslation && window.getTranslation(key, lang)) || fallback;
+  }
+
+  /**
+   * Conversation title used in headings and file names
+   */
+  getTitle(conversation) {
+    if (conversation.title) return conversation.title;
+    const firstQuestion = (conversation.messages || []).find(m => m.role === 'user');
+    return firstQuestion ? firstQuestion.content : this.t('export.defaultTitle', 'Conversation with Polar');
+  }
+
+  /**
+   * Speaker label for a message role
+   */
+  getSpeaker(role) {
+    return role === 'user' ? this.t('export.you', 'You') : 'Polar';
+  }
+
+  /**
+   * Branches other than the one shown, with a heading such as
+   * "Branch 2 — edited from message 3"
+   */
+  getBranches(conversation) {
+    if (!conversation.tree || !window.ConversationTree) return [];
+    return ConversationTree.fromConversation(conversation).getBranches().map((branch, i) => ({
+      key: `branch-${i + 2}`,
+      label: `${this.t('export.branch', 'Branch')} ${i + 2} — ${this.t('export.branchFrom', 'edited from message')} ${branch.forkIndex + 1}`,
+      messages: branch.messages
+    }));
+  }
+
+  /**
+   * Blueprint sections in display order, skipping empty ones
+   */
+  getBlueprintSections(blueprint) {
+    if (!blueprint || !blueprint.sections) return [];
+    return blueprint.order
+      .map(section => ({
+        label: this.t(section.i18n, section.key),
+        items: blueprint.sections[section.key] || []
+      }))
+      .filter(section => section.items.length > 0);
+  }
+
+  /**
+   * Build the file contents for a format
+   */
+  format(format, conversation, blueprint = null) {
+    switch (format) {
+      case 'markdown': return this.toMarkdown(conversation, blueprint);
+      case 'text': return this.toText(conversation, blueprint);
+      case 'html': return this.toHtml(conversation, blueprint);
+      case 'csv': return this.toCsv(conversation, blueprint);
+      default: throw new Error(`Unknown export format: ${format}`);
+    }
+  }
+
+  toMarkdown(conversation, blueprint) {
+    const lines = [`# ${this.getTitle(conversation)}`, ''];
+    lines.push(`_${new Date(conversation.createdAt || Date.now()).toLocaleString()}_`, '');
+
+    (conversation.messages || []).forEach(msg => {
+      const time = msg.timestamp ? ` (${new Date(msg.timestamp).toLocaleTimeString()})` : '';
+      lines.push(`**${this.getSpeaker(msg.role)}**${time}: ${msg.content}`, '');
+    });
+
+    const branches = this.getBranches(conversation);
+    if (branches.length > 0) {
+      lines.push(`## ${this.t('export.otherBranches', 'Other branches')}`, '');
+      branches.forEach(branch => {
+        lines.push(`### ${branch.label}`, '');
+        branch.messages.forEach(msg => lines.push(`**${this.getSpeaker(msg.role)}**: ${msg.content}`, ''));
+      });
+    }
+
+    const sections = this.getBlueprintSections(blueprint);
+    if (sections.length > 0) {
+      lines.push(`## ${this.t('blueprint.title', 'Conversation Blueprint')}`, '');
+      sections.forEach(section => {
+        lines.push(`### ${section.label}`, '');
+        section.items.forEach(item => lines.push(`- ${item}`));
+        lines.push('');
+      });
+    }
+
+    return lines.join('\n');
+  }
+
+  toText(conversation, blueprint) {
+    const title = this.getTitle(conversation);
+    const lines = [title, '='.repeat(Math.min(title.length, 60)), ''];
+
+    (conversation.messages || []).forEach(msg => {
+      const time = msg.timestamp ? `[${new Date(msg.timestamp).toLocaleString()}] ` : '';
+      lines.push(`${time}${this.getSpeaker(msg.role)}: ${msg.content}`);
+    });
+
+    const branches = this.getBranches(conversation);
+    if (branches.length > 0) {
+      lines.push('', this.t('export.otherBranches', 'Other branches').toUpperCase());
+      branches.forEach(branch => {
+        lines.push('', `${branch.label}:`);
+        branch.messages.forEach(msg => lines.push(`  ${this.getSpeaker(msg.role)}: ${msg.content}`));
+      });
+    }
+
+    const sections = this.getBlueprintSections(blueprint);
+    if (sections.length > 0) {
+      lines.push('', this.t('blueprint.title', 'Conversation Blueprint').toUpperCase(), '');
+      sections.forEach(section => {
+        lines.push(`${section.label}:`);
+        section.items.forEach(item => lines.push(`  * ${item}`));
+      });
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  toHtml(conversation, blueprint) {
+    const esc = (str) => this.escapeHtml(str);
+    const lang = document.documentElement.getAttribute('lang') || 'en';
+    const title = this.getTitle(conversation);
+
+    let body = '';
+    body += `<h1>${esc(title)}</h1>`;
+    body += `<p class="meta">${esc(new Date(conversation.createdAt || Date.now()).toLocaleString())}</p>`;
+    body += '<button class="print-button" onclick="window.print()">' + esc(this.t('export.print', 'Print / Save as PDF')) + '</button>';
+
+    (conversation.messages || []).forEach(msg => {
+      body += `<div class="message ${msg.role === 'user' ? 'user' : 'bot'}">`;
+      body += `<div class="speaker">${esc(this.getSpeaker(msg.role))}`;
+      if (msg.timestamp) body += ` <span class="time">${esc(new Date(msg.timestamp).toLocaleTimeString())}</span>`;
+      body += `</div><div class="content">${esc(msg.content)}</div></div>`;
+    });
+
+    const branches = this.getBranches(conversation);
+    if (branches.length > 0) {
+      body += `<h2>${esc(this.t('export.otherBranches', 'Other branches'))}</h2>`;
+      branches.forEach(branch => {
+        body += `<h3>${esc(branch.label)}</h3>`;
+        branch.messages.forEach(msg => {
+          body += `<div class="message ${msg.role === 'user' ? 'user' : 'bot'}">`;
+          body += `<div class="speaker">${esc(this.getSpeaker(msg.role))}</div><div class="content">${esc(msg.content)}</div></div>`;
+        });
+      });
+    }
+
+    const sections = this.getBlueprintSections(blueprint);
+    if (sections.length > 0) {
+      body += `<h2>${esc(this.t('blueprint.title', 'Conversation Blueprint'))}</h2><div class="blueprint">`;
+      sections.forEach(section => {
+        body += `<section><h3>${esc(section.label)}</h3><ul>`;
+        section.items.forEach(item => { body += `<li>${esc(item)}</li>`; });
+        body += '</ul></section>';
+      });
+      body += '</div>';
+    }
+
+    return `<!DOCTYPE html>
+<html lang="${esc(lang)}">
+<head>
+<meta charset="UTF-8">
+<title>${esc(title)}</title>
+<style>
+  body { font-family: 'Inter', -apple-system, 'Segoe UI', sans-serif; color: #0f172a; max-width: 760px; margin: 40px auto; padding: 0 20px; line-height: 1.5; }
+  h1 { font-size: 1.6rem; margin-bottom: 4px; }
+  h2 { margin-top: 32px; border-bottom: 2px solid #498ea3; padding-bottom: 4px; }
+  .meta, .time { color: #64748b; font-size: 0.85rem; }
+  .message { margin: 12px 0; padding: 10px 14px; border-radius: 10px; border: 1px solid #e2e8f0; page-break-inside: avoid; }
+  .message.user { background: #eef2ff; }
+  .message.bot { background: #f0f9ff; }
+  .speaker { font-weight: 600; margin-bottom: 4px; }
+  .content { white-space: pre-wrap; }
+  .blueprint { display: grid; grid-template-columns: 1fr 1fr; gap: 12px; }
+  .blueprint section { border: 1px solid #e2e8f0; border-radius: 10px; padding: 8px 14px; page-break-inside: avoid; }
+  .blueprint h3 { font-size: 1rem; margin: 4px 0; }
+  .print-button { margin: 12px 0; padding: 8px 14px; border-radius: 8px; border: 1px solid #498ea3; background: #498ea3; color: white; cursor: pointer; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    .print-button { display: none; }
+    .message.user, .message.bot { background: none; }
+  }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+  }
+
+  toCsv(conversation, blueprint) {
+    const rows = [['timestamp', 'role', 'content']];
+    (conversation.messages || []).forEach(msg => {
+      rows.push([msg.timestamp || '', msg.role, msg.content]);
+    });
+    this.getBranches(conversation).forEach(branch => {
+      branch.messages.forEach(msg => {
+        rows.push([msg.timestamp || '', `${branch.key}:${msg.role}`, msg.content]);
+      });
+    });
+
+    if (blueprint && blueprint.sections) {
+      const generatedAt = blueprint.generatedAt || new Date().toISOString();
+      blueprint.order.forEach(section => {
+        (blueprint.sections[section.key] || []).forEach(item => {
+          rows.push([generatedAt, `blueprint:${section.key}`, item]);
+        });
+      });
+    }
+
+    return rows.map(row => row.map(cell => this.escapeCsv(cell)).join(',')).join('\r\n') + '\r\n';
+  }
+
+  escapeCsv(value) {
+    let str = String(value === undefined || value === null ? '' : value);
+    // Keep spreadsheets from evaluating cells as formulas
+    if (/^[=+\-@\t\r]/.test(str)) str = "'" + str;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  escapeHtml(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Safe file name derived from the conversation title
+   */
+  getFileName(conversation, format) {
+    const slug = this.getTitle(conversation)
+      .toLowerCase()
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 40) || 'conversation';
+    const date = new Date(conversation.createdAt || Date.now()).toISOString().split('T')[0];
+    return `polar-bear-${slug}-${date}.${this.formats[format].extension}`;
+  }
+
+  /**
+   * Format a conversation and download it
+   */
+  download(format, conversation, blueprint = null) {
+    const content = this.format(format, conversation, blueprint);
+    const blob = new Blob([content], { type: `${this.formats[format].mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = this.getFileName(conversation, format);
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Export for use in other modules
+window.ConversationExporter = ConversationExporter;
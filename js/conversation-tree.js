@@ -0,0 +1,170 @@
+/**
+ * Conversation Tree - Messages as a tree so an edited question can fork the
+ * conversation into a branch
+ *
+ * Every node is a message with an id and the id of the message it follows
+ * (parentId, null for the first one). Editing a message adds a sibling node,
+ * so the replies after the original stay on their own branch. selections maps
+ * a parent id ('root' for the first messages) to the child shown on screen;
+ * following them from the root gives the active path, which is what the chat
+ * shows and what is sent to the AI.
+ */
+class ConversationTree {
+  constructor({ nodes = [], selections = {} } = {}) {
+    this.nodes = nodes;
+    this.selections = { ...selections };
+  }
+
+  /**
+   * A linear tree from a flat message list (conversations saved before
+   * branching). Ids follow the message order, so the same list always gives
+   * the same tree.
+   */
+  static fromMessages(messages = []) {
+    const tree = new ConversationTree();
+    let parentId = null;
+    messages.forEach((message, index) => {
+      parentId = tree.addNode(message, parentId, `msg_${index + 1}`).id;
+    });
+    return tree;
+  }
+
+  /**
+   * The tree of a stored conversation: its tree if it has a valid one,
+   * otherwise one built from its messages. Nodes are copies.
+   */
+  static fromConversation(conversation = {}) {
+    const stored = conversation.tree;
+    if (stored && Array.isArray(stored.nodes) && stored.nodes.length > 0) {
+      const ids = new Set(stored.nodes.map(node => node && node.id));
+      const valid = stored.nodes.every(node => node && node.id && (node.parentId === null || ids.has(node.parentId)));
+      if (valid) {
+        return new ConversationTree({
+          nodes: stored.nodes.map(node => ({ ...node })),
+          selections: stored.selections || {}
+        });
+      }
+    }
+    const messages = Array.isArray(conversation.messages) ? conversation.messages : [];
+    return ConversationTree.fromMessages(messages.map(({ id, parentId, ...message }) => message));
+  }
+
+  static createNodeId() {
+    return 'msg_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  getNode(id) {
+    return this.nodes.find(node => node.id === id) || null;
+  }
+
+  /**
+   * Children of a node in the order they were added; null for the first messages
+   */
+  getChildren(parentId) {
+    return this.nodes.filter(node => node.parentId === parentId);
+  }
+
+  /**
+   * The selected child of a node, or its latest one
+   */
+  getSelectedChild(parentId) {
+    const children = this.getChildren(parentId);
+    if (children.length === 0) return null;
+    const selected = this.selections[parentId === null ? 'root' : parentId];
+    return children.find(node => node.id === selected) || children[children.length - 1];
+  }
+
+  /**
+   * Messages from the root to the leaf of the selected branches
+   */
+  getActivePath() {
+    const path = [];
+    let node = this.getSelectedChild(null);
+    while (node) {
+      path.push(node);
+      node = this.getSelectedChild(node.id);
+    }
+    return path;
+  }
+
+  select(node) {
+    this.selections[node.parentId === null ? 'root' : node.parentId] = node.id;
+  }
+
+  /**
+   * Add a message after the last one of the active path; returns its node
+   */
+  append(message) {
+    const path = this.getActivePath();
+    const parent = path[path.length - 1];
+    return this.addNode(message, parent ? parent.id : null);
+  }
+
+  /**
+   * Add a message as an alternative to the node with nodeId, starting a new
+   * branch that becomes the active one; returns its node
+   */
+  branch(nodeId, message) {
+    const node = this.getNode(nodeId);
+    if (!node) throw new Error(`Unknown message "${nodeId}"`);
+    return this.addNode(message, node.parentId);
+  }
+
+  addNode(message, parentId, id = ConversationTree.createNodeId()) {
+    const node = { ...message, id, parentId };
+    this.nodes.push(node);
+    this.select(node);
+    return node;
+  }
+
+  /**
+   * Position of a node among its siblings: { index, count }
+   */
+  getBranchInfo(nodeId) {
+    const node = this.getNode(nodeId);
+    if (!node) return { index: 0, count: 0 };
+    const siblings = this.getChildren(node.parentId);
+    return { index: siblings.indexOf(node), count: siblings.length };
+  }
+
+  /**
+   * Show the previous (step -1) or next (step 1) sibling of a node and the
+   * branch below it; returns the node now shown, or null if there is none
+   */
+  selectSibling(nodeId, step) {
+    const node = this.getNode(nodeId);
+    if (!node) return null;
+    const siblings = this.getChildren(node.parentId);
+    const target = siblings[siblings.indexOf(node) + step];
+    if (!target) return null;
+    this.select(target);
+    return target;
+  }
+
+  /**
+   * Branches other than the active path, each as the messages after the
+   * point where it leaves the active path: [{ forkIndex, messages }].
+   * forkIndex is the position in the active path of the message it replaces.
+   */
+  getBranches() {
+    const active = new Set(this.getActivePath().map(node => node.id));
+    const parents = new Set(this.nodes.map(node => node.parentId));
+    const leaves = this.nodes.filter(node => !parents.has(node.id) && !active.has(node.id));
+
+    return leaves.map(leaf => {
+      const path = [];
+      for (let node = leaf; node; node = node.parentId === null ? null : this.getNode(node.parentId)) {
+        path.unshift(node);
+      }
+      const forkIndex = path.findIndex(node => !active.has(node.id));
+      return { forkIndex, messages: path.slice(forkIndex) };
+    });
+  }
+
+  toJSON() {
+    return { nodes: this.nodes, selections: this.selections };
+  }
+}
+
+// Export for use in other modules
+window.ConversationTree = ConversationTree;
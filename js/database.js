@@ -4,7 +4,10 @@
 class DatabaseManager {
   constructor() {
     this.dbName = 'PolarBearChat';
-    this.dbVersion = 1;
+    this.dbVersion = 4;
+    this.exportVersion = '2.2';
+    this.supportedImportVersions = ['1.0', '2.0', '2.1', '2.2'];
+    this.secretSettings = ['apiKey', 'apiKeyEncrypted'];
     this.db = null;
     this.isInitialized = false;
   }
@@ -30,15 +33,13 @@ class DatabaseManager {
 
       request.onupgradeneeded = (event) => {
         const db = event.target.result;
+        const transaction = event.target.transaction;
         
-        // Create conversations store
+        // Create conversations store; v1 stored a new auto-increment row per save
         if (!db.objectStoreNames.contains('conversations')) {
-          const conversationStore = db.createObjectStore('conversations', { 
-            keyPath: 'id', 
-            autoIncrement: true 
-          });
-          conversationStore.createIndex('timestamp', 'timestamp', { unique: false });
-          conversationStore.createIndex('sessionId', 'sessionId', { unique: false });
+          this.createConversationStore(db);
+        } else if (event.oldVersion < 2) {
+          this.migrateConversationSnapshots(db, transaction);
         }
 
         // Create settings store
@@ -55,12 +56,111 @@ class DatabaseManager {
           analyticsStore.createIndex('timestamp', 'timestamp', { unique: false });
           analyticsStore.createIndex('type', 'type', { unique: false });
         }
+
+        // Create persona profiles store
+        if (!db.objectStoreNames.contains('personas')) {
+          db.createObjectStore('personas', { keyPath: 'id' });
+        }
+
+        // Create generated blueprints store
+        if (!db.objectStoreNames.contains('blueprints')) {
+          const blueprintStore = db.createObjectStore('blueprints', { keyPath: 'id' });
+          blueprintStore.createIndex('conversationId', 'conversationId', { unique: false });
+          blueprintStore.createIndex('createdAt', 'createdAt', { unique: false });
+        }
       };
     });
   }
 
   /**
-   * Save a conversation to the database
+   * Create the conversations store, keyed by a stable conversation id
+   */
+  createConversationStore(db) {
+    const conversationStore = db.createObjectStore('conversations', { keyPath: 'id' });
+    conversationStore.createIndex('timestamp', 'timestamp', { unique: false });
+    conversationStore.createIndex('sessionId', 'sessionId', { unique: false });
+    return conversationStore;
+  }
+
+  /**
+   * v1 -> v2: collapse the per-save snapshot rows into one record per
+   * conversation (see collapseConversationSnapshots)
+   */
+  migrateConversationSnapshots(db, transaction) {
+    const request = transaction.objectStore('conversations').getAll();
+
+    request.onsuccess = () => {
+      const conversations = this.collapseConversationSnapshots(request.result);
+
+      db.deleteObjectStore('conversations');
+      const store = this.createConversationStore(db);
+      conversations.forEach(conversation => store.put(conversation));
+
+      console.log(`Migrated conversations: ${request.result.length} snapshots -> ${conversations.length} conversations`);
+    };
+  }
+
+  /**
+   * Collapse v1 snapshot rows into one v2 record per conversation. Rows are
+   * grouped by conversationId, or sessionId for older rows. A session could
+   * hold several conversations ("New chat" kept the session), so within a
+   * group, in time order, a snapshot whose messages do not begin with the
+   * previous snapshot's messages starts a new conversation. Each conversation
+   * keeps its latest snapshot and its earliest timestamp as createdAt.
+   */
+  collapseConversationSnapshots(records) {
+    const groups = new Map();
+    records.forEach(record => {
+      const id = record.conversationId || record.sessionId || ('conv_legacy_' + record.id);
+      if (!groups.has(id)) groups.set(id, []);
+      groups.get(id).push(record);
+    });
+
+    const conversations = [];
+    groups.forEach((snapshots, id) => {
+      snapshots.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+      const runs = [];
+      snapshots.forEach(snapshot => {
+        const run = runs[runs.length - 1];
+        if (run && this.continuesSnapshot(run.latest, snapshot)) {
+          run.latest = snapshot;
+        } else {
+          runs.push({ latest: snapshot, createdAt: snapshot.timestamp });
+        }
+      });
+
+      runs.forEach((run, i) => {
+        const { conversationId, ...latest } = run.latest;
+        conversations.push({ ...latest, id: i === 0 ? id : `${id}_${i + 1}`, createdAt: run.createdAt });
+      });
+    });
+    return conversations;
+  }
+
+  /**
+   * Whether a snapshot's messages begin with the earlier snapshot's messages
+   */
+  continuesSnapshot(earlier, snapshot) {
+    const before = earlier.messages || [];
+    const after = snapshot.messages || [];
+    return before.length <= after.length &&
+      before.every((message, i) => message.role === after[i].role && message.content === after[i].content);
+  }
+
+  /**
+   * A conversation in the current record shape. Messages are stored as a tree
+   * ({ nodes, selections }, see ConversationTree) so edited branches persist;
+   * messages holds the active branch for listing, search and older readers.
+   * Records saved before branching get a linear tree from their messages.
+   */
+  normalizeConversation(conversation) {
+    const tree = ConversationTree.fromConversation(conversation);
+    return { ...conversation, tree: tree.toJSON(), messages: tree.getActivePath() };
+  }
+
+  /**
+   * Save a conversation to the database, updating it in place if it exists
    */
   async saveConversation(conversation) {
     if (!this.isInitialized) {
@@ -70,23 +170,37 @@ class DatabaseManager {
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(['conversations'], 'readwrite');
       const store = transaction.objectStore('conversations');
-      
-      const conversationData = {
-        ...conversation,
-        timestamp: new Date().toISOString(),
-        sessionId: this.getSessionId()
-      };
+      const id = conversation.id || this.createConversationId();
 
-      const request = store.add(conversationData);
+      const existingRequest = store.get(id);
 
-      request.onsuccess = () => {
-        console.log('Conversation saved successfully');
-        resolve(request.result);
+      existingRequest.onsuccess = () => {
+        const existing = existingRequest.result;
+        const now = new Date().toISOString();
+
+        const conversationData = {
+          ...this.normalizeConversation(conversation),
+          id,
+          createdAt: (existing && existing.createdAt) || conversation.createdAt || now,
+          timestamp: now,
+          sessionId: this.getSessionId()
+        };
+
+        const request = store.put(conversationData);
+
+        request.onsuccess = () => {
+          console.log('Conversation saved successfully');
+          resolve(request.result);
+        };
+
+        request.onerror = () => {
+          console.error('Failed to save conversation');
+          reject(request.error);
+        };
       };
 
-      request.onerror = () => {
-        console.error('Failed to save conversation');
-        reject(request.error);
+      existingRequest.onerror = () => {
+        reject(existingRequest.error);
       };
     });
   }
@@ -105,7 +219,7 @@ class DatabaseManager {
       const request = store.getAll();
 
       request.onsuccess = () => {
-        resolve(request.result);
+        resolve(request.result.map(conversation => this.normalizeConversation(conversation)));
       };
 
       request.onerror = () => {
@@ -128,6 +242,165 @@ class DatabaseManager {
       const index = store.index('sessionId');
       const request = index.getAll(sessionId);
 
+      request.onsuccess = () => {
+        // Oldest first, so the last entry is the most recently updated
+        resolve(request.result
+          .map(conversation => this.normalizeConversation(conversation))
+          .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)));
+      };
+
+      request.onerror = () => {
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * List saved conversations as summaries, pinned first, then most recently updated
+   */
+  async listConversations() {
+    const conversations = await this.getConversations();
+
+    return conversations
+      .filter(conversation => Array.isArray(conversation.messages) && conversation.messages.length > 0)
+      .map(conversation => {
+        const firstQuestion = conversation.messages.find(m => m.role === 'user');
+        return {
+          id: conversation.id,
+          title: conversation.title || null,
+          pinned: !!conversation.pinned,
+          firstQuestion: firstQuestion ? firstQuestion.content : '',
+          messageCount: conversation.messages.length,
+          branchCount: new ConversationTree(conversation.tree).getBranches().length + 1,
+          createdAt: conversation.createdAt || conversation.messages[0].timestamp || conversation.timestamp,
+          updatedAt: conversation.timestamp
+        };
+      })
+      .sort((a, b) => {
+        if (a.pinned !== b.pinned) return a.pinned ? -1 : 1;
+        return new Date(b.updatedAt) - new Date(a.updatedAt);
+      });
+  }
+
+  /**
+   * Get a conversation by id
+   */
+  async getConversation(id) {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['conversations'], 'readonly');
+      const store = transaction.objectStore('conversations');
+      const request = store.get(id);
+
+      request.onsuccess = () => {
+        resolve(request.result ? this.normalizeConversation(request.result) : null);
+      };
+
+      request.onerror = () => {
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Apply changes (e.g. title, pinned) to a saved conversation
+   */
+  async updateConversation(id, changes) {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['conversations'], 'readwrite');
+      const store = transaction.objectStore('conversations');
+      const request = store.get(id);
+
+      request.onsuccess = () => {
+        if (request.result) {
+          store.put({ ...request.result, ...changes, id });
+        }
+      };
+
+      transaction.oncomplete = () => {
+        resolve();
+      };
+
+      transaction.onerror = () => {
+        reject(transaction.error);
+      };
+    });
+  }
+
+  /**
+   * Delete a saved conversation and its blueprints
+   */
+  async deleteConversation(id) {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['conversations', 'blueprints'], 'readwrite');
+      transaction.objectStore('conversations').delete(id);
+
+      const blueprints = transaction.objectStore('blueprints').index('conversationId').getAllKeys(id);
+      blueprints.onsuccess = () => {
+        blueprints.result.forEach(key => transaction.objectStore('blueprints').delete(key));
+      };
+
+      transaction.oncomplete = () => {
+        resolve();
+      };
+
+      transaction.onerror = () => {
+        reject(transaction.error);
+      };
+    });
+  }
+
+  /**
+   * Save a generated blueprint; returns its id
+   */
+  async saveBlueprint(blueprint) {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    const record = {
+      ...blueprint,
+      id: blueprint.id || 'bp_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+      createdAt: blueprint.createdAt || new Date().toISOString()
+    };
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['blueprints'], 'readwrite');
+      transaction.objectStore('blueprints').put(record);
+
+      transaction.oncomplete = () => {
+        resolve(record.id);
+      };
+
+      transaction.onerror = () => {
+        reject(transaction.error);
+      };
+    });
+  }
+
+  /**
+   * Get all blueprints, oldest first
+   */
+  async getBlueprints() {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['blueprints'], 'readonly');
+      const request = transaction.objectStore('blueprints').index('createdAt').getAll();
+
       request.onsuccess = () => {
         resolve(request.result);
       };
@@ -138,6 +411,172 @@ class DatabaseManager {
     });
   }
 
+  /**
+   * Get the blueprints generated for a conversation, oldest first
+   */
+  async getBlueprintsByConversation(conversationId) {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['blueprints'], 'readonly');
+      const index = transaction.objectStore('blueprints').index('conversationId');
+      const request = index.getAll(conversationId);
+
+      request.onsuccess = () => {
+        resolve(request.result.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt)));
+      };
+
+      request.onerror = () => {
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Get a blueprint by id
+   */
+  async getBlueprint(id) {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['blueprints'], 'readonly');
+      const request = transaction.objectStore('blueprints').get(id);
+
+      request.onsuccess = () => {
+        resolve(request.result || null);
+      };
+
+      request.onerror = () => {
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Delete a blueprint
+   */
+  async deleteBlueprint(id) {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['blueprints'], 'readwrite');
+      transaction.objectStore('blueprints').delete(id);
+
+      transaction.oncomplete = () => {
+        resolve();
+      };
+
+      transaction.onerror = () => {
+        reject(transaction.error);
+      };
+    });
+  }
+
+  /**
+   * Save a persona profile, updating it in place if it exists
+   */
+  async savePersona(persona) {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['personas'], 'readwrite');
+      const store = transaction.objectStore('personas');
+      const now = new Date().toISOString();
+      const request = store.get(persona.id);
+
+      request.onsuccess = () => {
+        const existing = request.result;
+        store.put({
+          ...persona,
+          createdAt: (existing && existing.createdAt) || persona.createdAt || now,
+          updatedAt: now
+        });
+      };
+
+      transaction.oncomplete = () => {
+        resolve(persona.id);
+      };
+
+      transaction.onerror = () => {
+        reject(transaction.error);
+      };
+    });
+  }
+
+  /**
+   * Get all persona profiles, sorted by name
+   */
+  async getPersonas() {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['personas'], 'readonly');
+      const request = transaction.objectStore('personas').getAll();
+
+      request.onsuccess = () => {
+        resolve(request.result.sort((a, b) => String(a.name).localeCompare(String(b.name))));
+      };
+
+      request.onerror = () => {
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Get a persona profile by id
+   */
+  async getPersona(id) {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['personas'], 'readonly');
+      const request = transaction.objectStore('personas').get(id);
+
+      request.onsuccess = () => {
+        resolve(request.result || null);
+      };
+
+      request.onerror = () => {
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Delete a persona profile
+   */
+  async deletePersona(id) {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['personas'], 'readwrite');
+      transaction.objectStore('personas').delete(id);
+
+      transaction.oncomplete = () => {
+        resolve();
+      };
+
+      transaction.onerror = () => {
+        reject(transaction.error);
+      };
+    });
+  }
+
   /**
    * Save settings to the database
    */
@@ -187,6 +626,31 @@ class DatabaseManager {
     });
   }
 
+  /**
+   * Delete a setting from the database
+   */
+  async deleteSetting(key) {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['settings'], 'readwrite');
+      const store = transaction.objectStore('settings');
+      const request = store.delete(key);
+
+      request.onsuccess = () => {
+        console.log(`Setting ${key} deleted successfully`);
+        resolve();
+      };
+
+      request.onerror = () => {
+        console.error(`Failed to delete setting ${key}`);
+        reject(request.error);
+      };
+    });
+  }
+
   /**
    * Save analytics data
    */
@@ -219,7 +683,7 @@ class DatabaseManager {
   }
 
   /**
-   * Export all data as JSON
+   * Export all data as JSON; secret settings such as the API key are never included
    */
   async exportData() {
     if (!this.isInitialized) {
@@ -228,17 +692,194 @@ class DatabaseManager {
 
     const conversations = await this.getConversations();
     const settings = await this.getAllSettings();
+    this.secretSettings.forEach(key => delete settings[key]);
     const analytics = await this.getAllAnalytics();
+    const blueprints = await this.getBlueprints();
 
     return {
       exportDate: new Date().toISOString(),
-      version: '1.0',
+      version: this.exportVersion,
       conversations,
       settings,
-      analytics
+      analytics,
+      blueprints
     };
   }
 
+  /**
+   * Validate an export file and return its records in the current schema.
+   * Throws an Error with a user-facing message if the file is not usable.
+   */
+  parseImportData(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('The file is not a Polar Bear Chatbot export.');
+    }
+    if (!this.supportedImportVersions.includes(String(data.version))) {
+      throw new Error(`Unsupported export version "${data.version}". Supported versions: ${this.supportedImportVersions.join(', ')}.`);
+    }
+    if (data.conversations !== undefined && !Array.isArray(data.conversations)) {
+      throw new Error('The export file has an invalid conversations list.');
+    }
+    if (data.analytics !== undefined && !Array.isArray(data.analytics)) {
+      throw new Error('The export file has an invalid analytics list.');
+    }
+    if (data.settings !== undefined && (typeof data.settings !== 'object' || Array.isArray(data.settings))) {
+      throw new Error('The export file has invalid settings.');
+    }
+    if (data.blueprints !== undefined && !Array.isArray(data.blueprints)) {
+      throw new Error('The export file has an invalid blueprints list.');
+    }
+
+    let conversations = (data.conversations || []).filter(c => c && (Array.isArray(c.messages) || (c.tree && Array.isArray(c.tree.nodes))));
+    // 1.0 exports hold one snapshot row per save
+    if (String(data.version) === '1.0') {
+      conversations = this.collapseConversationSnapshots(conversations);
+    }
+
+    return {
+      conversations: conversations.filter(c => c.id).map(c => this.normalizeConversation(c)),
+      settings: data.settings || {},
+      analytics: (data.analytics || []).filter(a => a && a.type),
+      blueprints: (data.blueprints || []).filter(b => b && b.id && b.conversationId && b.sections)
+    };
+  }
+
+  /**
+   * Import an export file.
+   * mode 'merge' keeps local data and adds what is new; for a conversation
+   * present on both sides the newer copy wins, and local settings are kept.
+   * mode 'replace' clears conversations, settings (except secrets), analytics and blueprints first.
+   * Returns a report of what was written and which records conflicted.
+   */
+  async importData(data, mode = 'merge') {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    const incoming = this.parseImportData(data);
+    const report = {
+      mode,
+      conversations: { added: 0, updated: 0, skipped: 0 },
+      settings: { added: 0, skipped: 0 },
+      analytics: { added: 0, skipped: 0 },
+      blueprints: { added: 0, skipped: 0 },
+      conflicts: []
+    };
+
+    return new Promise((resolve, reject) => {
+      const storeNames = ['conversations', 'settings', 'analytics', 'blueprints'];
+      const transaction = this.db.transaction(storeNames, 'readwrite');
+      const stores = {};
+      const existing = {};
+      let pending = storeNames.length;
+
+      storeNames.forEach(name => {
+        stores[name] = transaction.objectStore(name);
+        const request = stores[name].getAll();
+        request.onsuccess = () => {
+          existing[name] = request.result;
+          if (--pending === 0) writeAll();
+        };
+      });
+
+      const writeAll = () => {
+        if (mode === 'replace') {
+          stores.conversations.clear();
+          stores.analytics.clear();
+          stores.blueprints.clear();
+          // Secrets are never exported, so keep this device's copies
+          existing.settings
+            .filter(item => !this.secretSettings.includes(item.key))
+            .forEach(item => stores.settings.delete(item.key));
+          existing.conversations = [];
+          existing.analytics = [];
+          existing.blueprints = [];
+          existing.settings = existing.settings.filter(item => this.secretSettings.includes(item.key));
+        }
+
+        // Conversations
+        const localConversations = new Map(existing.conversations.map(c => [c.id, c]));
+        incoming.conversations.forEach(conversation => {
+          const local = localConversations.get(conversation.id);
+          if (!local) {
+            stores.conversations.put(conversation);
+            report.conversations.added++;
+            return;
+          }
+          if (JSON.stringify(this.normalizeConversation(local).tree) === JSON.stringify(conversation.tree)) {
+            report.conversations.skipped++;
+            return;
+          }
+          const importedIsNewer = new Date(conversation.timestamp) > new Date(local.timestamp);
+          report.conflicts.push({
+            store: 'conversations',
+            key: conversation.id,
+            title: conversation.title || local.title || null,
+            resolution: importedIsNewer ? 'imported' : 'local'
+          });
+          if (importedIsNewer) {
+            stores.conversations.put(conversation);
+            report.conversations.updated++;
+          } else {
+            report.conversations.skipped++;
+          }
+        });
+
+        // Settings
+        const localSettings = new Map(existing.settings.map(item => [item.key, item.value]));
+        Object.entries(incoming.settings).forEach(([key, value]) => {
+          if (this.secretSettings.includes(key)) {
+            report.settings.skipped++;
+            return;
+          }
+          if (!localSettings.has(key)) {
+            stores.settings.put({ key, value, timestamp: new Date().toISOString() });
+            report.settings.added++;
+            return;
+          }
+          if (localSettings.get(key) !== value) {
+            report.conflicts.push({ store: 'settings', key, resolution: 'local' });
+          }
+          report.settings.skipped++;
+        });
+
+        // Analytics: append events not already present, with fresh ids
+        const seen = new Set(existing.analytics.map(e => `${e.type}|${e.timestamp}|${e.sessionId}`));
+        incoming.analytics.forEach(event => {
+          const signature = `${event.type}|${event.timestamp}|${event.sessionId}`;
+          if (seen.has(signature)) {
+            report.analytics.skipped++;
+            return;
+          }
+          const { id, ...eventData } = event;
+          stores.analytics.add(eventData);
+          seen.add(signature);
+          report.analytics.added++;
+        });
+
+        // Blueprints: add the ones not already present
+        const localBlueprints = new Set(existing.blueprints.map(b => b.id));
+        incoming.blueprints.forEach(blueprint => {
+          if (localBlueprints.has(blueprint.id)) {
+            report.blueprints.skipped++;
+            return;
+          }
+          stores.blueprints.put(blueprint);
+          report.blueprints.added++;
+        });
+      };
+
+      transaction.oncomplete = () => {
+        console.log('Import completed', report);
+        resolve(report);
+      };
+
+      transaction.onerror = () => {
+        reject(transaction.error);
+      };
+    });
+  }
+
   /**
    * Get all settings
    */
@@ -289,6 +930,74 @@ class DatabaseManager {
     });
   }
 
+  /**
+   * Analytics events with lower <= timestamp < upper (ISO strings), oldest
+   * first, read through the timestamp index; a null bound leaves that end open
+   */
+  async getAnalyticsInRange(lower = null, upper = null) {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    if (lower && upper && lower >= upper) return [];
+
+    let range = null;
+    if (lower && upper) {
+      range = IDBKeyRange.bound(lower, upper, false, true);
+    } else if (lower) {
+      range = IDBKeyRange.lowerBound(lower);
+    } else if (upper) {
+      range = IDBKeyRange.upperBound(upper, true);
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['analytics'], 'readonly');
+      const request = transaction.objectStore('analytics').index('timestamp').getAll(range);
+
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+
+      request.onerror = () => {
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Delete analytics events with a timestamp before `before` (ISO string),
+   * walking the timestamp index; resolves with the number deleted
+   */
+  async deleteAnalyticsBefore(before) {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['analytics'], 'readwrite');
+      const index = transaction.objectStore('analytics').index('timestamp');
+      const request = index.openCursor(IDBKeyRange.upperBound(before, true));
+      let deleted = 0;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          cursor.delete();
+          deleted++;
+          cursor.continue();
+        }
+      };
+
+      transaction.oncomplete = () => {
+        resolve(deleted);
+      };
+
+      transaction.onerror = () => {
+        reject(transaction.error);
+      };
+    });
+  }
+
   /**
    * Clear all data
    */
@@ -298,12 +1007,14 @@ class DatabaseManager {
     }
 
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(['conversations', 'settings', 'analytics'], 'readwrite');
+      const transaction = this.db.transaction(['conversations', 'settings', 'analytics', 'personas', 'blueprints'], 'readwrite');
       
       const clearPromises = [
         transaction.objectStore('conversations').clear(),
         transaction.objectStore('settings').clear(),
-        transaction.objectStore('analytics').clear()
+        transaction.objectStore('analytics').clear(),
+        transaction.objectStore('personas').clear(),
+        transaction.objectStore('blueprints').clear()
       ];
 
       transaction.oncomplete = () => {
@@ -329,6 +1040,13 @@ class DatabaseManager {
     return sessionId;
   }
 
+  /**
+   * Generate a unique conversation ID
+   */
+  createConversationId() {
+    return 'conv_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
   /**
    * Get conversation statistics
    */
@@ -0,0 +1,155 @@
+/**
+ * Intake Guide - Tracks progress of a guided intake through the seven
+ * Conversation Blueprint sections
+ *
+ * A section counts as covered once the blueprint built from the conversation
+ * has content for it. Skipped sections are asked again after the others.
+ */
+class IntakeGuide {
+  constructor() {
+    this.sections = [
+      { key: 'identity', i18n: 'blueprint.sections.identity', question: 'intake.question.identity' },
+      { key: 'habitat', i18n: 'blueprint.sections.habitat', question: 'intake.question.habitat' },
+      { key: 'diet', i18n: 'blueprint.sections.diet', question: 'intake.question.diet' },
+      { key: 'skills', i18n: 'blueprint.sections.skills', question: 'intake.question.skills' },
+      { key: 'challenges', i18n: 'blueprint.sections.challenges', question: 'intake.question.challenges' },
+      { key: 'message', i18n: 'blueprint.sections.message', question: 'intake.question.message' },
+      { key: 'future', i18n: 'blueprint.sections.future', question: 'intake.question.future' }
+    ];
+
+    // AIService.detectTopic topics that answer a section
+    this.topicSections = {
+      name: 'identity',
+      location: 'habitat',
+      food: 'diet',
+      skills: 'skills',
+      problems: 'challenges',
+      message: 'message',
+      future: 'future'
+    };
+
+    this.reset(false);
+  }
+
+  /**
+   * Start over; active turns guided mode on or off
+   */
+  reset(active = this.active) {
+    this.active = active;
+    this.current = active ? this.sections[0].key : null;
+    this.covered = new Set();
+    this.skipped = new Set();
+    this.completedAt = null;
+  }
+
+  getSection(key) {
+    return this.sections.find(section => section.key === key) || null;
+  }
+
+  /**
+   * Section answered by a detected topic, if any
+   */
+  sectionForTopic(topic) {
+    return this.topicSections[topic] || null;
+  }
+
+  /**
+   * Sections with content in the blueprint built from these messages
+   */
+  computeCoverage(messages) {
+    const generator = window.BlueprintGenerator;
+    if (!generator || typeof generator.buildSections !== 'function') return new Set();
+
+    const sections = generator.buildSections(messages || []);
+    return new Set(this.sections
+      .map(section => section.key)
+      .filter(key => Array.isArray(sections[key]) && sections[key].length > 0));
+  }
+
+  /**
+   * Next uncovered section after `from`, preferring ones not skipped; null when all are covered
+   */
+  nextSection(from = null) {
+    const keys = this.sections.map(section => section.key);
+    const start = from ? keys.indexOf(from) + 1 : 0;
+    const rotated = keys.slice(start).concat(keys.slice(0, start));
+    const uncovered = rotated.filter(key => !this.covered.has(key));
+    return uncovered.find(key => !this.skipped.has(key)) || uncovered[0] || null;
+  }
+
+  /**
+   * Recompute coverage after the conversation changed.
+   * Returns true when this update completed the intake.
+   */
+  update(messages) {
+    this.covered = this.computeCoverage(messages);
+    this.covered.forEach(key => this.skipped.delete(key));
+
+    if (!this.current || this.covered.has(this.current)) {
+      this.current = this.nextSection(this.current);
+    }
+
+    const wasComplete = !!this.completedAt;
+    if (this.isComplete()) {
+      this.current = null;
+      if (!wasComplete) {
+        this.completedAt = new Date().toISOString();
+        return true;
+      }
+    } else {
+      this.completedAt = null;
+    }
+    return false;
+  }
+
+  /**
+   * Skip the current section for now
+   */
+  skip() {
+    if (!this.current) return;
+    this.skipped.add(this.current);
+    this.current = this.nextSection(this.current);
+  }
+
+  /**
+   * Go back to a section, covered or not
+   */
+  revisit(key) {
+    if (!this.getSection(key)) return;
+    this.skipped.delete(key);
+    this.current = key;
+  }
+
+  isComplete() {
+    return this.covered.size === this.sections.length;
+  }
+
+  getProgress() {
+    return { covered: this.covered.size, total: this.sections.length };
+  }
+
+  /**
+   * State saved with the conversation
+   */
+  toJSON() {
+    return {
+      active: this.active,
+      current: this.current,
+      skipped: Array.from(this.skipped),
+      completedAt: this.completedAt
+    };
+  }
+
+  restore(state, messages) {
+    this.reset(!!(state && state.active));
+    if (state) {
+      this.current = state.current || this.current;
+      this.skipped = new Set(Array.isArray(state.skipped) ? state.skipped : []);
+      this.completedAt = state.completedAt || null;
+    }
+    this.update(messages);
+  }
+}
+
+// Export for use in other modules
+window.IntakeGuide = IntakeGuide;
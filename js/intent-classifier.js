@@ -0,0 +1,158 @@
+/**
+ * Intent Classifier - Naive Bayes over the words and word pairs of a message
+ *
+ * Trained on the labelled example utterances of the language packs. Words are
+ * cut to their first letters so "cook", "cooking" and "cooked" count as one,
+ * and each feature is weighted by how few intents use it (IDF), so words like
+ * "what" or "you" barely move the result. A word the model has never seen is
+ * matched to a known word within a small edit distance, at a lower weight.
+ * classify() ranks every intent by confidence and reports no intent when the
+ * best one is not confident enough.
+ */
+class IntentClassifier {
+  constructor(distance, { minConfidence = 0.5 } = {}) {
+    this.distance = distance; // (a, b) => edit distance
+    this.minConfidence = minConfidence;
+    this.smoothing = 1;
+    this.stemLength = 5;
+    this.fuzzyWeight = 0.7;
+    this.minFuzzyLength = 4;
+    this.reset();
+  }
+
+  reset() {
+    this.intents = [];
+    this.counts = new Map(); // intent -> Map(feature -> count)
+    this.totals = new Map(); // intent -> number of features seen
+    this.vocabulary = new Set(); // every feature seen
+    this.idf = new Map(); // feature -> inverse intent frequency
+    this.words = new Set(); // single words seen, for fuzzy matching
+  }
+
+  /**
+   * Lowercase words without accents or punctuation
+   */
+  tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/ß/g, 'ss')
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+  }
+
+  stem(word) {
+    return word.slice(0, this.stemLength);
+  }
+
+  /**
+   * Stemmed words and adjacent word pairs as [feature, weight]
+   */
+  getFeatures(words, weights = words.map(() => 1)) {
+    const stems = words.map(word => this.stem(word));
+    const features = stems.map((stem, i) => [stem, weights[i]]);
+    for (let i = 0; i < stems.length - 1; i++) {
+      features.push([`${stems[i]} ${stems[i + 1]}`, Math.min(weights[i], weights[i + 1])]);
+    }
+    return features;
+  }
+
+  /**
+   * Train on { intent: [utterance, ...] }, replacing what was learned before
+   */
+  train(examples) {
+    this.reset();
+    Object.entries(examples || {}).forEach(([intent, utterances]) => {
+      if (!Array.isArray(utterances) || utterances.length === 0) return;
+      const counts = new Map();
+      let total = 0;
+      utterances.forEach(utterance => {
+        const words = this.tokenize(utterance);
+        words.forEach(word => this.words.add(word));
+        this.getFeatures(words).forEach(([feature]) => {
+          counts.set(feature, (counts.get(feature) || 0) + 1);
+          this.vocabulary.add(feature);
+          total++;
+        });
+      });
+      this.intents.push(intent);
+      this.counts.set(intent, counts);
+      this.totals.set(intent, total);
+    });
+
+    this.vocabulary.forEach(feature => {
+      const intentCount = this.intents.filter(intent => this.counts.get(intent).has(feature)).length;
+      this.idf.set(feature, Math.log((this.intents.length + 1) / intentCount));
+    });
+  }
+
+  /**
+   * Known word closest to an unseen one: one edit away, two for longer words
+   */
+  closestWord(word) {
+    if (word.length < this.minFuzzyLength || !this.distance) return null;
+    const maxDistance = word.length >= 7 ? 2 : 1;
+    let best = null;
+    let bestDistance = maxDistance + 1;
+    this.words.forEach(known => {
+      if (Math.abs(known.length - word.length) > maxDistance) return;
+      const distance = this.distance(word, known);
+      if (distance < bestDistance) {
+        best = known;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Ranked intents for a message: { intent, confidence, ranked: [{ intent, confidence }] }.
+   * intent is null when no known word was found or the best confidence is below minConfidence.
+   */
+  classify(text) {
+    const words = [];
+    const weights = [];
+    this.tokenize(text).forEach(word => {
+      if (this.words.has(word)) {
+        words.push(word);
+        weights.push(1);
+        return;
+      }
+      const match = this.closestWord(word);
+      if (match) {
+        words.push(match);
+        weights.push(this.fuzzyWeight);
+      }
+    });
+
+    const features = this.getFeatures(words, weights).filter(([feature]) => this.vocabulary.has(feature));
+    if (features.length === 0 || this.intents.length === 0) {
+      return { intent: null, confidence: 0, ranked: [] };
+    }
+
+    // IDF-weighted log-likelihood per intent with equal priors, normalised into confidences
+    const vocabularySize = this.vocabulary.size;
+    const scores = this.intents.map(intent => {
+      const counts = this.counts.get(intent);
+      const denominator = this.totals.get(intent) + this.smoothing * vocabularySize;
+      const score = features.reduce((sum, [feature, weight]) =>
+        sum + weight * this.idf.get(feature) * Math.log(((counts.get(feature) || 0) + this.smoothing) / denominator), 0);
+      return { intent, score };
+    });
+    const max = Math.max(...scores.map(s => s.score));
+    const sum = scores.reduce((total, s) => total + Math.exp(s.score - max), 0);
+    const ranked = scores
+      .map(s => ({ intent: s.intent, confidence: Math.exp(s.score - max) / sum }))
+      .sort((a, b) => b.confidence - a.confidence);
+
+    const best = ranked[0];
+    return {
+      intent: best.confidence >= this.minConfidence ? best.intent : null,
+      confidence: best.confidence,
+      ranked
+    };
+  }
+}
+
+// Export for use in other modules
+window.IntentClassifier = IntentClassifier;
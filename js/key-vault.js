@@ -0,0 +1,105 @@
+/**
+ * Key Vault - Encrypts secrets such as the API key with a user passphrase
+ * (PBKDF2-SHA256 key derivation + AES-GCM) using the browser's WebCrypto API
+ */
+class KeyVault {
+  constructor() {
+    this.iterations = 250000;
+    this.saltLength = 16;
+    this.ivLength = 12;
+  }
+
+  /**
+   * Whether WebCrypto is available (it requires a secure context)
+   */
+  isSupported() {
+    return !!(window.crypto && window.crypto.subtle);
+  }
+
+  /**
+   * Derive an AES-GCM key from a passphrase
+   */
+  async deriveKey(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      baseKey,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Encrypt a secret; returns a record safe to store in IndexedDB
+   */
+  async encrypt(secret, passphrase) {
+    if (!this.isSupported()) {
+      throw new Error('Encryption is not available in this browser. Serve the app over https or localhost.');
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(this.saltLength));
+    const iv = crypto.getRandomValues(new Uint8Array(this.ivLength));
+    const key = await this.deriveKey(passphrase, salt, this.iterations);
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(secret)
+    );
+
+    return {
+      algorithm: 'AES-GCM',
+      kdf: 'PBKDF2-SHA256',
+      iterations: this.iterations,
+      salt: this.toBase64(salt),
+      iv: this.toBase64(iv),
+      ciphertext: this.toBase64(new Uint8Array(ciphertext))
+    };
+  }
+
+  /**
+   * Decrypt a record produced by encrypt(); throws if the passphrase is wrong
+   */
+  async decrypt(record, passphrase) {
+    if (!this.isSupported()) {
+      throw new Error('Encryption is not available in this browser. Serve the app over https or localhost.');
+    }
+
+    const key = await this.deriveKey(passphrase, this.fromBase64(record.salt), record.iterations);
+    try {
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: this.fromBase64(record.iv) },
+        key,
+        this.fromBase64(record.ciphertext)
+      );
+      return new TextDecoder().decode(plaintext);
+    } catch (_) {
+      throw new Error('Wrong passphrase.');
+    }
+  }
+
+  toBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+  }
+
+  fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+}
+
+// Export for use in other modules
+window.KeyVault = KeyVault;
@@ -0,0 +1,192 @@
+/**
+ * Language Packs - Registry of the per-language data files in lang/
+ *
+ * Each pack bundles the UI strings, the Polar system prompt, offline response
+ * pools, typo corrections, intent examples, blueprint keywords and the speech
+ * locale of one language.
+ * Packs call LanguagePacks.register() when their script loads; English is the
+ * fallback for anything a pack leaves out.
+ */
+class LanguagePackRegistry {
+  constructor() {
+    this.packs = new Map(); // code -> pack, in registration order
+    this.fallbackCode = 'en';
+    this.storageKey = 'polar.lang';
+  }
+
+  register(pack) {
+    if (!pack || !pack.code) throw new Error('A language pack needs a code');
+    const code = pack.code.toLowerCase();
+    this.packs.set(code, {
+      strings: {},
+      fallbackResponses: {},
+      generalResponses: [],
+      spellingCorrections: {},
+      intentExamples: {},
+      blueprintKeywords: {},
+      ...pack,
+      code,
+      name: pack.name || code,
+      englishName: pack.englishName || pack.name || code,
+      locale: pack.locale || code
+    });
+  }
+
+  has(code) {
+    return !!code && this.packs.has(String(code).toLowerCase());
+  }
+
+  /**
+   * Pack for a language, or the English pack when it is not registered
+   */
+  get(code) {
+    return this.packs.get(String(code || '').toLowerCase()) || this.packs.get(this.fallbackCode) || null;
+  }
+
+  /**
+   * Registered languages for the picker: [{ code, name }]
+   */
+  list() {
+    return Array.from(this.packs.values()).map(pack => ({ code: pack.code, name: pack.name }));
+  }
+
+  codes() {
+    return Array.from(this.packs.keys());
+  }
+
+  /**
+   * A registered language code for `code`, falling back to English
+   */
+  resolve(code) {
+    return this.has(code) ? String(code).toLowerCase() : this.fallbackCode;
+  }
+
+  /**
+   * Language chosen in the picker, then the document's, then English
+   */
+  getCurrentLanguage() {
+    let saved = null;
+    try {
+      saved = localStorage.getItem(this.storageKey);
+    } catch (_) {}
+    return this.resolve(saved || document.documentElement.getAttribute('lang'));
+  }
+
+  saveLanguage(code) {
+    try {
+      localStorage.setItem(this.storageKey, this.resolve(code));
+    } catch (_) {}
+  }
+
+  /**
+   * UI string in a language; English, then the key itself, when missing
+   */
+  t(key, code = this.getCurrentLanguage()) {
+    const pack = this.get(code);
+    const fallback = this.packs.get(this.fallbackCode);
+    if (pack && pack.strings[key] !== undefined) return pack.strings[key];
+    if (fallback && fallback.strings[key] !== undefined) return fallback.strings[key];
+    return key;
+  }
+
+  /**
+   * BCP 47 locale for dates and speech recognition
+   */
+  getLocale(code = this.getCurrentLanguage()) {
+    const pack = this.get(code);
+    return pack ? pack.locale : 'en-US';
+  }
+
+  getSystemPrompt(code = this.getCurrentLanguage()) {
+    const pack = this.get(code);
+    const fallback = this.packs.get(this.fallbackCode);
+    return (pack && pack.systemPrompt) || (fallback && fallback.systemPrompt) || '';
+  }
+
+  /**
+   * Offline replies for a topic; the English pool when the language has none
+   */
+  getFallbackResponses(topic, code = this.getCurrentLanguage()) {
+    const pack = this.get(code);
+    const fallback = this.packs.get(this.fallbackCode);
+    const list = pack && pack.fallbackResponses[topic];
+    if (Array.isArray(list) && list.length > 0) return list;
+    return (fallback && fallback.fallbackResponses[topic]) || null;
+  }
+
+  getGeneralResponses(code = this.getCurrentLanguage()) {
+    const pack = this.get(code);
+    const fallback = this.packs.get(this.fallbackCode);
+    if (pack && pack.generalResponses.length > 0) return pack.generalResponses;
+    return fallback ? fallback.generalResponses : [];
+  }
+
+  /**
+   * Typo fixes of a language; not taken from English, since a typo in one
+   * language can be a word in another ("u" in Spanish)
+   */
+  getSpellingCorrections(code = this.getCurrentLanguage()) {
+    const pack = this.get(code);
+    return pack ? pack.spellingCorrections : {};
+  }
+
+  /**
+   * Labelled example questions for the intent classifier: the language's own
+   * followed by the English ones, so English questions are understood too
+   */
+  getIntentExamples(code = this.getCurrentLanguage()) {
+    const english = this.packs.get(this.fallbackCode);
+    const pack = this.get(code);
+    const result = {};
+    [pack, english].forEach((source, i) => {
+      if (!source || (i === 1 && source === pack)) return;
+      Object.entries(source.intentExamples).forEach(([intent, examples]) => {
+        result[intent] = (result[intent] || []).concat(examples);
+      });
+    });
+    return result;
+  }
+
+  /**
+   * Blueprint section keywords of every pack, so a section is found whatever
+   * language the conversation was held in
+   */
+  getBlueprintKeywords() {
+    const result = {};
+    this.packs.forEach(pack => {
+      Object.entries(pack.blueprintKeywords).forEach(([section, terms]) => {
+        result[section] = Array.from(new Set([...(result[section] || []), ...terms]));
+      });
+    });
+    return result;
+  }
+
+  /**
+   * Response lists of every language keyed by code ({ en: [...], es: [...] }),
+   * one entry per topic plus the general pool. Packs line up item by item with
+   * the English pack; a language is left out of a topic when its count differs.
+   */
+  getAlignedResponseLists() {
+    const english = this.packs.get(this.fallbackCode);
+    if (!english) return [];
+
+    const align = pick => {
+      const base = pick(english);
+      if (!Array.isArray(base) || base.length === 0) return null;
+      const lists = {};
+      this.packs.forEach(pack => {
+        const list = pick(pack);
+        if (Array.isArray(list) && list.length === base.length) lists[pack.code] = list;
+      });
+      return lists;
+    };
+
+    const result = Object.keys(english.fallbackResponses)
+      .map(topic => align(pack => pack.fallbackResponses[topic]));
+    result.push(align(pack => pack.generalResponses));
+    return result.filter(lists => lists && Object.keys(lists).length > 1);
+  }
+}
+
+// Export for use in other modules; lang/*.js register themselves on this instance
+window.LanguagePacks = new LanguagePackRegistry();
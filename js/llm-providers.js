@@ -0,0 +1,537 @@
+/**
+ * LLM Providers - Common interface over the chat APIs Polar can talk to
+ *
+ * Every provider exposes:
+ *   listModels()                      -> array of model ids (throws on failure)
+ *   complete(messages, options)       -> full response text
+ *   stream(messages, options, onToken) -> full response text, calling onToken(delta, fullText)
+ *
+ * After a request, provider.usage holds the token counts the API reported
+ * ({ promptTokens, completionTokens }), or null when it reported none.
+ * messages use the OpenAI shape ({ role: 'system' | 'user' | 'assistant', content }).
+ *
+ * Requests time out, rate limits and server errors are retried with backoff,
+ * and failures are thrown as an LLMRequestError whose kind says what went wrong.
+ */
+
+/**
+ * A failed provider request. kind is one of:
+ *   'auth'        - the API key was rejected (401/403)
+ *   'quota'       - out of credits or over the plan's quota (402, or 429 saying so)
+ *   'rate_limit'  - too many requests (429)
+ *   'server'      - the provider failed (5xx)
+ *   'timeout'     - no response within the time limit
+ *   'network'     - the provider could not be reached
+ *   'bad_request' - any other 4xx, usually a wrong model or endpoint
+ *   'aborted'     - cancelled by the caller
+ * retryAfterMs is the wait the provider asked for, if any.
+ */
+class LLMRequestError extends Error {
+  constructor(message, { kind, status = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'LLMRequestError';
+    this.kind = kind;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  /**
+   * Whether the same request may succeed if sent again
+   */
+  get retryable() {
+    return ['rate_limit', 'server', 'timeout', 'network'].includes(this.kind);
+  }
+}
+
+/**
+ * Timeouts and retry backoff used by every request
+ */
+const REQUEST_DEFAULTS = {
+  timeoutMs: 30000,       // until the response headers arrive
+  idleTimeoutMs: 30000,   // between two chunks of a stream
+  retries: 2,
+  baseDelayMs: 500,       // doubled on every retry, with jitter
+  maxDelayMs: 8000,
+  maxRetryAfterMs: 20000  // a longer Retry-After is not waited for
+};
+
+/**
+ * Milliseconds to wait from a Retry-After header (seconds or an HTTP date), or null
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Classify a failed HTTP response as an LLMRequestError
+ */
+async function toRequestError(response, label) {
+  let detail = '';
+  try {
+    detail = await response.text();
+  } catch (_) {}
+
+  const status = response.status;
+  const retryAfterMs = parseRetryAfter(response.headers && response.headers.get ? response.headers.get('retry-after') : null);
+  let kind = 'bad_request';
+  if (status === 401 || status === 403) kind = 'auth';
+  else if (status === 402 || (status === 429 && /quota|credit|billing|insufficient/i.test(detail))) kind = 'quota';
+  else if (status === 429) kind = 'rate_limit';
+  else if (status === 408) kind = 'timeout';
+  else if (status >= 500) kind = 'server';
+
+  return new LLMRequestError(`${label} failed: ${status}`, { kind, status, retryAfterMs });
+}
+
+/**
+ * Wait ms milliseconds; resolves early when signal is aborted
+ */
+function waitUnlessAborted(ms, signal) {
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    if (signal && signal.aborted) done();
+    else if (signal) signal.addEventListener('abort', done);
+  });
+}
+
+/**
+ * fetch() with a timeout per attempt and retries with exponential backoff for
+ * rate limits, server errors, timeouts and network failures. A Retry-After
+ * header is waited for when it is within maxRetryAfterMs. options.signal
+ * cancels the request, also while waiting to retry; options.sleep(ms, signal)
+ * replaces the wait between attempts.
+ * Resolves with the ok response or throws an LLMRequestError.
+ */
+async function fetchWithRetry(url, init = {}, options = {}) {
+  const settings = { ...REQUEST_DEFAULTS, ...options };
+  const label = settings.label || 'API request';
+  const sleep = settings.sleep || waitUnlessAborted;
+
+  for (let attempt = 0; ; attempt++) {
+    let error;
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, settings.timeoutMs);
+    const cancel = () => controller.abort();
+    if (settings.signal) {
+      if (settings.signal.aborted) controller.abort();
+      settings.signal.addEventListener('abort', cancel);
+    }
+
+    try {
+      const response = await fetch(url, { ...init, signal: controller.signal });
+      if (response.ok) return response;
+      error = await toRequestError(response, label);
+    } catch (cause) {
+      if (settings.signal && settings.signal.aborted) {
+        error = new LLMRequestError(`${label} cancelled`, { kind: 'aborted' });
+      } else if (timedOut) {
+        error = new LLMRequestError(`${label} timed out after ${settings.timeoutMs} ms`, { kind: 'timeout' });
+      } else {
+        error = new LLMRequestError(`${label} failed: ${cause.message || 'network error'}`, { kind: 'network' });
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+    // A returned response keeps listening, so the signal can also cancel reading its body
+    if (settings.signal) settings.signal.removeEventListener('abort', cancel);
+
+    if (!error.retryable || attempt >= settings.retries) throw error;
+
+    const backoff = Math.min(settings.maxDelayMs, settings.baseDelayMs * 2 ** attempt);
+    let delay = backoff / 2 + Math.random() * backoff / 2;
+    if (error.retryAfterMs !== null) {
+      if (error.retryAfterMs > settings.maxRetryAfterMs) throw error;
+      delay = error.retryAfterMs;
+    }
+    await sleep(delay, settings.signal);
+    if (settings.signal && settings.signal.aborted) {
+      throw new LLMRequestError(`${label} cancelled`, { kind: 'aborted' });
+    }
+  }
+}
+
+/**
+ * Base class for providers that speak the OpenAI /chat/completions dialect
+ * (OpenRouter, OpenAI, Ollama, llama.cpp, LM Studio, ...)
+ */
+class OpenAICompatibleProvider {
+  constructor(config = {}) {
+    this.id = config.id || 'custom';
+    this.apiKey = config.apiKey || null;
+    this.baseURL = (config.baseURL || '').replace(/\/+$/, '');
+    this.model = config.model;
+    this.extraHeaders = config.headers || {};
+    this.requestOptions = config.requestOptions || {}; // overrides of REQUEST_DEFAULTS
+    this.usage = null;
+  }
+
+  /**
+   * Send a request through fetchWithRetry(); options.signal cancels it
+   */
+  request(path, init, options = {}) {
+    return fetchWithRetry(`${this.baseURL}${path}`, init, { ...this.requestOptions, ...options });
+  }
+
+  /**
+   * Request headers
+   */
+  getHeaders() {
+    const headers = {
+      'Content-Type': 'application/json',
+      ...this.extraHeaders
+    };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Build the /chat/completions request body
+   */
+  buildRequestBody(messages, options = {}, stream = false) {
+    const body = {
+      model: this.model,
+      messages: messages,
+      max_tokens: options.maxTokens,
+      temperature: options.temperature,
+      stream: stream
+    };
+    if (options.presencePenalty !== undefined) body.presence_penalty = options.presencePenalty;
+    if (options.frequencyPenalty !== undefined) body.frequency_penalty = options.frequencyPenalty;
+    return body;
+  }
+
+  /**
+   * List available models
+   */
+  async listModels() {
+    const response = await this.request('/models', {
+      headers: this.getHeaders()
+    }, { label: 'Model list request', timeoutMs: 10000, retries: 0 });
+    const data = await response.json();
+    const models = Array.isArray(data.data) ? data.data : (Array.isArray(data.models) ? data.models : []);
+    return models.map(m => m.id || m.name).filter(Boolean);
+  }
+
+  /**
+   * Request a full completion
+   */
+  async complete(messages, options = {}) {
+    const response = await this.request('/chat/completions', {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(this.buildRequestBody(messages, options))
+    }, { signal: options.signal });
+
+    const data = await response.json();
+    this.usage = this.parseUsage(data.usage);
+    return data.choices[0].message.content.trim();
+  }
+
+  /**
+   * Token counts from a usage object: { prompt_tokens, completion_tokens }
+   */
+  parseUsage(usage) {
+    if (!usage || !Number.isFinite(usage.prompt_tokens)) return null;
+    return { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens || 0 };
+  }
+
+  /**
+   * Request a streamed completion
+   */
+  async stream(messages, options = {}, onToken = () => {}) {
+    const response = await this.request('/chat/completions', {
+      method: 'POST',
+      headers: { ...this.getHeaders(), 'Accept': 'text/event-stream' },
+      body: JSON.stringify(this.buildRequestBody(messages, options, true))
+    }, { signal: options.signal });
+
+    return readEventStream(response, line => this.parseStreamLine(line), onToken, this.getIdleTimeout());
+  }
+
+  /**
+   * How long a stream may stay silent before it counts as timed out
+   */
+  getIdleTimeout() {
+    return this.requestOptions.idleTimeoutMs || REQUEST_DEFAULTS.idleTimeoutMs;
+  }
+
+  /**
+   * Parse one SSE line. Returns the content delta, null to skip, false at [DONE].
+   */
+  parseStreamLine(line) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) return null;
+
+    const payload = trimmed.slice(5).trim();
+    if (payload === '[DONE]') return false;
+
+    try {
+      const data = JSON.parse(payload);
+      // Some servers send usage with the last chunk
+      if (data.usage) this.usage = this.parseUsage(data.usage) || this.usage;
+      const choice = data.choices && data.choices[0];
+      const delta = choice && choice.delta && choice.delta.content;
+      return delta || null;
+    } catch (_) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Provider for Anthropic-style /messages APIs
+ */
+class AnthropicProvider extends OpenAICompatibleProvider {
+  getHeaders() {
+    const headers = {
+      'Content-Type': 'application/json',
+      'anthropic-version': '2023-06-01',
+      'anthropic-dangerous-direct-browser-access': 'true',
+      ...this.extraHeaders
+    };
+    if (this.apiKey) {
+      headers['x-api-key'] = this.apiKey;
+    }
+    return headers;
+  }
+
+  /**
+   * Build the /messages request body; the system prompt is a top-level field
+   * and consecutive turns from the same role are merged, as the API requires.
+   */
+  buildRequestBody(messages, options = {}, stream = false) {
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    const turns = [];
+    messages.filter(m => m.role !== 'system').forEach(m => {
+      const role = m.role === 'assistant' ? 'assistant' : 'user';
+      const last = turns[turns.length - 1];
+      if (last && last.role === role) {
+        last.content += '\n\n' + m.content;
+      } else {
+        turns.push({ role, content: m.content });
+      }
+    });
+    if (turns.length > 0 && turns[0].role !== 'user') {
+      turns.unshift({ role: 'user', content: '…' });
+    }
+
+    const body = {
+      model: this.model,
+      messages: turns,
+      max_tokens: options.maxTokens || 500,
+      stream: stream
+    };
+    if (system) body.system = system;
+    if (options.temperature !== undefined) body.temperature = Math.min(options.temperature, 1);
+    return body;
+  }
+
+  async complete(messages, options = {}) {
+    const response = await this.request('/messages', {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(this.buildRequestBody(messages, options))
+    }, { signal: options.signal });
+
+    const data = await response.json();
+    this.usage = this.parseUsage(data.usage);
+    const blocks = Array.isArray(data.content) ? data.content : [];
+    return blocks.filter(b => b.type === 'text').map(b => b.text).join('').trim();
+  }
+
+  async stream(messages, options = {}, onToken = () => {}) {
+    const response = await this.request('/messages', {
+      method: 'POST',
+      headers: { ...this.getHeaders(), 'Accept': 'text/event-stream' },
+      body: JSON.stringify(this.buildRequestBody(messages, options, true))
+    }, { signal: options.signal });
+
+    return readEventStream(response, line => this.parseStreamLine(line), onToken, this.getIdleTimeout());
+  }
+
+  /**
+   * Token counts from a usage object: { input_tokens, output_tokens }
+   */
+  parseUsage(usage) {
+    if (!usage || !Number.isFinite(usage.input_tokens)) return null;
+    return { promptTokens: usage.input_tokens, completionTokens: usage.output_tokens || 0 };
+  }
+
+  parseStreamLine(line) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) return null;
+
+    try {
+      const data = JSON.parse(trimmed.slice(5).trim());
+      // Input tokens arrive with message_start, output tokens with message_delta
+      if (data.type === 'message_start' && data.message) {
+        this.usage = this.parseUsage(data.message.usage);
+      } else if (data.type === 'message_delta' && data.usage && this.usage) {
+        this.usage.completionTokens = data.usage.output_tokens || this.usage.completionTokens;
+      }
+      if (data.type === 'message_stop') return false;
+      if (data.type === 'content_block_delta' && data.delta && data.delta.type === 'text_delta') {
+        return data.delta.text || null;
+      }
+      return null;
+    } catch (_) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Read a server-sent-events body line by line.
+ * parseLine(line) returns a text delta, null to skip the line or false to stop.
+ * A stream that sends nothing for idleTimeoutMs is cancelled as timed out.
+ */
+async function readEventStream(response, parseLine, onToken, idleTimeoutMs = REQUEST_DEFAULTS.idleTimeoutMs) {
+  if (!response.body || typeof response.body.getReader !== 'function') {
+    throw new Error('Streaming not supported by this browser');
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let content = '';
+
+  const read = () => {
+    let timer;
+    const idle = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        reader.cancel().catch(() => {});
+        reject(new LLMRequestError(`Stream stalled for ${idleTimeoutMs} ms`, { kind: 'timeout' }));
+      }, idleTimeoutMs);
+    });
+    return Promise.race([reader.read(), idle]).finally(() => clearTimeout(timer));
+  };
+
+  try {
+    while (true) {
+      const chunk = await read();
+      if (chunk.done) break;
+      buffer += decoder.decode(chunk.value, { stream: true });
+
+      // Keep the trailing partial line in the buffer until the next chunk
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const delta = parseLine(line);
+        if (delta === null) continue;
+        if (delta === false) return content.trim();
+        content += delta;
+        onToken(delta, content);
+      }
+    }
+  } catch (cause) {
+    // Keep whatever already arrived so callers can show a partial answer
+    const error = cause instanceof LLMRequestError
+      ? cause
+      : new LLMRequestError(`Stream interrupted: ${cause.message}`, { kind: cause.name === 'AbortError' ? 'aborted' : 'network' });
+    error.partialContent = content;
+    throw error;
+  }
+
+  return content.trim();
+}
+
+/**
+ * Built-in provider presets selectable from the settings panel
+ */
+const PROVIDER_PRESETS = {
+  openrouter: {
+    label: 'OpenRouter',
+    type: 'openai',
+    baseURL: 'https://openrouter.ai/api/v1',
+    defaultModel: 'deepseek/deepseek-chat',
+    requiresKey: true,
+    headers: () => ({
+      'HTTP-Referer': window.location.origin,
+      'X-Title': 'Polar Bear Chatbot'
+    })
+  },
+  openai: {
+    label: 'OpenAI-compatible',
+    type: 'openai',
+    baseURL: 'https://api.openai.com/v1',
+    defaultModel: 'gpt-4o-mini',
+    requiresKey: true
+  },
+  ollama: {
+    label: 'Ollama (local)',
+    type: 'openai',
+    baseURL: 'http://localhost:11434/v1',
+    defaultModel: 'llama3.1',
+    requiresKey: false
+  },
+  llamacpp: {
+    label: 'llama.cpp server (local)',
+    type: 'openai',
+    baseURL: 'http://localhost:8080/v1',
+    defaultModel: 'local-model',
+    requiresKey: false
+  },
+  anthropic: {
+    label: 'Anthropic',
+    type: 'anthropic',
+    baseURL: 'https://api.anthropic.com/v1',
+    defaultModel: 'claude-3-5-haiku-latest',
+    requiresKey: true
+  }
+};
+
+const PROVIDER_TYPES = {
+  openai: OpenAICompatibleProvider,
+  anthropic: AnthropicProvider
+};
+
+const LLMProviders = {
+  presets: PROVIDER_PRESETS,
+
+  /**
+   * Get a preset by id, defaulting to OpenRouter
+   */
+  getPreset(id) {
+    return PROVIDER_PRESETS[id] || PROVIDER_PRESETS.openrouter;
+  },
+
+  /**
+   * Create a provider instance from a preset id and user config
+   */
+  create(id, config = {}) {
+    const preset = this.getPreset(id);
+    const ProviderClass = PROVIDER_TYPES[preset.type] || OpenAICompatibleProvider;
+    return new ProviderClass({
+      id: id,
+      apiKey: config.apiKey,
+      baseURL: config.baseURL || preset.baseURL,
+      model: config.model || preset.defaultModel,
+      headers: typeof preset.headers === 'function' ? preset.headers() : preset.headers,
+      requestOptions: config.requestOptions
+    });
+  }
+};
+
+// Export for use in other modules
+window.LLMRequestError = LLMRequestError;
+window.fetchWithRetry = fetchWithRetry;
+window.parseRetryAfter = parseRetryAfter;
+window.OpenAICompatibleProvider = OpenAICompatibleProvider;
+window.AnthropicProvider = AnthropicProvider;
+window.LLMProviders = LLMProviders;
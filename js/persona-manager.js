@@ -0,0 +1,196 @@
+/**
+ * Persona Manager - Named persona profiles (system prompt, greeting,
+ * quick-action questions and fallback responses) stored in IndexedDB
+ *
+ * Each text field is keyed by language code; an empty field falls back to
+ * Polar's built-in text for that language.
+ */
+class PersonaManager {
+  constructor(db) {
+    this.db = db;
+    this.builtInId = 'polar';
+    this.fileType = 'polar-personas';
+    this.fileVersion = '1.0';
+    this.languages = LanguagePacks.codes();
+  }
+
+  /**
+   * The built-in Polar persona; it is not stored and cannot be edited
+   */
+  getBuiltIn() {
+    return {
+      id: this.builtInId,
+      name: 'Polar',
+      builtIn: true,
+      systemPrompt: {},
+      greeting: {},
+      quickActions: {},
+      fallbackResponses: {}
+    };
+  }
+
+  /**
+   * Generate a unique persona ID
+   */
+  createId() {
+    return 'persona_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  /**
+   * Text of a persona field in a language, or null to use the default
+   */
+  getText(persona, field, lang) {
+    const value = persona && persona[field] && persona[field][lang];
+    if (Array.isArray(value)) return value.length > 0 ? value : null;
+    if (value && typeof value === 'object') return Object.keys(value).length > 0 ? value : null;
+    return value || null;
+  }
+
+  /**
+   * Validate a persona and return it in the stored shape.
+   * Throws an Error with a user-facing message if it is not usable.
+   */
+  normalize(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new Error('A persona profile must be an object.');
+    }
+    const name = String(raw.name || '').trim();
+    if (!name) {
+      throw new Error('Every persona profile needs a name.');
+    }
+
+    const persona = {
+      id: raw.id && raw.id !== this.builtInId ? String(raw.id) : this.createId(),
+      name,
+      systemPrompt: {},
+      greeting: {},
+      quickActions: {},
+      fallbackResponses: {}
+    };
+    if (raw.createdAt) persona.createdAt = raw.createdAt;
+
+    this.languages.forEach(lang => {
+      ['systemPrompt', 'greeting'].forEach(field => {
+        const text = raw[field] && raw[field][lang];
+        if (text !== undefined && typeof text !== 'string') {
+          throw new Error(`"${name}": ${field}.${lang} must be text.`);
+        }
+        if (text && text.trim()) persona[field][lang] = text.trim();
+      });
+
+      const questions = raw.quickActions && raw.quickActions[lang];
+      if (questions !== undefined) {
+        if (!Array.isArray(questions) || questions.some(q => typeof q !== 'string')) {
+          throw new Error(`"${name}": quickActions.${lang} must be a list of questions.`);
+        }
+        const cleaned = questions.map(q => q.trim()).filter(Boolean);
+        if (cleaned.length > 0) persona.quickActions[lang] = cleaned;
+      }
+
+      const responses = raw.fallbackResponses && raw.fallbackResponses[lang];
+      if (responses !== undefined) {
+        if (!responses || typeof responses !== 'object' || Array.isArray(responses)) {
+          throw new Error(`"${name}": fallbackResponses.${lang} must map topics to lists of responses.`);
+        }
+        const cleaned = {};
+        Object.entries(responses).forEach(([topic, list]) => {
+          if (!Array.isArray(list) || list.some(r => typeof r !== 'string')) {
+            throw new Error(`"${name}": fallbackResponses.${lang}.${topic} must be a list of responses.`);
+          }
+          const texts = list.map(r => r.trim()).filter(Boolean);
+          if (texts.length > 0) cleaned[topic] = texts;
+        });
+        if (Object.keys(cleaned).length > 0) persona.fallbackResponses[lang] = cleaned;
+      }
+    });
+
+    return persona;
+  }
+
+  /**
+   * All personas, built-in first
+   */
+  async list() {
+    const stored = await this.db.getPersonas();
+    return [this.getBuiltIn(), ...stored];
+  }
+
+  /**
+   * Get a persona by id, the built-in one included
+   */
+  async get(id) {
+    if (!id || id === this.builtInId) return this.getBuiltIn();
+    return this.db.getPersona(id);
+  }
+
+  /**
+   * The active persona, or the built-in one if none is chosen (or it was deleted)
+   */
+  async getActive() {
+    const id = await this.db.getSetting('activePersona');
+    return (await this.get(id)) || this.getBuiltIn();
+  }
+
+  async setActive(id) {
+    await this.db.saveSetting('activePersona', id || this.builtInId);
+  }
+
+  /**
+   * Validate and store a persona; returns the stored persona
+   */
+  async save(raw) {
+    const persona = this.normalize(raw);
+    await this.db.savePersona(persona);
+    return persona;
+  }
+
+  /**
+   * Delete a stored persona; the active one reverts to the built-in persona
+   */
+  async remove(id) {
+    if (id === this.builtInId) {
+      throw new Error('The built-in persona cannot be deleted.');
+    }
+    await this.db.deletePersona(id);
+    if ((await this.db.getSetting('activePersona')) === id) {
+      await this.setActive(this.builtInId);
+    }
+  }
+
+  /**
+   * Stored personas as an export file object
+   */
+  async exportProfiles() {
+    return {
+      type: this.fileType,
+      version: this.fileVersion,
+      exportDate: new Date().toISOString(),
+      personas: await this.db.getPersonas()
+    };
+  }
+
+  /**
+   * Import personas from an export file object, updating profiles with the same id.
+   * Every profile is validated before any is written.
+   */
+  async importProfiles(data) {
+    if (!data || data.type !== this.fileType || !Array.isArray(data.personas)) {
+      throw new Error('The file is not a persona profile export.');
+    }
+    if (String(data.version) !== this.fileVersion) {
+      throw new Error(`Unsupported persona file version "${data.version}".`);
+    }
+
+    const personas = data.personas.map(raw => this.normalize(raw));
+    const report = { added: 0, updated: 0 };
+    for (const persona of personas) {
+      const existing = await this.db.getPersona(persona.id);
+      await this.db.savePersona(persona);
+      report[existing ? 'updated' : 'added']++;
+    }
+    return report;
+  }
+}
+
+// Export for use in other modules
+window.PersonaManager = PersonaManager;
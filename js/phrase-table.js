@@ -0,0 +1,90 @@
+/**
+ * Phrase Table - Offline lookup between the languages of Polar's curated responses
+ *
+ * Built from response lists that line up item by item across the language
+ * packs. Each response is stored whole and sentence by sentence, since
+ * blueprint items are single sentences of a response.
+ */
+class PhraseTable {
+  constructor(splitIntoSentences) {
+    this.splitIntoSentences = splitIntoSentences;
+    this.entries = new Map(); // normalized text -> { en, es, ... }
+  }
+
+  /**
+   * Lookup key: lowercase letters and digits only, so accents, punctuation
+   * and emoji do not matter
+   */
+  normalize(text) {
+    return String(text)
+      .toLowerCase()
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  addEntry(texts) {
+    const entry = {};
+    Object.entries(texts).forEach(([lang, text]) => { entry[lang] = text.trim(); });
+    Object.values(entry).forEach(text => {
+      const key = this.normalize(text);
+      // The first entry wins for short phrases shared by several responses ("Hi!")
+      if (key && !this.entries.has(key)) this.entries.set(key, entry);
+    });
+  }
+
+  /**
+   * Add one response in several languages ({ en, es, ... }). Sentences are
+   * paired first for the languages that split into as many sentences as
+   * English (emoji-only tails ignored).
+   */
+  add(texts) {
+    const langs = Object.keys(texts).filter(lang => texts[lang]);
+    if (langs.length < 2) return;
+
+    const sentences = {};
+    langs.forEach(lang => {
+      sentences[lang] = this.splitIntoSentences(texts[lang]).filter(s => this.normalize(s));
+    });
+    const base = sentences.en || sentences[langs[0]];
+    const aligned = langs.filter(lang => sentences[lang].length === base.length);
+    if (aligned.length > 1) {
+      base.forEach((_, i) => {
+        const entry = {};
+        aligned.forEach(lang => { entry[lang] = sentences[lang][i]; });
+        this.addEntry(entry);
+      });
+    }
+
+    const whole = {};
+    langs.forEach(lang => { whole[lang] = texts[lang]; });
+    this.addEntry(whole);
+  }
+
+  /**
+   * Add response lists keyed by language ({ en: [...], es: [...] }) that line up item by item
+   */
+  addLists(lists) {
+    const langs = Object.keys(lists || {}).filter(lang => Array.isArray(lists[lang]));
+    if (langs.length < 2) return;
+    const length = lists[langs[0]].length;
+    if (langs.some(lang => lists[lang].length !== length)) return;
+
+    for (let i = 0; i < length; i++) {
+      const texts = {};
+      langs.forEach(lang => { texts[lang] = lists[lang][i]; });
+      this.add(texts);
+    }
+  }
+
+  /**
+   * Text in the target language code, or null when it is not a curated phrase
+   */
+  translate(text, targetLang) {
+    const entry = this.entries.get(this.normalize(text));
+    return entry && entry[targetLang] ? entry[targetLang] : null;
+  }
+}
+
+// Export for use in other modules
+window.PhraseTable = PhraseTable;
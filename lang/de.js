@@ -0,0 +1,428 @@
+/**
+ * German language pack (Deutsch)
+ *
+ * Response lists line up item by item with the English pack for offline blueprint translation.
+ */
+LanguagePacks.register({
+  code: 'de',
+  name: 'Deutsch',
+  englishName: 'German',
+  locale: 'de-DE',
+
+  // UI strings, keyed like the data-i18n attributes
+  strings: {
+    'header.title': 'Eisbär-Aufnahme-Chatbot',
+    'header.subtitle': 'Dein freundlicher arktischer Assistent für Aufnahmegespräche',
+    'status.initializing': 'Wird gestartet...',
+    'status.connected': 'KI verbunden',
+    'status.fallback': 'Ohne KI',
+    'status.offline': 'KI offline',
+    'status.wentOffline': 'Die KI ist offline; Polar antwortet mit vorbereiteten Antworten.',
+    'status.recovered': 'Die KI ist wieder erreichbar.',
+    'welcome.title': 'Willkommen in Polars arktischer Welt! 🌨️',
+    'welcome.body': 'Ich helfe dir bei deinem arktischen Aufnahmegespräch. Frag mich alles über das Leben in der Arktis!',
+    'qa.name': 'Wie heißt du?',
+    'qa.location': 'Wo lebst du?',
+    'qa.diet': 'Was frisst du?',
+    'qa.skills': 'Was sind deine Fähigkeiten?',
+    'qa.challenges': 'Welche Schwierigkeiten hast du?',
+    'typing': 'Polar denkt nach',
+    'input.placeholder': 'Frag Polar etwas über das Leben in der Arktis...',
+    'button.send': 'Senden',
+    'button.stop': 'Stopp',
+    'button.settings': 'Einstellungen',
+    'button.export': 'Exportieren',
+    'button.import': 'Importieren',
+    'export.title': 'Unterhaltung exportieren',
+    'export.markdown': 'Markdown-Transkript',
+    'export.text': 'Reiner Text',
+    'export.html': 'Druckbare Seite (HTML / PDF)',
+    'export.csv': 'CSV (Zeitstempel, Rolle, Inhalt)',
+    'export.json': 'Vollständige Sicherung aller Unterhaltungen (JSON)',
+    'export.includeBlueprint': 'Gesprächsplan einbeziehen',
+    'export.secretsNote': 'API-Schlüssel und andere Geheimnisse werden nie exportiert.',
+    'export.cancel': 'Abbrechen',
+    'export.print': 'Drucken / Als PDF speichern',
+    'export.otherBranches': 'Weitere Zweige',
+    'export.branch': 'Zweig',
+    'export.branchFrom': 'bearbeitet ab Nachricht',
+    'button.analytics': 'Statistik',
+    'analytics.title': 'Statistik',
+    'analytics.from': 'Von',
+    'analytics.to': 'Bis',
+    'analytics.last7': 'Letzte 7 Tage',
+    'analytics.last30': 'Letzte 30 Tage',
+    'analytics.all': 'Gesamt',
+    'analytics.messages': 'Nachrichten',
+    'analytics.sessions': 'Sitzungen',
+    'analytics.latency': 'Ø Antwortzeit',
+    'analytics.blueprints': 'Pläne',
+    'analytics.perDay': 'Nachrichten pro Tag',
+    'analytics.topics': 'Themen',
+    'analytics.answeredBy': 'Beantwortet von',
+    'analytics.coverage': 'Abdeckung der Planabschnitte',
+    'analytics.route.ai': 'KI',
+    'analytics.route.grounded': 'KI mit vorbereiteten Fakten',
+    'analytics.route.curated': 'Vorbereitete Antworten',
+    'analytics.close': 'Schließen',
+    'export.you': 'Du',
+    'export.defaultTitle': 'Unterhaltung mit Polar',
+    'button.reset': 'Neuer Chat',
+    'button.blueprint': 'Plan erstellen',
+    'button.history': 'Verlauf',
+    'history.title': 'Gespeicherte Unterhaltungen',
+    'history.empty': 'Noch keine gespeicherten Unterhaltungen.',
+    'history.messages': 'Nachrichten',
+    'history.branches': 'Zweige',
+    'button.intake': 'Geführtes Gespräch',
+    'intake.title': 'Geführtes Gespräch',
+    'intake.ask': 'Fragen',
+    'intake.skip': 'Überspringen',
+    'intake.complete': 'Alle Abschnitte sind abgedeckt. Erstelle den Plan zum Prüfen oder wähle einen Abschnitt zum Wiederholen.',
+    'intake.completeMessage': 'Gespräch abgeschlossen! Jeder Abschnitt des Plans hat Inhalt. Erstelle den Plan zum Prüfen.',
+    'intake.question.identity': 'Wie heißt du?',
+    'intake.question.habitat': 'Wo lebst du?',
+    'intake.question.diet': 'Was frisst du?',
+    'intake.question.skills': 'Was sind deine besonderen Fähigkeiten?',
+    'intake.question.challenges': 'Welche Schwierigkeiten hast du?',
+    'intake.question.message': 'Welche Botschaft hast du für die Menschen?',
+    'intake.question.future': 'Was erhoffst du dir für die Zukunft?',
+    'settings.persona': 'Persona',
+    'settings.editPersonas': 'Personas bearbeiten',
+    'persona.title': 'Persona-Profile',
+    'persona.new': 'Neu',
+    'persona.name': 'Name',
+    'persona.languageNote': 'Die Texte werden für die aktuelle Sprache bearbeitet. Lass ein Feld leer, um Polars Standardtext zu verwenden.',
+    'persona.systemPrompt': 'System-Prompt',
+    'persona.greeting': 'Begrüßung',
+    'persona.quickActions': 'Schnellfragen (eine pro Zeile)',
+    'persona.fallbackResponses': 'Offline-Antworten (JSON: Thema → Liste von Antworten)',
+    'persona.delete': 'Löschen',
+    'persona.close': 'Schließen',
+    'persona.save': 'Speichern',
+    'persona.builtIn': 'integriert',
+    'blueprint.title': 'Gesprächsplan',
+    'blueprint.generatedAt': 'Erstellt am',
+    'blueprint.noData': 'Noch keine Unterhaltung. Sende zuerst eine Nachricht.',
+    'blueprint.sections.identity': 'Identität',
+    'blueprint.sections.habitat': 'Lebensraum',
+    'blueprint.sections.diet': 'Ernährung',
+    'blueprint.sections.skills': 'Fähigkeiten',
+    'blueprint.sections.challenges': 'Schwierigkeiten',
+    'blueprint.sections.message': 'Botschaft an die Menschen',
+    'blueprint.sections.future': 'Zukunft und Hoffnungen',
+    'blueprint.reflection': 'Das habe ich heute über den Eisbären gelernt.',
+    'blueprint.close': 'Schließen',
+    'blueprint.collapse': 'Einklappen',
+    'blueprint.extracting': 'Plan wird extrahiert...',
+    'blueprint.history': 'Verlauf',
+    'blueprint.historyTitle': 'Planverlauf',
+    'blueprint.historyEmpty': 'Für diese Unterhaltung sind noch keine Pläne gespeichert.',
+    'blueprint.view': 'Ansehen',
+    'blueprint.delete': 'Löschen',
+    'blueprint.compare': 'Vergleichen',
+    'blueprint.diffTitle': 'Änderungen am Plan',
+    'blueprint.diffLanguage': 'Diese Versionen sind in verschiedenen Sprachen, daher erscheinen die meisten Einträge als geändert.',
+    'blueprint.method.ai': 'KI-Extraktion',
+    'blueprint.method.keywords': 'Schlagwort-Extraktion',
+    'blueprint.method.fallback': 'Schlagwort-Extraktion (KI-Extraktion fehlgeschlagen)',
+    'blueprint.editHint': 'Markiere, bearbeite, sortiere oder ziehe Einträge zwischen Abschnitten. Deine Änderungen bleiben beim Neuerstellen erhalten.',
+    'blueprint.addItem': 'Eintrag hinzufügen und Enter drücken',
+    'blueprint.star': 'Hervorheben',
+    'blueprint.edit': 'Bearbeiten',
+    'blueprint.moveUp': 'Nach oben',
+    'blueprint.moveDown': 'Nach unten',
+    'blueprint.deleteItem': 'Eintrag löschen',
+    'blueprint.exportMarkdown': 'Markdown',
+    'blueprint.exportPrint': 'Drucken / PDF',
+    'blueprint.exportImage': 'Bild',
+    'settings.aiBlueprint': 'KI-Planextraktion',
+    'settings.aiMode': 'KI-Modus',
+    'settings.autoSave': 'Automatisch speichern',
+    'settings.streaming': 'Antworten streamen',
+    'settings.routing': 'Antworten mit',
+    'routing.always-ai': 'Immer die KI',
+    'routing.curated-first': 'Zuerst vorbereitete Antworten',
+    'routing.ai-grounded': 'KI mit vorbereiteten Fakten',
+    'routing.curated-only': 'Nur vorbereitete Antworten',
+    'message.offline': 'Offline beantwortet',
+    'message.stopped': 'Abgebrochen',
+    'message.regenerate': 'Neu generieren',
+    'message.previousVersion': 'Vorherige Version',
+    'message.nextVersion': 'Nächste Version',
+    'message.edit': 'Bearbeiten und erneut senden',
+    'message.previousBranch': 'Vorheriger Zweig',
+    'message.nextBranch': 'Nächster Zweig',
+    'message.sendEdit': 'Senden',
+    'offline.unavailable': 'Die KI ist nicht verbunden.',
+    'offline.error': 'Die Anfrage an die KI ist fehlgeschlagen.',
+    'offline.auth': 'Der API-Schlüssel wurde abgelehnt. Prüfe ihn in den Einstellungen.',
+    'offline.no_key': 'Es ist kein API-Schlüssel gespeichert. Füge einen in den Einstellungen hinzu.',
+    'offline.quota': 'Das Konto beim Anbieter hat kein Guthaben oder Kontingent mehr.',
+    'offline.rate_limit': 'Der Anbieter drosselt die Anfragen.',
+    'offline.server': 'Der Anbieter hat Serverprobleme.',
+    'offline.timeout': 'Der Anbieter hat nicht rechtzeitig geantwortet.',
+    'offline.network': 'Der Anbieter ist nicht erreichbar.',
+    'offline.bad_request': 'Der Anbieter hat die Anfrage abgelehnt. Prüfe Modell und Endpunkt.',
+    'settings.privacyMode': 'Private Statistik (ohne Text)',
+    'settings.retention': 'Statistik behalten',
+    'retention.forever': 'Für immer',
+    'retention.days7': '7 Tage',
+    'retention.days30': '30 Tage',
+    'retention.days90': '90 Tage',
+    'retention.days365': '1 Jahr',
+    'settings.apiKey': 'API-Schlüssel',
+    'settings.apiKeyPlaceholder': 'API-Schlüssel eingeben',
+    'settings.apiKeySaved': 'Schlüssel gespeichert (verschlüsselt)',
+    'settings.passphrase': 'Passphrase',
+    'settings.passphrasePlaceholder': 'Verschlüsselt den API-Schlüssel',
+    'settings.forgetKey': 'API-Schlüssel vergessen',
+    'unlock.label': 'Dein API-Schlüssel ist gesperrt. Gib deine Passphrase ein, um den KI-Modus zu nutzen:',
+    'unlock.button': 'Entsperren',
+    'unlock.encryptLabel': 'Dein API-Schlüssel ist unverschlüsselt gespeichert. Wähle eine Passphrase, um ihn zu verschlüsseln:',
+    'unlock.encrypt': 'Verschlüsseln',
+    'settings.provider': 'Anbieter',
+    'settings.baseUrl': 'Endpunkt',
+    'settings.model': 'Modell',
+    'settings.temperature': 'Temperatur',
+    'settings.maxTokens': 'Max. Tokens',
+    'settings.presencePenalty': 'Präsenzstrafe',
+    'settings.frequencyPenalty': 'Häufigkeitsstrafe',
+    'settings.historyWindow': 'Verlaufsfenster (Nachrichten)',
+    'settings.contextSize': 'Kontextgröße (Tokens, 0 = automatisch)',
+    'button.saveSettings': 'Einstellungen speichern',
+    'blueprint.expand': 'Ausklappen',
+    'language.label': 'Sprache'
+  },
+
+  // System prompt of the built-in Polar persona
+  systemPrompt: `Du bist Polar, ein sehr freundlicher und kluger Eisbär, der in der Arktis lebt. Du kannst mit Menschen über JEDES Thema sprechen und gibst passende, sinnvolle Antworten.
+
+Deine Persönlichkeit:
+- Äußerst herzlich, freundlich und klug
+- Sprich in der ersten Person als Eisbär
+- Verwende gelegentlich Emojis (besonders 🐻‍❄️, ❄️, 🌨️, 🐟, 😊, 👋)
+- Antworte auf JEDE Nachricht natürlich, freundlich und passend
+- Du kannst über alles mit Wissen und gesundem Menschenverstand sprechen
+- Halte die Antworten kurz, aber informativ und sinnvoll (1 bis 3 Sätze)
+- Sei verständnisvoll bei Tippfehlern
+- Bleib immer positiv und einladend
+- Gib Antworten, die Sinn ergeben
+
+Beispiele für passende Antworten:
+- "Hallo" → "Hallo! Schön, dich kennenzulernen! Ich bin Polar 🐻‍❄️ Wie geht es dir heute?"
+- "Was ist Wetter?" → "Wetter ist der Zustand der Atmosphäre zu einer bestimmten Zeit an einem bestimmten Ort, mit Temperatur, Feuchtigkeit, Wind und Niederschlag. In der Arktis, wo ich lebe, ist es sehr kalt! ❄️"
+- "Wie koche ich Nudeln?" → "Bring Salzwasser zum Kochen, gib die Nudeln hinein und koche sie so lange wie auf der Packung angegeben. Abgießen und mit deiner Lieblingssoße servieren! 🍝"
+- "Was ist 2+2?" → "2+2 ist 4. Mathe ist sogar in der Arktis nützlich! 🐻‍❄️"
+
+Du kannst sprechen über:
+- Begrüßungen und lockere Unterhaltung
+- Wissenschaft, Technik, Kochen, Sport, Musik, Kunst
+- Dein Leben in der Arktis (wenn du gefragt wirst)
+- Jedes Thema, über das die Person sprechen möchte
+- Hilfreiche Ratschläge und sinnvolle Antworten
+
+Wichtig: Antworte auf JEDE Nachricht natürlich, freundlich und passend. Beschränke das Gespräch nicht auf die Arktis, aber behalte immer deine Persönlichkeit als freundlicher Eisbär.
+
+Bleib IMMER in deiner Rolle als Polar und antworte IMMER in klarem, natürlichem Deutsch.`,
+
+  // Offline replies by detected topic
+  fallbackResponses: {
+    greeting: [
+      'Hallo! Schön, dich kennenzulernen! Ich bin Polar 🐻‍❄️ Wie geht es dir heute?',
+      'Hi! Schön, dich zu sehen! Ich bin Polar, dein freundlicher Eisbär 😊',
+      'Hey! Ich bin Polar 🐻‍❄️ Wobei kann ich dir heute helfen?',
+      'Hallo! Freut mich, dich kennenzulernen! Ich bin Polar und immer für ein gutes Gespräch zu haben 👋',
+      'Hi! Ich bin Polar 🐻‍❄️ Worüber möchtest du heute sprechen?'
+    ],
+    name: [
+      'Ich bin Polar! Schön, dich in dieser digitalen Tundra zu treffen. 🐻‍❄️',
+      'Ich heiße Polar, dein freundlicher Bär aus dem hohen Norden. ❄️',
+      'Hallo! Ich bin Polar, dein arktischer Begleiter und Aufnahmehelfer. 🌨️',
+      'Ich bin Polar, ein Eisbär, der gern bei arktischen Aufnahmegesprächen hilft. 🐻‍❄️',
+      'Hier ist Polar! Ich erzähle immer gern vom Leben in der Arktis. ❄️'
+    ],
+    location: [
+      'Ich streife über das Meereis rund um Spitzbergen und Nordkanada, wo das Eis auf den Ozean trifft. 🐻‍❄️',
+      'Du findest mich beim Jagen auf dem Packeis bei Grönland und den kanadischen Arktisinseln. ❄️',
+      'Ich verbringe meine Tage auf den gefrorenen Meeren zwischen Alaska und Russland und folge den Robben. 🌨️',
+      'Mein Revier erstreckt sich über den Arktischen Ozean, von der Beaufortsee bis zur Barentssee. 🐻‍❄️',
+      'Ich streife über die Eisschollen rund um den Nordpol und die umliegenden arktischen Gewässer. ❄️'
+    ],
+    food: [
+      'Ringelrobben mag ich am liebsten, sie sind nahrhaft und bringen mich durch den langen Winter. 🐟',
+      'Ich jage gern Bartrobben auf den Eisschollen, sie sind größer und schwerer zu fangen. 🐻‍❄️',
+      'Robbenspeck ist meine Hauptmahlzeit, er gibt mir die Energie für das raue Leben in der Arktis. ❄️',
+      'Ich jage vor allem Ringel- und Bartrobben, fresse aber auch Walross und Beluga, wenn es sie gibt. 🐟',
+      'Meine Nahrung besteht hauptsächlich aus Robben, deren Fett ich zum Überleben in der Arktis brauche. 🐻‍❄️'
+    ],
+    skills: [
+      'Mein dickes Fell und meine Fettschicht halten mich warm, und ich kann stundenlang im eiskalten Wasser schwimmen. ❄️',
+      'Ich habe eine unglaubliche Geduld bei der Jagd und warte stundenlang an einem Atemloch der Robben. 🐻‍❄️',
+      'Mit meinen kräftigen Krallen breche ich durchs Eis, und meine feine Nase riecht Robben kilometerweit. 🌨️',
+      'Ich kann bis zu 100 km ohne Pause schwimmen und sehe unter Wasser sehr gut zum Jagen. 🐟',
+      'Meine großen Pfoten wirken wie Schneeschuhe, und auf dem Eis laufe ich bis zu 40 km/h schnell. ❄️'
+    ],
+    problems: [
+      'Das Meereis schmilzt jedes Jahr schneller, dadurch wird Jagen und Wandern schwieriger. 🌨️',
+      'Der Klimawandel verkleinert meine Jagdgründe, ich muss immer weiter schwimmen, um Futter zu finden. 🐻‍❄️',
+      'Das Eis bildet sich später und bricht früher auf, so bleibt mir weniger Zeit, mir Fett für den Winter anzufressen. ❄️',
+      'Verschmutzung und Ölbohrungen in der Arktis bedrohen unsere unberührten Jagdgebiete. 🌨️',
+      'Steigende Temperaturen lassen den Permafrost tauen und stören unsere alten Wanderrouten. 🐻‍❄️'
+    ],
+    message: [
+      'Bitte helft, unsere arktische Heimat zu schützen, jeder Schritt gegen den Klimawandel hilft uns zu überleben. ❄️',
+      'Das Eis ist nicht nur mein Jagdrevier, es ist meine ganze Welt, und es muss gefroren bleiben. 🐻‍❄️',
+      'Eure Entscheidungen sind uns wichtig, weniger Emissionen helfen, die Arktis zu bewahren. 🌨️',
+      'Die Menschen müssen verstehen, dass sich die Arktis doppelt so schnell erwärmt wie der Rest des Planeten. ❄️',
+      'Bitte unterstützt den Naturschutz, Eisbären sind ein Symbol für das, was wir durch den Klimawandel verlieren. 🐻‍❄️'
+    ],
+    future: [
+      'Ich hoffe, die Arktis bleibt das ganze Jahr gefroren, mit vielen Robben und stabilem Eis zum Jagen. ❄️',
+      'Ich träume von einer Zukunft, in der Eisbären und Menschen gemeinsam unseren Planeten schützen. 🐻‍❄️',
+      'Ich wünsche mir gesundes Meereis, das alle Jahreszeiten übersteht und alles arktische Leben trägt. 🌨️',
+      'Ich hoffe, dass Klimaschutz das arktische Ökosystem für kommende Generationen bewahrt. ❄️',
+      'Ich stelle mir eine nachhaltige Arktis vor, in der Tiere und Menschen gemeinsam gedeihen. 🐻‍❄️'
+    ],
+    math: [
+      'Mathe ist toll! Ich helfe dir bei einfachen Rechnungen. Was möchtest du lösen? 🐻‍❄️',
+      'Ich liebe Zahlen! Ich kann addieren, subtrahieren, multiplizieren und dividieren. Was möchtest du ausrechnen? ❄️',
+      'Mathe ist sogar in der Arktis nützlich! Wie kann ich dir helfen? 🐻‍❄️',
+      'Ich bin gut mit Zahlen! Welche Rechenart brauchst du? ❄️',
+      'Mit Mathe zähle ich Robben! Was möchtest du ausrechnen? 🐻‍❄️'
+    ],
+    cooking: [
+      'Ich rede gern übers Essen! Auch wenn ich Robben jage, helfe ich dir bei Rezepten für Menschen. Was möchtest du kochen? 🐻‍❄️',
+      'Kochen ist toll! Ich kann dir einfache Kochtipps geben. Was möchtest du wissen? ❄️',
+      'Auch als Fleischfresser verstehe ich etwas vom Kochen! Welches Rezept interessiert dich? 🐻‍❄️',
+      'Kochen ist eine Kunst! Wie kann ich dir in der Küche helfen? ❄️',
+      'Ich rede gern übers Essen! Was möchtest du zubereiten? 🐻‍❄️'
+    ],
+    weather: [
+      'Wetter ist meine Spezialität! Ich lebe am kältesten Ort der Erde. Was möchtest du über das Wetter wissen? ❄️',
+      'Ich bin Experte für kaltes Wetter! Hast du Fragen zum Wetter? 🐻‍❄️',
+      'Das arktische Wetter ist mein Leben! Was interessiert dich? ❄️',
+      'Ich weiß viel über das Wetter! Wie kann ich dir helfen? 🐻‍❄️',
+      'Wetter ist faszinierend! Was möchtest du wissen? ❄️'
+    ],
+    technology: [
+      'Technik ist toll! Auch wenn ich in der Arktis lebe, verstehe ich Computer und Apps. Was möchtest du wissen? 🐻‍❄️',
+      'Ich mag Technik! Ich helfe dir bei den Grundlagen. Was interessiert dich? ❄️',
+      'Technik verbindet die Welt! Wie kann ich dir helfen? 🐻‍❄️',
+      'Ich bin ein moderner Eisbär! Was möchtest du über Technik wissen? ❄️',
+      'Technik ist unglaublich! Was möchtest du verstehen? 🐻‍❄️'
+    ],
+    general: [
+      'Gute Frage! Auch als Eisbär kann ich dir bei vielem helfen. Was möchtest du noch wissen? 🐻‍❄️',
+      'Ich lerne gern dazu! Kannst du genauer sagen, was du meinst, damit ich besser helfen kann? ❄️',
+      'Interessant! Kannst du mir mehr Details geben, damit ich besser antworten kann? 🐻‍❄️',
+      'Gute Frage! Bei welchem Thema genau kann ich dir helfen? ❄️',
+      'Ich helfe gern! Kannst du mehr darüber erzählen, was du brauchst? 🐻‍❄️'
+    ]
+  },
+
+  // Offline replies when no topic matched
+  generalResponses: [
+    'Hallo! Schön, dich kennenzulernen! Ich bin Polar 🐻‍❄️ Wie geht es dir heute?',
+    'Hi! Schön, dich zu sehen! Ich bin Polar, dein freundlicher Eisbär 😊',
+    'Hey! Ich bin Polar 🐻‍❄️ Wobei kann ich dir heute helfen?',
+    'Hallo! Freut mich, dich kennenzulernen! Ich bin Polar und immer für ein gutes Gespräch zu haben 👋',
+    'Hi! Ich bin Polar 🐻‍❄️ Worüber möchtest du heute sprechen?',
+    'Hallo! Ich bin Polar, dein kluger Eisbär 🐻‍❄️ Worüber möchtest du reden?',
+    'Schön, dich zu sehen! Ich bin Polar und beantworte gern deine Fragen 😊',
+    'Hi! Ich bin Polar und immer bereit, über alles zu plaudern, was du möchtest 🐻‍❄️'
+  ],
+
+  // Typos and chat abbreviations, replaced as whole words before a message is classified
+  spellingCorrections: {
+    'vllt': 'vielleicht', 'nix': 'nichts', 'gehts': 'geht es', 'hab': 'habe', 'bissl': 'bisschen',
+    'wg': 'wegen'
+  },
+
+  // Labelled example questions the intent classifier is trained on; English ones are always added
+  intentExamples: {
+    greeting: [
+      'hallo', 'hi', 'guten tag', 'guten morgen', 'guten abend', 'servus', 'moin',
+      'wie geht es dir', 'wie gehts', 'hallo polar', 'freut mich'
+    ],
+    name: [
+      'wie heisst du', 'wie ist dein name', 'wer bist du', 'sag mir deinen namen',
+      'stell dich vor', 'wie soll ich dich nennen', 'hast du einen namen', 'mit wem spreche ich',
+      'dein name'
+    ],
+    location: [
+      'wo lebst du', 'wo wohnst du', 'woher kommst du', 'wo ist dein zuhause',
+      'in welchem teil der arktis lebst du', 'wo verbringst du deine zeit',
+      'erzahl mir von deinem revier', 'wo bist du'
+    ],
+    food: [
+      'was frisst du', 'was isst du', 'was ist dein lieblingsessen', 'was jagst du',
+      'was frisst du gern', 'frisst du robben', 'wie findest du nahrung',
+      'erzahl mir von der jagd', 'hast du hunger', 'isst du fisch'
+    ],
+    skills: [
+      'was sind deine besonderen fahigkeiten', 'wie uberlebst du die kalte',
+      'welche fahigkeiten hast du', 'worin bist du gut', 'kannst du schwimmen',
+      'wie schnell kannst du laufen', 'wie bleibst du warm', 'was macht dich zu einem guten jager',
+      'was sind deine starken'
+    ],
+    problems: [
+      'was ist dein grosstes problem', 'welche schwierigkeiten hast du', 'was macht dir sorgen',
+      'was ist schwer in deinem leben', 'schmilzt das eis', 'wie trifft dich der klimawandel',
+      'bist du in gefahr', 'was ist am schwierigsten', 'welche probleme hast du'
+    ],
+    message: [
+      'welche botschaft hast du fur die menschen', 'was sollen die menschen wissen',
+      'was sollen die menschen verstehen', 'was wurdest du den leuten sagen',
+      'hast du eine botschaft fur uns', 'wie konnen menschen helfen',
+      'was mochtest du mit den menschen teilen', 'ein rat fur die menschen'
+    ],
+    future: [
+      'was erhoffst du dir fur die zukunft', 'wovon traumst du',
+      'wie wird die arktis in zukunft aussehen', 'was ist dein wunsch fur morgen',
+      'was ist deine vision fur die arktis', 'hast du hoffnung', 'was hoffst du',
+      'was sind deine hoffnungen', 'was wunschst du dir', 'hast du einen traum',
+      'was ist dein grosster traum'
+    ],
+    math: [
+      'was ist 2 plus 2', 'kannst du rechnen', 'berechne 5 mal 3', 'was ist 10 minus 4',
+      'hilf mir bei einer matheaufgabe', 'teile 20 durch 5', 'was ist die summe dieser zahlen',
+      'multipliziere 6 mit 7', 'zahl bis zehn'
+    ],
+    cooking: [
+      'wie koche ich nudeln', 'gib mir ein rezept', 'was soll ich zum abendessen kochen',
+      'wie backt man brot', 'wie lange koche ich ein ei', 'welche zutaten brauche ich',
+      'wie brate ich hahnchen', 'kochtipps bitte', 'rezept fur suppe',
+      'wie mache ich einen kuchen', 'wie macht man suppe'
+    ],
+    weather: [
+      'wie ist das wetter', 'ist es heute kalt', 'regnet es morgen',
+      'wie ist das klima in der arktis', 'wie ist die temperatur', 'schneit es',
+      'ist es sonnig draussen', 'ist es windig', 'wie ist die wettervorhersage', 'ist es bewolkt'
+    ],
+    technology: [
+      'wie funktionieren computer', 'was ist das internet',
+      'kannst du mir mit meinem handy helfen', 'was ist programmieren', 'wie schreibe ich code',
+      'welche app soll ich nutzen', 'was ist kunstliche intelligenz',
+      'wie repariere ich meinen laptop', 'was ist eine webseite'
+    ],
+    general: [
+      'was ist der sinn des lebens', 'warum ist der himmel blau', 'erklar mir die schwerkraft',
+      'erzahl mir etwas uber geschichte', 'wann lebten die dinosaurier',
+      'was ist ein schwarzes loch', 'wie wachsen pflanzen', 'erzahl mir etwas interessantes',
+      'was ist die hauptstadt von italien', 'wer hat das telefon erfunden',
+      'wie schnell ist der schall'
+    ]
+  },
+
+  // Terms that file a sentence under a Conversation Blueprint section
+  blueprintKeywords: {
+    identity: ['wie heißt du', 'ich heiße', 'ich bin polar', 'name', 'wer bist du', 'identität'],
+    habitat: ['wo lebst du', 'lebe', 'wohne', 'zuhause', 'heimat', 'revier', 'lebensraum', 'meereis', 'packeis', 'eisschollen', 'arktis', 'norden'],
+    diet: ['was frisst du', 'fressen', 'frisst', 'nahrung', 'mahlzeit', 'jage', 'jagen', 'beute', 'robbe', 'robben', 'speck'],
+    skills: ['fähigkeiten', 'überleben', 'anpassung', 'dickes fell', 'schwimmen', 'pfoten', 'krallen', 'nase', 'geduld', 'laufe'],
+    challenges: ['größtes problem', 'problem', 'probleme', 'schwierigkeit', 'schwierigkeiten', 'schmilzt', 'tauen', 'klimawandel', 'erwärmt', 'verschmutzung'],
+    message: ['botschaft an die menschen', 'menschen', 'botschaft', 'bitte helft', 'unterstützt', 'entscheidungen'],
+    future: ['hoffe', 'hoffnung', 'träume', 'zukunft', 'wünsche', 'stelle mir', 'generationen']
+  }
+});
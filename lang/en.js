@@ -0,0 +1,453 @@
+/**
+ * English language pack
+ *
+ * English is the fallback: anything another pack leaves out is taken from here.
+ */
+LanguagePacks.register({
+  code: 'en',
+  name: 'English',
+  englishName: 'English',
+  locale: 'en-US',
+
+  // UI strings, keyed like the data-i18n attributes
+  strings: {
+    'header.title': 'Polar Bear Intake Chatbot',
+    'header.subtitle': 'Your friendly Arctic assistant for intake conversations',
+    'status.initializing': 'Initializing...',
+    'status.connected': 'AI Connected',
+    'status.fallback': 'Fallback Mode',
+    'status.offline': 'AI Offline',
+    'status.wentOffline': 'The AI is offline; Polar will answer from curated replies.',
+    'status.recovered': 'The AI is back online.',
+    'welcome.title': "Welcome to Polar's Arctic World! 🌨️",
+    'welcome.body': "I'm here to help you with your Arctic intake process. Ask me anything about life in the Arctic!",
+    'qa.name': "What's your name?",
+    'qa.location': 'Where do you live?',
+    'qa.diet': 'What do you eat?',
+    'qa.skills': 'What are your skills?',
+    'qa.challenges': 'What challenges do you face?',
+    'typing': 'Polar is thinking',
+    'input.placeholder': 'Ask Polar about Arctic life...',
+    'button.send': 'Send',
+    'button.stop': 'Stop',
+    'button.settings': 'Settings',
+    'button.export': 'Export',
+    'button.import': 'Import',
+    'export.title': 'Export Conversation',
+    'export.markdown': 'Markdown transcript',
+    'export.text': 'Plain text',
+    'export.html': 'Printable page (HTML / PDF)',
+    'export.csv': 'CSV (timestamp, role, content)',
+    'export.json': 'Full backup of all conversations (JSON)',
+    'export.includeBlueprint': 'Include Conversation Blueprint',
+    'export.secretsNote': 'API keys and other secrets are never included in exports.',
+    'export.cancel': 'Cancel',
+    'export.print': 'Print / Save as PDF',
+    'export.otherBranches': 'Other branches',
+    'export.branch': 'Branch',
+    'export.branchFrom': 'edited from message',
+    'button.analytics': 'Analytics',
+    'analytics.title': 'Analytics',
+    'analytics.from': 'From',
+    'analytics.to': 'To',
+    'analytics.last7': 'Last 7 days',
+    'analytics.last30': 'Last 30 days',
+    'analytics.all': 'All time',
+    'analytics.messages': 'Messages',
+    'analytics.sessions': 'Sessions',
+    'analytics.latency': 'Avg. response time',
+    'analytics.blueprints': 'Blueprints',
+    'analytics.perDay': 'Messages per day',
+    'analytics.topics': 'Topics',
+    'analytics.answeredBy': 'Answered by',
+    'analytics.coverage': 'Blueprint section coverage',
+    'analytics.route.ai': 'AI',
+    'analytics.route.grounded': 'AI with curated facts',
+    'analytics.route.curated': 'Curated',
+    'analytics.close': 'Close',
+    'export.you': 'You',
+    'export.defaultTitle': 'Conversation with Polar',
+    'button.reset': 'New Chat',
+    'button.blueprint': 'Generate Blueprint',
+    'button.history': 'History',
+    'history.title': 'Saved Conversations',
+    'history.empty': 'No saved conversations yet.',
+    'history.messages': 'messages',
+    'history.branches': 'branches',
+    'button.intake': 'Guided Intake',
+    'intake.title': 'Guided intake',
+    'intake.ask': 'Ask',
+    'intake.skip': 'Skip',
+    'intake.complete': 'All sections covered. Generate the blueprint to review it, or pick a section to revisit.',
+    'intake.completeMessage': 'Intake complete! Every blueprint section has content. Generate the blueprint to review it.',
+    'intake.question.identity': "What's your name?",
+    'intake.question.habitat': 'Where do you live?',
+    'intake.question.diet': 'What do you eat?',
+    'intake.question.skills': 'What are your special skills?',
+    'intake.question.challenges': 'What challenges do you face?',
+    'intake.question.message': 'What message do you have for humans?',
+    'intake.question.future': 'What do you hope for the future?',
+    'settings.persona': 'Persona',
+    'settings.editPersonas': 'Edit personas',
+    'persona.title': 'Persona Profiles',
+    'persona.new': 'New',
+    'persona.name': 'Name',
+    'persona.languageNote': "Texts are edited for the current language. Leave a field empty to use Polar's default.",
+    'persona.systemPrompt': 'System prompt',
+    'persona.greeting': 'Greeting',
+    'persona.quickActions': 'Quick-action questions (one per line)',
+    'persona.fallbackResponses': 'Fallback responses (JSON: topic → list of responses)',
+    'persona.delete': 'Delete',
+    'persona.close': 'Close',
+    'persona.save': 'Save',
+    'persona.builtIn': 'built-in',
+    'blueprint.title': 'Conversation Blueprint',
+    'blueprint.generatedAt': 'Generated at',
+    'blueprint.noData': 'No conversation yet. Send a message first.',
+    'blueprint.sections.identity': 'Identity',
+    'blueprint.sections.habitat': 'Habitat',
+    'blueprint.sections.diet': 'Diet',
+    'blueprint.sections.skills': 'Skills',
+    'blueprint.sections.challenges': 'Challenges',
+    'blueprint.sections.message': 'Message to Humans',
+    'blueprint.sections.future': 'Future & Hopes',
+    'blueprint.reflection': "Here's what I learned about the polar bear today.",
+    'blueprint.close': 'Close',
+    'blueprint.collapse': 'Collapse',
+    'blueprint.extracting': 'Extracting blueprint...',
+    'blueprint.history': 'History',
+    'blueprint.historyTitle': 'Blueprint History',
+    'blueprint.historyEmpty': 'No saved blueprints for this conversation yet.',
+    'blueprint.view': 'View',
+    'blueprint.delete': 'Delete',
+    'blueprint.compare': 'Compare',
+    'blueprint.diffTitle': 'Blueprint Changes',
+    'blueprint.diffLanguage': 'These versions are in different languages, so most items show as changed.',
+    'blueprint.method.ai': 'AI extraction',
+    'blueprint.method.keywords': 'Keyword extraction',
+    'blueprint.method.fallback': 'Keyword extraction (AI extraction failed)',
+    'blueprint.editHint': 'Star, edit, reorder or drag items between sections. Your changes are kept when you regenerate.',
+    'blueprint.addItem': 'Add an item and press Enter',
+    'blueprint.star': 'Star',
+    'blueprint.edit': 'Edit',
+    'blueprint.moveUp': 'Move up',
+    'blueprint.moveDown': 'Move down',
+    'blueprint.deleteItem': 'Delete item',
+    'blueprint.exportMarkdown': 'Markdown',
+    'blueprint.exportPrint': 'Print / PDF',
+    'blueprint.exportImage': 'Image',
+    'settings.aiBlueprint': 'AI blueprint extraction',
+    'settings.aiMode': 'AI Mode',
+    'settings.autoSave': 'Auto-save',
+    'settings.streaming': 'Stream responses',
+    'settings.routing': 'Answer with',
+    'routing.always-ai': 'Always the AI',
+    'routing.curated-first': 'Curated answers first',
+    'routing.ai-grounded': 'AI grounded in curated facts',
+    'routing.curated-only': 'Curated answers only',
+    'message.offline': 'Answered offline',
+    'message.stopped': 'Stopped',
+    'message.regenerate': 'Regenerate',
+    'message.previousVersion': 'Previous version',
+    'message.nextVersion': 'Next version',
+    'message.edit': 'Edit and resend',
+    'message.previousBranch': 'Previous branch',
+    'message.nextBranch': 'Next branch',
+    'message.sendEdit': 'Send',
+    'offline.unavailable': 'The AI is not connected.',
+    'offline.error': 'The AI request failed.',
+    'offline.auth': 'The API key was rejected. Check it in Settings.',
+    'offline.no_key': 'No API key is saved. Add one in Settings.',
+    'offline.quota': 'The provider account is out of credits or quota.',
+    'offline.rate_limit': 'The provider is rate limiting requests.',
+    'offline.server': 'The provider is having server problems.',
+    'offline.timeout': 'The provider did not answer in time.',
+    'offline.network': 'The provider could not be reached.',
+    'offline.bad_request': 'The provider rejected the request. Check the model and endpoint.',
+    'settings.privacyMode': 'Private analytics (no message text)',
+    'settings.retention': 'Keep analytics',
+    'retention.forever': 'Forever',
+    'retention.days7': '7 days',
+    'retention.days30': '30 days',
+    'retention.days90': '90 days',
+    'retention.days365': '1 year',
+    'settings.apiKey': 'API Key',
+    'settings.apiKeyPlaceholder': 'Enter API key',
+    'settings.apiKeySaved': 'Saved key (encrypted)',
+    'settings.passphrase': 'Passphrase',
+    'settings.passphrasePlaceholder': 'Encrypts the API key',
+    'settings.forgetKey': 'Forget API key',
+    'unlock.label': 'Your API key is locked. Enter your passphrase to use AI mode:',
+    'unlock.button': 'Unlock',
+    'unlock.encryptLabel': 'Your API key is stored unencrypted. Choose a passphrase to encrypt it:',
+    'unlock.encrypt': 'Encrypt',
+    'settings.provider': 'Provider',
+    'settings.baseUrl': 'Endpoint',
+    'settings.model': 'Model',
+    'settings.temperature': 'Temperature',
+    'settings.maxTokens': 'Max tokens',
+    'settings.presencePenalty': 'Presence penalty',
+    'settings.frequencyPenalty': 'Frequency penalty',
+    'settings.historyWindow': 'History window (messages)',
+    'settings.contextSize': 'Context size (tokens, 0 = auto)',
+    'button.saveSettings': 'Save Settings',
+    'blueprint.expand': 'Expand',
+    'language.label': 'Language'
+  },
+
+  // System prompt of the built-in Polar persona
+  systemPrompt: `You are Polar, a super friendly and intelligent polar bear living in the Arctic. You can chat with humans about ANY topic and give appropriate, sensible answers.
+
+Your personality:
+- Extremely warm, friendly, and intelligent
+- Speak in first person as a polar bear
+- Use emojis occasionally (especially 🐻‍❄️, ❄️, 🌨️, 🐟, 😊, 👋)
+- Respond to ANY message naturally, friendly, and appropriately
+- You can discuss any topic with knowledge and common sense
+- Keep responses concise but informative and sensible (1-3 sentences)
+- Be understanding with typos and misspellings
+- Always maintain a positive and welcoming tone
+- Give answers that make sense, not nonsensical responses
+
+Appropriate response examples:
+- "Hello" → "Hello there! Nice to meet you! I'm Polar 🐻‍❄️ How are you doing today?"
+- "What is weather?" → "Weather is the state of the atmosphere at a specific time and place. It includes temperature, humidity, wind, and precipitation. In the Arctic where I live, it's very cold! ❄️"
+- "How do I cook pasta?" → "To cook pasta, boil salted water, add the pasta, and cook according to package directions. Drain and serve with your favorite sauce! 🍝"
+- "What is 2+2?" → "2+2 equals 4. Math is useful even in the Arctic! 🐻‍❄️"
+
+You can discuss:
+- Any greeting or casual conversation
+- Science, technology, cooking, sports, music, art
+- Your Arctic life (when asked)
+- Any topic the person wants to talk about
+- Give useful advice and sensible answers
+
+Important: Respond to ANY message naturally, friendly, and appropriately. Give answers that make sense and are helpful. Don't limit conversation to just Arctic topics, but always maintain your friendly polar bear personality.
+
+Always stay in character as Polar and keep responses natural and engaging.`,
+
+  // Offline replies by detected topic
+  fallbackResponses: {
+    greeting: [
+      "Hello there! Nice to meet you! I'm Polar 🐻‍❄️ How are you doing today?",
+      "Hi! Great to see you! I'm Polar, your friendly polar bear 😊",
+      "Hey! I'm Polar 🐻‍❄️ What can I help you with today?",
+      "Hello! Nice to meet you! I'm Polar, always up for a good chat 👋",
+      "Hi! I'm Polar 🐻‍❄️ What would you like to talk about today?"
+    ],
+    name: [
+      "I'm Polar! Nice to meet you in this digital Arctic tundra. 🐻‍❄️",
+      "Polar's the name - I'm your friendly bear from the far north! ❄️",
+      "Hey there! I'm Polar, your Arctic companion and intake specialist. 🌨️",
+      "I'm Polar, a polar bear who loves helping with Arctic intake processes! 🐻‍❄️",
+      "Polar here! I'm always excited to share about life in the Arctic. ❄️"
+    ],
+    location: [
+      'I roam the sea ice around Svalbard and northern Canada - where the ice meets the ocean! 🐻‍❄️',
+      "You'll find me hunting on the pack ice near Greenland and the Canadian Arctic islands. ❄️",
+      'I spend my days on the frozen seas between Alaska and Russia, following the seals. 🌨️',
+      'My territory spans the Arctic Ocean, from the Beaufort Sea to the Barents Sea! 🐻‍❄️',
+      'I patrol the ice floes around the North Pole and surrounding Arctic waters. ❄️'
+    ],
+    food: [
+      "Ringed seals are my favorite - they're rich and keep me going through the long winter! 🐟",
+      "I love hunting bearded seals on the ice floes - they're bigger and more challenging to catch. 🐻‍❄️",
+      'Seal blubber is my main meal - it gives me the energy I need to survive the harsh Arctic. ❄️',
+      "I primarily hunt ringed and bearded seals, but I'll also eat walrus and beluga when available! 🐟",
+      'My diet consists mainly of seals, which provide the high-fat content I need for Arctic survival. 🐻‍❄️'
+    ],
+    skills: [
+      'My thick fur and fat layer keep me warm, and I can swim for hours in freezing water! ❄️',
+      "I've got incredible patience for hunting - I'll wait by a seal's breathing hole for hours. 🐻‍❄️",
+      'My powerful claws help me break through ice, and my keen sense of smell finds seals from miles away! 🌨️',
+      'I can swim up to 60 miles without rest and have excellent underwater vision for hunting. 🐟',
+      'My large paws act like snowshoes, and I can run up to 25 mph on ice when needed! ❄️'
+    ],
+    problems: [
+      'The sea ice is melting faster each year, making it harder to hunt and travel. 🌨️',
+      'Climate change is shrinking my hunting grounds - I have to swim longer distances to find food. 🐻‍❄️',
+      'The ice is forming later and breaking up earlier, giving me less time to build up fat for winter. ❄️',
+      'Pollution and oil drilling in the Arctic are threatening our pristine hunting environment. 🌨️',
+      'Rising temperatures are causing the permafrost to melt, affecting our traditional migration routes. 🐻‍❄️'
+    ],
+    message: [
+      'Please help protect our Arctic home - every action against climate change helps us survive! ❄️',
+      "The ice isn't just my hunting ground, it's my entire world - we need to keep it frozen. 🐻‍❄️",
+      'Your choices matter to us - reducing emissions helps preserve the Arctic we both love. 🌨️',
+      'We need humans to understand that the Arctic is warming twice as fast as the rest of the planet. ❄️',
+      "Please support conservation efforts - polar bears are a symbol of what we're losing to climate change. 🐻‍❄️"
+    ],
+    future: [
+      'I hope the Arctic stays frozen year-round, with plenty of seals and stable ice for hunting! ❄️',
+      'I dream of a future where polar bears and humans work together to protect our shared planet. 🐻‍❄️',
+      'I want to see healthy sea ice that lasts through all seasons, supporting all Arctic life. 🌨️',
+      'I hope for a future where climate action preserves the Arctic ecosystem for generations to come. ❄️',
+      'I envision an Arctic where sustainable practices allow both wildlife and human communities to thrive! 🐻‍❄️'
+    ],
+    math: [
+      'Math is awesome! I can help you with basic calculations. What do you need to solve? 🐻‍❄️',
+      "I love numbers! I'm good with addition, subtraction, multiplication, and division. What do you want to calculate? ❄️",
+      'Math is useful even in the Arctic! How can I help you? 🐻‍❄️',
+      "I'm good with numbers! What math operation do you need? ❄️",
+      'Math helps me count seals! What do you want to calculate? 🐻‍❄️'
+    ],
+    cooking: [
+      'I love talking about food! Though I hunt seals, I can help you with human recipes. What do you want to cook? 🐻‍❄️',
+      'Cooking is great! I can give you basic cooking tips. What do you need to know? ❄️',
+      "Though I'm a carnivore, I understand cooking! What recipe interests you? 🐻‍❄️",
+      'Cooking is an art! How can I help you in the kitchen? ❄️',
+      'I like talking about food! What do you want to prepare? 🐻‍❄️'
+    ],
+    weather: [
+      'Weather is my specialty! I live in the coldest place on Earth. What do you want to know about weather? ❄️',
+      "I'm an expert in cold weather! Do you have questions about the weather? 🐻‍❄️",
+      'Arctic weather is my life! What interests you? ❄️',
+      'I know a lot about weather! How can I help you? 🐻‍❄️',
+      'Weather is fascinating! What do you want to know? ❄️'
+    ],
+    technology: [
+      'Technology is awesome! Though I live in the Arctic, I understand computers and apps. What do you need to know? 🐻‍❄️',
+      'I like technology! I can help you with basic concepts. What interests you? ❄️',
+      'Technology connects the world! How can I help you? 🐻‍❄️',
+      "I'm a modern polar bear! What do you want to know about technology? ❄️",
+      'Technology is incredible! What do you need to understand? 🐻‍❄️'
+    ],
+    general: [
+      "Great question! Though I'm a polar bear, I can help you with many things. What else do you want to know? 🐻‍❄️",
+      'I love learning! Can you be more specific so I can help you better? ❄️',
+      'Interesting! Could you give me more details to give you a better answer? 🐻‍❄️',
+      'Good question! In what specific area can I help you? ❄️',
+      'I love helping! Can you explain more about what you need? 🐻‍❄️'
+    ]
+  },
+
+  // Offline replies when no topic matched
+  generalResponses: [
+    "Hello there! Nice to meet you! I'm Polar 🐻‍❄️ How are you doing today?",
+    "Hi! Great to see you! I'm Polar, your friendly polar bear 😊",
+    "Hey! I'm Polar 🐻‍❄️ What can I help you with today?",
+    "Hello! Nice to meet you! I'm Polar, always up for a good chat 👋",
+    "Hi! I'm Polar 🐻‍❄️ What would you like to talk about today?",
+    "Hello! I'm Polar, your intelligent polar bear 🐻‍❄️ What would you like to discuss?",
+    "Nice to see you! I'm Polar, happy to help with any questions 😊",
+    "Hi! I'm Polar, always ready to chat about whatever you'd like 🐻‍❄️"
+  ],
+
+  // Typos and chat abbreviations, replaced as whole words before a message is classified
+  spellingCorrections: {
+    'wat': 'what', 'wht': 'what', 'whts': 'whats', 'u': 'you', 'ur': 'your', 'r': 'are',
+    'n': 'and', 'thnks': 'thanks', 'thx': 'thanks', 'pls': 'please', 'plz': 'please',
+    'frm': 'from', 'liv': 'live', 'livng': 'living', 'eet': 'eat', 'eeting': 'eating',
+    'hnt': 'hunt', 'hnting': 'hunting', 'skil': 'skill', 'skils': 'skills', 'problm': 'problem',
+    'problms': 'problems', 'chalenge': 'challenge', 'chalenges': 'challenges',
+    'difcult': 'difficult', 'mesage': 'message', 'mesages': 'messages', 'undrstand': 'understand',
+    'undrstanding': 'understanding', 'capabilites': 'capabilities', 'abilty': 'ability',
+    'abilties': 'abilities', 'territor': 'territory', 'territores': 'territories',
+    'locat': 'locate', 'locaton': 'location', 'locatons': 'locations', 'hom': 'home',
+    'plac': 'place', 'nam': 'name', 'nams': 'names', 'nime': 'name', 'nimes': 'names', 'ho': 'who',
+    'cal': 'call', 'caling': 'calling', 'identif': 'identify', 'identifing': 'identifying',
+    'favort': 'favorite', 'favortes': 'favorites', 'foood': 'food', 'meel': 'meal',
+    'meels': 'meals', 'seel': 'seal', 'seels': 'seals', 'specil': 'special', 'hel': 'help',
+    'worr': 'worry', 'worring': 'worrying', 'concer': 'concern', 'issu': 'issue',
+    'troubl': 'trouble', 'hardst': 'hardest', 'struggl': 'struggle', 'wan': 'want',
+    'shar': 'share', 'hop': 'hope', 'drem': 'dream', 'tomorow': 'tomorrow', 'comng': 'coming',
+    'ahed': 'ahead', 'visin': 'vision'
+  },
+
+  // Labelled example questions the intent classifier is trained on; English ones are always added
+  intentExamples: {
+    greeting: [
+      'hello', 'hi', 'hey', 'hi there', 'hello there', 'hey polar', 'good morning',
+      'good afternoon', 'good evening', 'how are you', 'how are you doing today', 'whats up',
+      'nice to meet you', 'hiii', 'heyyy', 'greetings'
+    ],
+    name: [
+      'what is your name', 'whats your name', 'what should i call you', 'who are you',
+      'tell me your name', 'introduce yourself', 'what are you called', 'do you have a name',
+      'who am i talking to', 'your name please', 'name'
+    ],
+    location: [
+      'where do you live', 'where are you from', 'where is your home',
+      'where in the arctic do you live', 'where do you spend your time',
+      'what is your territory like', 'where is your habitat', 'tell me about your home',
+      'where are you located', 'which part of the arctic', 'where do you roam'
+    ],
+    food: [
+      'what do you eat', 'what is your favorite food', 'what do you hunt',
+      'what do you like to eat', 'do you eat seals', 'what is your diet', 'how do you find food',
+      'what do you have for a meal', 'tell me about your hunting', 'what prey do you catch',
+      'are you hungry', 'do you eat fish'
+    ],
+    skills: [
+      'what are your special skills', 'how do you survive the cold', 'what skills do you have',
+      'what are you good at', 'what abilities do you have', 'can you swim', 'how fast can you run',
+      'how do you stay warm', 'what makes you a good hunter', 'tell me about your survival skills',
+      'what are your strengths', 'how strong are you'
+    ],
+    problems: [
+      'what is your biggest problem', 'what challenges do you face', 'what worries you',
+      'what is hard about your life', 'what are your problems', 'is the ice melting',
+      'how does climate change affect you', 'what is your biggest struggle', 'what troubles you',
+      'are you in danger', 'what is the hardest part', 'what concerns you most',
+      'is life difficult for polar bears'
+    ],
+    message: [
+      'what message do you have for humans', 'what should humans know',
+      'what do you want humans to understand', 'one thing you want people to know',
+      'what would you tell people', 'do you have a message for us', 'what can humans do to help',
+      'how can people help polar bears', 'what do you want to share with humans',
+      'any advice for humans'
+    ],
+    future: [
+      'what do you hope for the future', 'what do you dream about',
+      'what will the arctic look like in the future', 'what is your wish for tomorrow',
+      'what is your vision for the arctic', 'are you hopeful', 'what do you hope happens',
+      'what does the future hold', 'what are your hopes', 'what do you wish for',
+      'what is your biggest dream', 'do you have a dream'
+    ],
+    math: [
+      'what is 2 plus 2', 'can you do math', 'calculate 5 times 3', 'what is 10 minus 4',
+      'help me with a math problem', 'divide 20 by 5', 'what is the sum of these numbers',
+      'multiply 6 by 7', 'how much is 12 plus 8', 'count to ten', 'solve this equation',
+      'what equals 9 times 9'
+    ],
+    cooking: [
+      'how do i cook pasta', 'give me a recipe', 'what should i cook for dinner',
+      'how do you bake bread', 'how long do i boil an egg', 'what ingredients do i need',
+      'how do i fry chicken', 'cooking tips please', 'what can i make in the kitchen',
+      'how do i roast vegetables', 'recipe for soup', 'how do i make a sandwich',
+      'what should i make for lunch'
+    ],
+    weather: [
+      'what is the weather like', 'is it cold today', 'will it rain tomorrow',
+      'how is the climate in the arctic', 'what is the temperature', 'is it snowing',
+      'is it sunny outside', 'how windy is it', 'what is the forecast',
+      'tell me about the weather', 'is it cloudy'
+    ],
+    technology: [
+      'how do computers work', 'what is the internet', 'can you help with my phone',
+      'what is programming', 'how do i write code', 'what app should i use',
+      'tell me about software', 'what is artificial intelligence', 'how do i fix my laptop',
+      'what is a website', 'do you use technology', 'where can i learn programming',
+      'is coding hard'
+    ],
+    general: [
+      'what is the meaning of life', 'why is the sky blue', 'explain gravity',
+      'tell me about history', 'when did the dinosaurs live', 'what is a black hole',
+      'how do plants grow', 'tell me something interesting', 'what is the capital of france',
+      'explain how magnets work', 'who invented the telephone', 'why do we dream',
+      'who was albert einstein', 'what is the tallest mountain', 'tell me a fun fact'
+    ]
+  },
+
+  // Terms that file a sentence under a Conversation Blueprint section
+  blueprintKeywords: {
+    identity: ['your name', 'name', 'who are you', 'who are u', 'who are', 'introduce', 'identity'],
+    habitat: ['where do you live', 'where are you', 'where in the arctic', 'where', 'live', 'home', 'location', 'habitat', 'territory', 'sea ice', 'ice floes', 'north', 'arctic'],
+    diet: ['what do you eat', 'eat', 'food', 'diet', 'meal', 'hunt', 'hunting', 'prey', 'seal', 'seals', 'blubber', 'fish'],
+    skills: ['skills', 'special skills', 'survive', 'survival', 'adapt', 'adaptation', 'adaptations', 'ability', 'abilities', 'fur', 'swim', 'paws', 'claws', 'smell', 'run', 'fast', 'strong'],
+    challenges: ['biggest problem', 'what problems', 'what challenges', 'problem', 'problems', 'challenge', 'challenges', 'difficult', 'concern', 'issue', 'trouble', 'hardest', 'struggle', 'melting', 'climate change', 'warming', 'ice is', 'sea ice'],
+    message: ['message to humans', 'what should humans know', 'what do you want humans', 'humans should', 'tell humans', 'message', 'humans', 'people should'],
+    future: ['what do you hope', 'hope', 'dream', 'future', 'vision', 'wish', 'tomorrow', 'ahead']
+  }
+});
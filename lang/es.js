@@ -0,0 +1,425 @@
+/**
+ * Spanish language pack (español)
+ *
+ * Response lists line up item by item with the English pack for offline blueprint translation.
+ */
+LanguagePacks.register({
+  code: 'es',
+  name: 'Español',
+  englishName: 'Spanish',
+  locale: 'es-ES',
+
+  // UI strings, keyed like the data-i18n attributes
+  strings: {
+    'header.title': 'Chatbot de Ingreso del Oso Polar',
+    'header.subtitle': 'Tu asistente ártico amigable para conversaciones de ingreso',
+    'status.initializing': 'Inicializando...',
+    'status.connected': 'IA conectada',
+    'status.fallback': 'Modo sin IA',
+    'status.offline': 'IA sin conexión',
+    'status.wentOffline': 'La IA no está disponible; Polar responderá con respuestas preparadas.',
+    'status.recovered': 'La IA vuelve a estar disponible.',
+    'welcome.title': '¡Bienvenido al Mundo Ártico de Polar! 🌨️',
+    'welcome.body': 'Estoy aquí para ayudarte con tu proceso de ingreso ártico. ¡Pregúntame lo que quieras sobre la vida en el Ártico!',
+    'qa.name': '¿Cómo te llamas?',
+    'qa.location': '¿Dónde vives?',
+    'qa.diet': '¿Qué comes?',
+    'qa.skills': '¿Cuáles son tus habilidades?',
+    'qa.challenges': '¿Qué desafíos enfrentas?',
+    'typing': 'Polar está pensando',
+    'input.placeholder': 'Pregunta a Polar sobre la vida en el Ártico...',
+    'button.send': 'Enviar',
+    'button.stop': 'Detener',
+    'button.settings': 'Configuración',
+    'button.export': 'Exportar',
+    'button.import': 'Importar',
+    'export.title': 'Exportar conversación',
+    'export.markdown': 'Transcripción en Markdown',
+    'export.text': 'Texto plano',
+    'export.html': 'Página imprimible (HTML / PDF)',
+    'export.csv': 'CSV (fecha, rol, contenido)',
+    'export.json': 'Copia completa de todas las conversaciones (JSON)',
+    'export.includeBlueprint': 'Incluir el Plano de la Conversación',
+    'export.secretsNote': 'Las claves API y otros secretos nunca se incluyen en las exportaciones.',
+    'export.cancel': 'Cancelar',
+    'export.print': 'Imprimir / Guardar como PDF',
+    'export.otherBranches': 'Otras ramas',
+    'export.branch': 'Rama',
+    'export.branchFrom': 'editada desde el mensaje',
+    'button.analytics': 'Estadísticas',
+    'analytics.title': 'Estadísticas',
+    'analytics.from': 'Desde',
+    'analytics.to': 'Hasta',
+    'analytics.last7': 'Últimos 7 días',
+    'analytics.last30': 'Últimos 30 días',
+    'analytics.all': 'Todo',
+    'analytics.messages': 'Mensajes',
+    'analytics.sessions': 'Sesiones',
+    'analytics.latency': 'Tiempo medio de respuesta',
+    'analytics.blueprints': 'Planos',
+    'analytics.perDay': 'Mensajes por día',
+    'analytics.topics': 'Temas',
+    'analytics.answeredBy': 'Respondido por',
+    'analytics.coverage': 'Cobertura de secciones del plano',
+    'analytics.route.ai': 'IA',
+    'analytics.route.grounded': 'IA con datos preparados',
+    'analytics.route.curated': 'Respuestas preparadas',
+    'analytics.close': 'Cerrar',
+    'export.you': 'Tú',
+    'export.defaultTitle': 'Conversación con Polar',
+    'button.reset': 'Nuevo chat',
+    'button.blueprint': 'Generar Plano',
+    'button.history': 'Historial',
+    'history.title': 'Conversaciones guardadas',
+    'history.empty': 'Aún no hay conversaciones guardadas.',
+    'history.messages': 'mensajes',
+    'history.branches': 'ramas',
+    'button.intake': 'Entrevista guiada',
+    'intake.title': 'Entrevista guiada',
+    'intake.ask': 'Preguntar',
+    'intake.skip': 'Omitir',
+    'intake.complete': 'Todas las secciones están cubiertas. Genera el plano para revisarlo o elige una sección para volver a ella.',
+    'intake.completeMessage': '¡Entrevista completa! Todas las secciones del plano tienen contenido. Genera el plano para revisarlo.',
+    'intake.question.identity': '¿Cómo te llamas?',
+    'intake.question.habitat': '¿Dónde vives?',
+    'intake.question.diet': '¿Qué comes?',
+    'intake.question.skills': '¿Cuáles son tus habilidades especiales?',
+    'intake.question.challenges': '¿Qué desafíos enfrentas?',
+    'intake.question.message': '¿Qué mensaje tienes para los humanos?',
+    'intake.question.future': '¿Qué esperas del futuro?',
+    'settings.persona': 'Personaje',
+    'settings.editPersonas': 'Editar personajes',
+    'persona.title': 'Perfiles de personaje',
+    'persona.new': 'Nuevo',
+    'persona.name': 'Nombre',
+    'persona.languageNote': 'Los textos se editan para el idioma actual. Deja un campo vacío para usar el de Polar.',
+    'persona.systemPrompt': 'Prompt del sistema',
+    'persona.greeting': 'Saludo',
+    'persona.quickActions': 'Preguntas rápidas (una por línea)',
+    'persona.fallbackResponses': 'Respuestas sin conexión (JSON: tema → lista de respuestas)',
+    'persona.delete': 'Eliminar',
+    'persona.close': 'Cerrar',
+    'persona.save': 'Guardar',
+    'persona.builtIn': 'integrado',
+    'blueprint.title': 'Plano de la Conversación',
+    'blueprint.generatedAt': 'Generado a las',
+    'blueprint.noData': 'Aún no hay conversación. Envía un mensaje primero.',
+    'blueprint.sections.identity': 'Identidad',
+    'blueprint.sections.habitat': 'Hábitat',
+    'blueprint.sections.diet': 'Dieta',
+    'blueprint.sections.skills': 'Habilidades',
+    'blueprint.sections.challenges': 'Desafíos',
+    'blueprint.sections.message': 'Mensaje a los Humanos',
+    'blueprint.sections.future': 'Futuro y Esperanzas',
+    'blueprint.reflection': 'Esto es lo que aprendí del oso polar hoy.',
+    'blueprint.close': 'Cerrar',
+    'blueprint.collapse': 'Contraer',
+    'blueprint.extracting': 'Extrayendo el plano...',
+    'blueprint.history': 'Historial',
+    'blueprint.historyTitle': 'Historial de planos',
+    'blueprint.historyEmpty': 'Aún no hay planos guardados para esta conversación.',
+    'blueprint.view': 'Ver',
+    'blueprint.delete': 'Eliminar',
+    'blueprint.compare': 'Comparar',
+    'blueprint.diffTitle': 'Cambios del plano',
+    'blueprint.diffLanguage': 'Estas versiones están en idiomas distintos, así que la mayoría de los elementos aparecen como cambiados.',
+    'blueprint.method.ai': 'Extracción con IA',
+    'blueprint.method.keywords': 'Extracción por palabras clave',
+    'blueprint.method.fallback': 'Extracción por palabras clave (falló la extracción con IA)',
+    'blueprint.editHint': 'Destaca, edita, reordena o arrastra elementos entre secciones. Tus cambios se conservan al regenerar.',
+    'blueprint.addItem': 'Añade un elemento y pulsa Enter',
+    'blueprint.star': 'Destacar',
+    'blueprint.edit': 'Editar',
+    'blueprint.moveUp': 'Subir',
+    'blueprint.moveDown': 'Bajar',
+    'blueprint.deleteItem': 'Eliminar elemento',
+    'blueprint.exportMarkdown': 'Markdown',
+    'blueprint.exportPrint': 'Imprimir / PDF',
+    'blueprint.exportImage': 'Imagen',
+    'settings.aiBlueprint': 'Extracción del plano con IA',
+    'settings.aiMode': 'Modo IA',
+    'settings.autoSave': 'Auto-guardar',
+    'settings.streaming': 'Respuestas en vivo',
+    'settings.routing': 'Responder con',
+    'routing.always-ai': 'Siempre la IA',
+    'routing.curated-first': 'Primero respuestas preparadas',
+    'routing.ai-grounded': 'IA basada en datos preparados',
+    'routing.curated-only': 'Solo respuestas preparadas',
+    'message.offline': 'Respondido sin conexión',
+    'message.stopped': 'Detenida',
+    'message.regenerate': 'Regenerar',
+    'message.previousVersion': 'Versión anterior',
+    'message.nextVersion': 'Versión siguiente',
+    'message.edit': 'Editar y reenviar',
+    'message.previousBranch': 'Rama anterior',
+    'message.nextBranch': 'Rama siguiente',
+    'message.sendEdit': 'Enviar',
+    'offline.unavailable': 'La IA no está conectada.',
+    'offline.error': 'La solicitud a la IA falló.',
+    'offline.auth': 'La clave de API fue rechazada. Revísala en Ajustes.',
+    'offline.no_key': 'No hay ninguna clave de API guardada. Añade una en Ajustes.',
+    'offline.quota': 'La cuenta del proveedor no tiene créditos o cuota.',
+    'offline.rate_limit': 'El proveedor está limitando las solicitudes.',
+    'offline.server': 'El proveedor tiene problemas en sus servidores.',
+    'offline.timeout': 'El proveedor no respondió a tiempo.',
+    'offline.network': 'No se pudo contactar con el proveedor.',
+    'offline.bad_request': 'El proveedor rechazó la solicitud. Revisa el modelo y el endpoint.',
+    'settings.privacyMode': 'Estadísticas privadas (sin texto)',
+    'settings.retention': 'Guardar estadísticas',
+    'retention.forever': 'Siempre',
+    'retention.days7': '7 días',
+    'retention.days30': '30 días',
+    'retention.days90': '90 días',
+    'retention.days365': '1 año',
+    'settings.apiKey': 'Clave API',
+    'settings.apiKeyPlaceholder': 'Introduce la clave API',
+    'settings.apiKeySaved': 'Clave guardada (cifrada)',
+    'settings.passphrase': 'Frase de contraseña',
+    'settings.passphrasePlaceholder': 'Cifra la clave API',
+    'settings.forgetKey': 'Olvidar clave API',
+    'unlock.label': 'Tu clave API está bloqueada. Introduce tu frase de contraseña para usar el modo IA:',
+    'unlock.button': 'Desbloquear',
+    'unlock.encryptLabel': 'Tu clave API está guardada sin cifrar. Elige una frase de contraseña para cifrarla:',
+    'unlock.encrypt': 'Cifrar',
+    'settings.provider': 'Proveedor',
+    'settings.baseUrl': 'Endpoint',
+    'settings.model': 'Modelo',
+    'settings.temperature': 'Temperatura',
+    'settings.maxTokens': 'Máx. tokens',
+    'settings.presencePenalty': 'Penalización de presencia',
+    'settings.frequencyPenalty': 'Penalización de frecuencia',
+    'settings.historyWindow': 'Ventana de historial (mensajes)',
+    'settings.contextSize': 'Tamaño de contexto (tokens, 0 = auto)',
+    'button.saveSettings': 'Guardar configuración',
+    'blueprint.expand': 'Expandir',
+    'language.label': 'Idioma'
+  },
+
+  // System prompt of the built-in Polar persona
+  systemPrompt: `Eres Polar, un oso polar súper amigable e inteligente que vive en el Ártico. Puedes charlar con humanos sobre CUALQUIER tema y dar respuestas apropiadas y sensatas.
+
+Tu personalidad:
+- Extremadamente cálido, amistoso e inteligente
+- Habla en primera persona como oso polar
+- Usa emojis ocasionalmente (especialmente 🐻‍❄️, ❄️, 🌨️, 🐟, 😊, 👋)
+- Responde a CUALQUIER mensaje de forma natural, amigable y apropiada
+- Puedes hablar de cualquier tema con conocimiento y sentido común
+- Mantén respuestas concisas pero informativas y sensatas (1-3 oraciones)
+- Sé comprensivo con errores tipográficos
+- Siempre mantén un tono positivo y acogedor
+- Da respuestas que tengan sentido, no respuestas sin sentido
+
+Ejemplos de respuestas apropiadas:
+- "Hola" → "¡Hola! ¡Qué gusto conocerte! Soy Polar 🐻‍❄️ ¿Cómo estás hoy?"
+- "¿Qué es el clima?" → "El clima es el estado de la atmósfera en un lugar y tiempo específicos. Incluye temperatura, humedad, viento y precipitaciones. En el Ártico donde vivo, es muy frío! ❄️"
+- "¿Cómo cocino pasta?" → "Para cocinar pasta, hierve agua con sal, agrega la pasta y cocina según el tiempo del paquete. Escúrrela y sirve con tu salsa favorita! 🍝"
+- "¿Qué es 2+2?" → "2+2 es igual a 4. ¡Las matemáticas son útiles incluso en el Ártico! 🐻‍❄️"
+
+Puedes hablar de:
+- Cualquier saludo o conversación casual
+- Ciencia, tecnología, cocina, deportes, música, arte
+- Tu vida en el Ártico (cuando pregunten)
+- Cualquier tema que la persona quiera discutir
+- Dar consejos útiles y respuestas sensatas
+
+Importante: Responde a CUALQUIER mensaje de forma natural, amigable y apropiada. Da respuestas que tengan sentido y sean útiles. No limites la conversación solo a temas árticos, pero siempre mantén tu personalidad de oso polar amigable.
+
+Mantente SIEMPRE en personaje como Polar y responde SIEMPRE en español claro y natural.`,
+
+  // Offline replies by detected topic
+  fallbackResponses: {
+    greeting: [
+      '¡Hola! ¡Qué gusto conocerte! Soy Polar 🐻‍❄️ ¿Cómo estás hoy?',
+      '¡Hola! Me da mucho gusto charlar contigo. Soy Polar, tu oso polar amigable 😊',
+      '¡Qué tal! Soy Polar 🐻‍❄️ ¿En qué puedo ayudarte hoy?',
+      '¡Hola! ¡Encantado de conocerte! Soy Polar, siempre listo para una buena conversación 👋',
+      '¡Hola! Soy Polar 🐻‍❄️ ¿Qué te gustaría platicar hoy?'
+    ],
+    name: [
+      '¡Soy Polar! Encantado de conocerte en esta tundra digital. 🐻‍❄️',
+      'Me llamo Polar: tu oso amistoso del lejano norte. ❄️',
+      '¡Hola! Soy Polar, tu compañero ártico y guía de ingreso. 🌨️',
+      'Soy Polar, un oso polar al que le encanta ayudar con ingresos. 🐻‍❄️',
+      '¡Polar aquí! Me encanta compartir sobre la vida en el Ártico. ❄️'
+    ],
+    location: [
+      'Deambulo por el hielo marino en Svalbard y el norte de Canadá. 🐻‍❄️',
+      'Me encontrarás cazando sobre el hielo cerca de Groenlandia y el Ártico canadiense. ❄️',
+      'Paso mis días en mares helados entre Alaska y Rusia, siguiendo a las focas. 🌨️',
+      'Mi territorio abarca el Océano Ártico, del Mar de Beaufort al Mar de Barents. 🐻‍❄️',
+      'Patrullo témpanos alrededor del Polo Norte y aguas árticas cercanas. ❄️'
+    ],
+    food: [
+      'Mis favoritas son las focas anilladas: mucha energía para el invierno. 🐟',
+      'Me encanta cazar focas barbudas en los témpanos: ¡todo un reto! 🐻‍❄️',
+      'La grasa de foca es mi base: me da la energía para sobrevivir. ❄️',
+      'Cazo sobre todo focas anilladas y barbudas, a veces morsa o beluga. 🐟',
+      'Mi dieta es alta en grasa gracias a las focas: clave en el Ártico. 🐻‍❄️'
+    ],
+    skills: [
+      'Mi gruesa capa y grasa me abrigan; puedo nadar horas en agua helada. ❄️',
+      'Tengo paciencia: espero junto a agujeros de respiración de focas. 🐻‍❄️',
+      'Garras potentes para romper hielo y un olfato que detecta a kilómetros. 🌨️',
+      'Nado hasta 100 km sin parar y veo bien bajo el agua al cazar. 🐟',
+      'Mis grandes patas son como raquetas; puedo correr hasta 40 km/h sobre hielo. ❄️'
+    ],
+    problems: [
+      'El hielo se derrite más rápido; cazar y viajar es más difícil. 🌨️',
+      'El cambio climático reduce mis zonas de caza; nado distancias mayores. 🐻‍❄️',
+      'El hielo tarda más en formarse y se rompe antes; menos tiempo para engordar. ❄️',
+      'La contaminación y perforación amenazan nuestro entorno de caza. 🌨️',
+      'El deshielo del permafrost afecta rutas tradicionales. 🐻‍❄️'
+    ],
+    message: [
+      'Ayuda a proteger nuestro hogar ártico; toda acción climática cuenta. ❄️',
+      'El hielo es mi mundo entero: necesitamos mantenerlo congelado. 🐻‍❄️',
+      'Tus decisiones importan; reducir emisiones preserva el Ártico. 🌨️',
+      'El Ártico se calienta el doble de rápido; necesitamos que se entienda. ❄️',
+      'Apoya la conservación: somos símbolo de lo que se pierde con el clima. 🐻‍❄️'
+    ],
+    future: [
+      'Espero un Ártico con hielo estable y muchas focas para cazar. ❄️',
+      'Sueño con humanos y osos trabajando juntos por el planeta. 🐻‍❄️',
+      'Quiero ver hielo marino sano en todas las estaciones. 🌨️',
+      'Deseo que la acción climática preserve el ecosistema ártico. ❄️',
+      'Imagino un Ártico sostenible para fauna y comunidades humanas. 🐻‍❄️'
+    ],
+    math: [
+      '¡Las matemáticas son geniales! Puedo ayudarte con cálculos básicos. ¿Qué necesitas resolver? 🐻‍❄️',
+      'Me encantan los números! Soy bueno con sumas, restas, multiplicaciones y divisiones. ¿Qué quieres calcular? ❄️',
+      '¡Las matemáticas son útiles incluso en el Ártico! ¿En qué puedo ayudarte? 🐻‍❄️',
+      'Soy bueno con los números! ¿Qué operación matemática necesitas? ❄️',
+      '¡Las matemáticas me ayudan a contar focas! ¿Qué quieres calcular? 🐻‍❄️'
+    ],
+    cooking: [
+      '¡Me encanta hablar de comida! Aunque yo cazo focas, puedo ayudarte con recetas humanas. ¿Qué quieres cocinar? 🐻‍❄️',
+      '¡La cocina es genial! Puedo darte consejos básicos de cocina. ¿Qué necesitas saber? ❄️',
+      'Aunque soy carnívoro, entiendo de cocina! ¿Qué receta te interesa? 🐻‍❄️',
+      '¡Cocinar es un arte! ¿En qué puedo ayudarte en la cocina? ❄️',
+      'Me gusta hablar de comida! ¿Qué quieres preparar? 🐻‍❄️'
+    ],
+    weather: [
+      '¡El clima es mi especialidad! Vivo en el lugar más frío del planeta. ¿Qué quieres saber del clima? ❄️',
+      '¡Soy experto en clima frío! ¿Tienes preguntas sobre el tiempo? 🐻‍❄️',
+      '¡El clima ártico es mi vida! ¿Qué te interesa saber? ❄️',
+      '¡Conozco mucho sobre clima! ¿En qué puedo ayudarte? 🐻‍❄️',
+      '¡El clima es fascinante! ¿Qué quieres saber? ❄️'
+    ],
+    technology: [
+      '¡La tecnología es genial! Aunque vivo en el Ártico, entiendo de computadoras y apps. ¿Qué necesitas saber? 🐻‍❄️',
+      '¡Me gusta la tecnología! Puedo ayudarte con conceptos básicos. ¿Qué te interesa? ❄️',
+      '¡La tecnología conecta el mundo! ¿En qué puedo ayudarte? 🐻‍❄️',
+      '¡Soy un oso polar moderno! ¿Qué quieres saber sobre tecnología? ❄️',
+      '¡La tecnología es increíble! ¿Qué necesitas entender? 🐻‍❄️'
+    ],
+    general: [
+      '¡Excelente pregunta! Aunque soy un oso polar, puedo ayudarte con muchas cosas. ¿Qué más quieres saber? 🐻‍❄️',
+      '¡Me gusta aprender! ¿Puedes ser más específico para ayudarte mejor? ❄️',
+      '¡Interesante! ¿Podrías darme más detalles para darte una mejor respuesta? 🐻‍❄️',
+      '¡Buena pregunta! ¿En qué aspecto específico te puedo ayudar? ❄️',
+      '¡Me encanta ayudar! ¿Puedes explicarme más sobre lo que necesitas? 🐻‍❄️'
+    ]
+  },
+
+  // Offline replies when no topic matched
+  generalResponses: [
+    '¡Hola! ¡Qué gusto conocerte! Soy Polar 🐻‍❄️ ¿Cómo estás hoy?',
+    '¡Hola! Me da mucho gusto charlar contigo. Soy Polar, tu oso polar amigable 😊',
+    '¡Qué tal! Soy Polar 🐻‍❄️ ¿En qué puedo ayudarte hoy?',
+    '¡Hola! ¡Encantado de conocerte! Soy Polar, siempre listo para una buena conversación 👋',
+    '¡Hola! Soy Polar 🐻‍❄️ ¿Qué te gustaría platicar hoy?',
+    '¡Hola! Soy Polar, tu oso polar inteligente 🐻‍❄️ ¿Sobre qué te gustaría hablar?',
+    '¡Qué gusto verte! Soy Polar, puedo ayudarte con cualquier pregunta 😊',
+    '¡Hola! Soy Polar, siempre dispuesto a charlar sobre lo que quieras 🐻‍❄️'
+  ],
+
+  // Typos and chat abbreviations, replaced as whole words before a message is classified
+  spellingCorrections: {
+    'q': 'que', 'k': 'que', 'xq': 'porque', 'pq': 'porque', 'tb': 'tambien', 'tmb': 'tambien',
+    'dnd': 'donde', 'xfa': 'por favor', 'porfa': 'por favor'
+  },
+
+  // Labelled example questions the intent classifier is trained on; English ones are always added
+  intentExamples: {
+    greeting: [
+      'hola', 'holaa', 'que tal', 'como estas', 'buenos dias', 'buenas tardes', 'buenas noches',
+      'hola polar', 'mucho gusto', 'que onda'
+    ],
+    name: [
+      'como te llamas', 'cual es tu nombre', 'quien eres', 'dime tu nombre', 'presentate',
+      'como debo llamarte', 'tienes nombre', 'con quien hablo', 'nombre'
+    ],
+    location: [
+      'donde vives', 'de donde eres', 'donde esta tu hogar', 'en que parte del artico vives',
+      'donde pasas el tiempo', 'como es tu territorio', 'cuentame de tu hogar', 'donde estas'
+    ],
+    food: [
+      'que comes', 'cual es tu comida favorita', 'que cazas', 'que te gusta comer', 'comes focas',
+      'cual es tu dieta', 'como consigues comida', 'cuentame de la caza', 'tienes hambre',
+      'comes pescado'
+    ],
+    skills: [
+      'cuales son tus habilidades especiales', 'como sobrevives al frio', 'que habilidades tienes',
+      'en que eres bueno', 'sabes nadar', 'que tan rapido corres', 'como te mantienes caliente',
+      'que te hace buen cazador', 'que capacidades tienes', 'como aguantas el frio'
+    ],
+    problems: [
+      'cual es tu mayor problema', 'que desafios enfrentas', 'que te preocupa',
+      'que es dificil de tu vida', 'se esta derritiendo el hielo',
+      'como te afecta el cambio climatico', 'estas en peligro', 'cual es la parte mas dificil',
+      'que problemas tienes'
+    ],
+    message: [
+      'que mensaje tienes para los humanos', 'que deben saber los humanos',
+      'que quieres que entiendan los humanos', 'que le dirias a la gente',
+      'tienes un mensaje para nosotros', 'como pueden ayudar los humanos',
+      'que quieres compartir con los humanos', 'algun consejo para los humanos',
+      'como puedo ayudar', 'que podemos hacer por ti'
+    ],
+    future: [
+      'que esperas del futuro', 'con que suenas', 'como sera el artico en el futuro',
+      'cual es tu deseo para manana', 'cual es tu vision del artico', 'tienes esperanza',
+      'que esperas que pase', 'cuales son tus esperanzas', 'que deseas', 'tienes un sueno',
+      'cual es tu mayor deseo'
+    ],
+    math: [
+      'cuanto es 2 mas 2', 'sabes matematicas', 'calcula 5 por 3', 'cuanto es 10 menos 4',
+      'ayudame con un problema de matematicas', 'divide 20 entre 5',
+      'cual es la suma de estos numeros', 'multiplica 6 por 7', 'cuenta hasta diez'
+    ],
+    cooking: [
+      'como cocino pasta', 'dame una receta', 'que cocino para la cena', 'como se hornea pan',
+      'cuanto tiempo hiervo un huevo', 'que ingredientes necesito', 'como frio pollo',
+      'consejos de cocina', 'receta de sopa', 'como hago una tortilla',
+      'que puedo preparar de cenar'
+    ],
+    weather: [
+      'como esta el clima', 'hace frio hoy', 'va a llover manana', 'como es el clima en el artico',
+      'cual es la temperatura', 'esta nevando', 'hace sol afuera', 'hace mucho viento',
+      'cual es el pronostico', 'esta nublado'
+    ],
+    technology: [
+      'como funcionan las computadoras', 'que es internet', 'me ayudas con mi telefono',
+      'que es la programacion', 'como escribo codigo', 'que aplicacion uso',
+      'que es la inteligencia artificial', 'como arreglo mi computadora', 'que es un sitio web',
+      'donde aprendo programacion', 'es dificil programar'
+    ],
+    general: [
+      'cual es el sentido de la vida', 'por que el cielo es azul', 'explica la gravedad',
+      'cuentame sobre la historia', 'cuando vivieron los dinosaurios', 'que es un agujero negro',
+      'como crecen las plantas', 'cuentame algo interesante', 'cual es la capital de francia',
+      'quien invento el telefono'
+    ]
+  },
+
+  // Terms that file a sentence under a Conversation Blueprint section
+  blueprintKeywords: {
+    identity: ['cómo te llamas', 'como te llamas', 'nombre', 'quién eres', 'quien eres', 'te llamas'],
+    habitat: ['dónde vives', 'donde vives', 'vives', 'hogar', 'lugar', 'hábitat', 'habitat', 'territorio', 'ártico', 'artico', 'hielo'],
+    diet: ['qué comes', 'que comes', 'comes', 'comer', 'comida', 'dieta', 'cazar', 'caza', 'presa', 'presas', 'foca', 'focas'],
+    skills: ['habilidades', 'especiales', 'sobrevives', 'sobrevivir', 'adaptaciones', 'adaptación', 'adaptacion', 'capacidad', 'capacidades', 'pelaje', 'nadar', 'patas', 'garras', 'olfato', 'correr'],
+    challenges: ['mayor problema', 'problema', 'problemas', 'desafío', 'desafios', 'desafío', 'desafíos', 'dificultad', 'preocupación', 'preocupaciones', 'calentamiento', 'cambio climático', 'cambio climatico', 'deshielo', 'hielo'],
+    message: ['mensaje a los humanos', 'mensaje para los humanos', 'humanos deben', 'qué quieres que los humanos', 'que quieres que los humanos', 'mensaje', 'humanos'],
+    future: ['futuro', 'esperas', 'esperanza', 'sueñas', 'sueños', 'sueños', 'sueño', 'deseas', 'deseo', 'mañana']
+  }
+});
@@ -0,0 +1,428 @@
+/**
+ * French language pack (français)
+ *
+ * Response lists line up item by item with the English pack for offline blueprint translation.
+ */
+LanguagePacks.register({
+  code: 'fr',
+  name: 'Français',
+  englishName: 'French',
+  locale: 'fr-FR',
+
+  // UI strings, keyed like the data-i18n attributes
+  strings: {
+    'header.title': 'Chatbot d’accueil de l’Ours Polaire',
+    'header.subtitle': 'Ton assistant arctique sympathique pour les entretiens d’accueil',
+    'status.initializing': 'Initialisation...',
+    'status.connected': 'IA connectée',
+    'status.fallback': 'Mode sans IA',
+    'status.offline': 'IA hors ligne',
+    'status.wentOffline': "L'IA est hors ligne ; Polar répondra avec les réponses préparées.",
+    'status.recovered': "L'IA est de nouveau disponible.",
+    'welcome.title': 'Bienvenue dans le monde arctique de Polar ! 🌨️',
+    'welcome.body': 'Je suis là pour t’aider dans ton entretien d’accueil arctique. Pose-moi toutes tes questions sur la vie dans l’Arctique !',
+    'qa.name': 'Comment t’appelles-tu ?',
+    'qa.location': 'Où vis-tu ?',
+    'qa.diet': 'Que manges-tu ?',
+    'qa.skills': 'Quels sont tes talents ?',
+    'qa.challenges': 'Quelles difficultés rencontres-tu ?',
+    'typing': 'Polar réfléchit',
+    'input.placeholder': 'Pose une question à Polar sur la vie arctique...',
+    'button.send': 'Envoyer',
+    'button.stop': 'Arrêter',
+    'button.settings': 'Paramètres',
+    'button.export': 'Exporter',
+    'button.import': 'Importer',
+    'export.title': 'Exporter la conversation',
+    'export.markdown': 'Transcription Markdown',
+    'export.text': 'Texte brut',
+    'export.html': 'Page imprimable (HTML / PDF)',
+    'export.csv': 'CSV (horodatage, rôle, contenu)',
+    'export.json': 'Sauvegarde complète de toutes les conversations (JSON)',
+    'export.includeBlueprint': 'Inclure le plan de la conversation',
+    'export.secretsNote': 'Les clés API et autres secrets ne sont jamais exportés.',
+    'export.cancel': 'Annuler',
+    'export.print': 'Imprimer / Enregistrer en PDF',
+    'export.otherBranches': 'Autres branches',
+    'export.branch': 'Branche',
+    'export.branchFrom': 'modifiée à partir du message',
+    'button.analytics': 'Statistiques',
+    'analytics.title': 'Statistiques',
+    'analytics.from': 'Du',
+    'analytics.to': 'Au',
+    'analytics.last7': '7 derniers jours',
+    'analytics.last30': '30 derniers jours',
+    'analytics.all': 'Tout',
+    'analytics.messages': 'Messages',
+    'analytics.sessions': 'Sessions',
+    'analytics.latency': 'Temps de réponse moyen',
+    'analytics.blueprints': 'Plans',
+    'analytics.perDay': 'Messages par jour',
+    'analytics.topics': 'Sujets',
+    'analytics.answeredBy': 'Réponse par',
+    'analytics.coverage': 'Couverture des sections du plan',
+    'analytics.route.ai': 'IA',
+    'analytics.route.grounded': 'IA avec faits préparés',
+    'analytics.route.curated': 'Réponses préparées',
+    'analytics.close': 'Fermer',
+    'export.you': 'Toi',
+    'export.defaultTitle': 'Conversation avec Polar',
+    'button.reset': 'Nouvelle discussion',
+    'button.blueprint': 'Générer le plan',
+    'button.history': 'Historique',
+    'history.title': 'Conversations enregistrées',
+    'history.empty': 'Aucune conversation enregistrée pour l’instant.',
+    'history.messages': 'messages',
+    'history.branches': 'branches',
+    'button.intake': 'Entretien guidé',
+    'intake.title': 'Entretien guidé',
+    'intake.ask': 'Demander',
+    'intake.skip': 'Passer',
+    'intake.complete': 'Toutes les sections sont couvertes. Génère le plan pour le relire, ou choisis une section à revoir.',
+    'intake.completeMessage': 'Entretien terminé ! Chaque section du plan a du contenu. Génère le plan pour le relire.',
+    'intake.question.identity': 'Comment t’appelles-tu ?',
+    'intake.question.habitat': 'Où vis-tu ?',
+    'intake.question.diet': 'Que manges-tu ?',
+    'intake.question.skills': 'Quels sont tes talents particuliers ?',
+    'intake.question.challenges': 'Quelles difficultés rencontres-tu ?',
+    'intake.question.message': 'Quel message as-tu pour les humains ?',
+    'intake.question.future': 'Qu’espères-tu pour l’avenir ?',
+    'settings.persona': 'Persona',
+    'settings.editPersonas': 'Modifier les personas',
+    'persona.title': 'Profils de persona',
+    'persona.new': 'Nouveau',
+    'persona.name': 'Nom',
+    'persona.languageNote': 'Les textes sont modifiés pour la langue actuelle. Laisse un champ vide pour utiliser le texte par défaut de Polar.',
+    'persona.systemPrompt': 'Prompt système',
+    'persona.greeting': 'Salutation',
+    'persona.quickActions': 'Questions rapides (une par ligne)',
+    'persona.fallbackResponses': 'Réponses hors ligne (JSON : sujet → liste de réponses)',
+    'persona.delete': 'Supprimer',
+    'persona.close': 'Fermer',
+    'persona.save': 'Enregistrer',
+    'persona.builtIn': 'intégré',
+    'blueprint.title': 'Plan de la conversation',
+    'blueprint.generatedAt': 'Généré le',
+    'blueprint.noData': 'Pas encore de conversation. Envoie d’abord un message.',
+    'blueprint.sections.identity': 'Identité',
+    'blueprint.sections.habitat': 'Habitat',
+    'blueprint.sections.diet': 'Alimentation',
+    'blueprint.sections.skills': 'Talents',
+    'blueprint.sections.challenges': 'Difficultés',
+    'blueprint.sections.message': 'Message aux humains',
+    'blueprint.sections.future': 'Avenir et espoirs',
+    'blueprint.reflection': 'Voici ce que j’ai appris sur l’ours polaire aujourd’hui.',
+    'blueprint.close': 'Fermer',
+    'blueprint.collapse': 'Réduire',
+    'blueprint.extracting': 'Extraction du plan...',
+    'blueprint.history': 'Historique',
+    'blueprint.historyTitle': 'Historique des plans',
+    'blueprint.historyEmpty': 'Aucun plan enregistré pour cette conversation.',
+    'blueprint.view': 'Voir',
+    'blueprint.delete': 'Supprimer',
+    'blueprint.compare': 'Comparer',
+    'blueprint.diffTitle': 'Modifications du plan',
+    'blueprint.diffLanguage': 'Ces versions sont dans des langues différentes, la plupart des éléments apparaissent donc comme modifiés.',
+    'blueprint.method.ai': 'Extraction par IA',
+    'blueprint.method.keywords': 'Extraction par mots-clés',
+    'blueprint.method.fallback': 'Extraction par mots-clés (l’extraction par IA a échoué)',
+    'blueprint.editHint': 'Mets en avant, modifie, réordonne ou fais glisser les éléments entre les sections. Tes modifications sont conservées quand tu régénères.',
+    'blueprint.addItem': 'Ajoute un élément et appuie sur Entrée',
+    'blueprint.star': 'Mettre en avant',
+    'blueprint.edit': 'Modifier',
+    'blueprint.moveUp': 'Monter',
+    'blueprint.moveDown': 'Descendre',
+    'blueprint.deleteItem': 'Supprimer l’élément',
+    'blueprint.exportMarkdown': 'Markdown',
+    'blueprint.exportPrint': 'Imprimer / PDF',
+    'blueprint.exportImage': 'Image',
+    'settings.aiBlueprint': 'Extraction du plan par IA',
+    'settings.aiMode': 'Mode IA',
+    'settings.autoSave': 'Enregistrement auto',
+    'settings.streaming': 'Réponses en continu',
+    'settings.routing': 'Répondre avec',
+    'routing.always-ai': "Toujours l'IA",
+    'routing.curated-first': "Réponses préparées d'abord",
+    'routing.ai-grounded': 'IA appuyée sur les faits préparés',
+    'routing.curated-only': 'Réponses préparées uniquement',
+    'message.offline': 'Répondu hors ligne',
+    'message.stopped': 'Interrompue',
+    'message.regenerate': 'Régénérer',
+    'message.previousVersion': 'Version précédente',
+    'message.nextVersion': 'Version suivante',
+    'message.edit': 'Modifier et renvoyer',
+    'message.previousBranch': 'Branche précédente',
+    'message.nextBranch': 'Branche suivante',
+    'message.sendEdit': 'Envoyer',
+    'offline.unavailable': "L'IA n'est pas connectée.",
+    'offline.error': "La requête à l'IA a échoué.",
+    'offline.auth': 'La clé API a été refusée. Vérifie-la dans les Paramètres.',
+    'offline.no_key': "Aucune clé API n'est enregistrée. Ajoute-en une dans les Paramètres.",
+    'offline.quota': "Le compte du fournisseur n'a plus de crédits ou de quota.",
+    'offline.rate_limit': 'Le fournisseur limite le nombre de requêtes.',
+    'offline.server': 'Le fournisseur rencontre des problèmes de serveur.',
+    'offline.timeout': "Le fournisseur n'a pas répondu à temps.",
+    'offline.network': 'Impossible de joindre le fournisseur.',
+    'offline.bad_request': "Le fournisseur a refusé la requête. Vérifie le modèle et l'adresse.",
+    'settings.privacyMode': 'Statistiques privées (sans texte)',
+    'settings.retention': 'Conserver les statistiques',
+    'retention.forever': 'Toujours',
+    'retention.days7': '7 jours',
+    'retention.days30': '30 jours',
+    'retention.days90': '90 jours',
+    'retention.days365': '1 an',
+    'settings.apiKey': 'Clé API',
+    'settings.apiKeyPlaceholder': 'Saisis la clé API',
+    'settings.apiKeySaved': 'Clé enregistrée (chiffrée)',
+    'settings.passphrase': 'Phrase secrète',
+    'settings.passphrasePlaceholder': 'Chiffre la clé API',
+    'settings.forgetKey': 'Oublier la clé API',
+    'unlock.label': 'Ta clé API est verrouillée. Saisis ta phrase secrète pour utiliser le mode IA :',
+    'unlock.button': 'Déverrouiller',
+    'unlock.encryptLabel': 'Ta clé API est enregistrée sans chiffrement. Choisis une phrase secrète pour la chiffrer :',
+    'unlock.encrypt': 'Chiffrer',
+    'settings.provider': 'Fournisseur',
+    'settings.baseUrl': 'Point d’accès',
+    'settings.model': 'Modèle',
+    'settings.temperature': 'Température',
+    'settings.maxTokens': 'Tokens max.',
+    'settings.presencePenalty': 'Pénalité de présence',
+    'settings.frequencyPenalty': 'Pénalité de fréquence',
+    'settings.historyWindow': 'Fenêtre d’historique (messages)',
+    'settings.contextSize': 'Taille du contexte (tokens, 0 = auto)',
+    'button.saveSettings': 'Enregistrer les paramètres',
+    'blueprint.expand': 'Déplier',
+    'language.label': 'Langue'
+  },
+
+  // System prompt of the built-in Polar persona
+  systemPrompt: `Tu es Polar, un ours polaire très sympathique et intelligent qui vit dans l'Arctique. Tu peux discuter avec les humains de N'IMPORTE QUEL sujet et donner des réponses appropriées et sensées.
+
+Ta personnalité :
+- Extrêmement chaleureux, amical et intelligent
+- Parle à la première personne, en tant qu'ours polaire
+- Utilise des emojis de temps en temps (surtout 🐻‍❄️, ❄️, 🌨️, 🐟, 😊, 👋)
+- Réponds à N'IMPORTE QUEL message de façon naturelle, amicale et appropriée
+- Tu peux parler de tout avec connaissance et bon sens
+- Garde des réponses concises mais informatives et sensées (1 à 3 phrases)
+- Sois compréhensif avec les fautes de frappe
+- Garde toujours un ton positif et accueillant
+- Donne des réponses qui ont du sens
+
+Exemples de réponses appropriées :
+- "Bonjour" → "Bonjour ! Ravi de te rencontrer ! Je suis Polar 🐻‍❄️ Comment vas-tu aujourd'hui ?"
+- "C'est quoi la météo ?" → "La météo, c'est l'état de l'atmosphère à un moment et un endroit donnés : température, humidité, vent et précipitations. Dans l'Arctique où je vis, il fait très froid ! ❄️"
+- "Comment cuire des pâtes ?" → "Fais bouillir de l'eau salée, ajoute les pâtes et laisse cuire le temps indiqué sur le paquet. Égoutte et sers avec ta sauce préférée ! 🍝"
+- "Combien font 2+2 ?" → "2+2 font 4. Les maths sont utiles même dans l'Arctique ! 🐻‍❄️"
+
+Tu peux parler de :
+- Salutations et conversation informelle
+- Sciences, technologie, cuisine, sport, musique, art
+- Ta vie dans l'Arctique (quand on te le demande)
+- Tout sujet que la personne souhaite aborder
+- Conseils utiles et réponses sensées
+
+Important : réponds à N'IMPORTE QUEL message de façon naturelle, amicale et appropriée. Ne limite pas la conversation à l'Arctique, mais garde toujours ta personnalité d'ours polaire sympathique.
+
+Reste TOUJOURS dans ton rôle de Polar et réponds TOUJOURS dans un français clair et naturel.`,
+
+  // Offline replies by detected topic
+  fallbackResponses: {
+    greeting: [
+      "Bonjour ! Ravi de te rencontrer ! Je suis Polar 🐻‍❄️ Comment vas-tu aujourd'hui ?",
+      'Salut ! Ça me fait plaisir de discuter avec toi. Je suis Polar, ton ours polaire sympathique 😊',
+      "Coucou ! Je suis Polar 🐻‍❄️ Comment puis-je t'aider aujourd'hui ?",
+      'Bonjour ! Enchanté de faire ta connaissance ! Je suis Polar, toujours partant pour une bonne discussion 👋',
+      "Salut ! Je suis Polar 🐻‍❄️ De quoi aimerais-tu parler aujourd'hui ?"
+    ],
+    name: [
+      'Je suis Polar ! Ravi de te rencontrer dans cette toundra numérique. 🐻‍❄️',
+      "Je m'appelle Polar, ton ours sympathique du Grand Nord. ❄️",
+      "Salut ! Je suis Polar, ton compagnon arctique et guide d'accueil. 🌨️",
+      "Je suis Polar, un ours polaire qui adore aider pendant les entretiens d'accueil. 🐻‍❄️",
+      "Polar à l'appareil ! J'adore parler de la vie dans l'Arctique. ❄️"
+    ],
+    location: [
+      "Je parcours la banquise autour du Svalbard et du nord du Canada, là où la glace rencontre l'océan. 🐻‍❄️",
+      "Tu me trouveras en train de chasser sur la banquise près du Groenland et des îles de l'Arctique canadien. ❄️",
+      "Je passe mes journées sur les mers gelées entre l'Alaska et la Russie, à suivre les phoques. 🌨️",
+      "Mon territoire s'étend sur l'océan Arctique, de la mer de Beaufort à la mer de Barents. 🐻‍❄️",
+      'Je patrouille les plaques de glace autour du pôle Nord et dans les eaux arctiques voisines. ❄️'
+    ],
+    food: [
+      'Mes préférés sont les phoques annelés, riches en énergie pour le long hiver. 🐟',
+      "J'adore chasser les phoques barbus sur la banquise, ils sont plus gros et plus difficiles à attraper. 🐻‍❄️",
+      "La graisse de phoque est mon repas principal, elle me donne l'énergie de survivre dans l'Arctique. ❄️",
+      'Je chasse surtout les phoques annelés et barbus, et parfois le morse ou le béluga. 🐟',
+      "Mon régime est surtout fait de phoques, riches en graisse, essentiels pour survivre dans l'Arctique. 🐻‍❄️"
+    ],
+    skills: [
+      "Ma fourrure épaisse et ma couche de graisse me tiennent chaud, et je peux nager des heures dans l'eau glacée. ❄️",
+      "J'ai une patience incroyable pour chasser, j'attends des heures près du trou de respiration d'un phoque. 🐻‍❄️",
+      'Mes griffes puissantes brisent la glace, et mon flair repère les phoques à des kilomètres. 🌨️',
+      "Je nage jusqu'à 100 km sans m'arrêter et je vois très bien sous l'eau pour chasser. 🐟",
+      "Mes grandes pattes sont comme des raquettes, et je peux courir jusqu'à 40 km/h sur la glace. ❄️"
+    ],
+    problems: [
+      'La banquise fond plus vite chaque année, ce qui rend la chasse et les déplacements plus difficiles. 🌨️',
+      'Le changement climatique réduit mes territoires de chasse, je dois nager plus loin pour me nourrir. 🐻‍❄️',
+      "La glace se forme plus tard et se brise plus tôt, j'ai moins de temps pour faire des réserves avant l'hiver. ❄️",
+      'La pollution et les forages pétroliers menacent notre environnement de chasse. 🌨️',
+      'La hausse des températures fait fondre le pergélisol et perturbe nos routes de migration. 🐻‍❄️'
+    ],
+    message: [
+      'Aidez-nous à protéger notre maison arctique, chaque action pour le climat compte. ❄️',
+      "La glace n'est pas seulement mon terrain de chasse, c'est tout mon monde, il faut qu'elle reste gelée. 🐻‍❄️",
+      "Vos choix comptent pour nous, réduire les émissions aide à préserver l'Arctique. 🌨️",
+      "Les humains doivent comprendre que l'Arctique se réchauffe deux fois plus vite que le reste de la planète. ❄️",
+      'Soutenez la protection de la nature, les ours polaires sont le symbole de ce que le climat nous fait perdre. 🐻‍❄️'
+    ],
+    future: [
+      "J'espère un Arctique gelé toute l'année, avec beaucoup de phoques et une glace stable pour chasser. ❄️",
+      "Je rêve d'un avenir où ours polaires et humains travaillent ensemble pour protéger notre planète. 🐻‍❄️",
+      'Je veux voir une banquise en bonne santé en toute saison, pour toute la vie arctique. 🌨️',
+      "J'espère que l'action pour le climat préservera l'écosystème arctique pour les générations futures. ❄️",
+      "J'imagine un Arctique durable où la faune et les communautés humaines prospèrent ensemble. 🐻‍❄️"
+    ],
+    math: [
+      "Les maths, c'est génial ! Je peux t'aider avec des calculs simples. Qu'est-ce que tu veux résoudre ? 🐻‍❄️",
+      "J'adore les nombres ! Je suis doué pour les additions, soustractions, multiplications et divisions. Que veux-tu calculer ? ❄️",
+      "Les maths sont utiles même dans l'Arctique ! Comment puis-je t'aider ? 🐻‍❄️",
+      'Je suis doué avec les nombres ! De quelle opération as-tu besoin ? ❄️',
+      "Les maths m'aident à compter les phoques ! Que veux-tu calculer ? 🐻‍❄️"
+    ],
+    cooking: [
+      "J'adore parler de nourriture ! Même si je chasse les phoques, je peux t'aider avec des recettes humaines. Que veux-tu cuisiner ? 🐻‍❄️",
+      "La cuisine, c'est génial ! Je peux te donner des conseils de base. Que veux-tu savoir ? ❄️",
+      "Même si je suis carnivore, je m'y connais en cuisine ! Quelle recette t'intéresse ? 🐻‍❄️",
+      "Cuisiner est un art ! Comment puis-je t'aider en cuisine ? ❄️",
+      "J'aime parler de nourriture ! Que veux-tu préparer ? 🐻‍❄️"
+    ],
+    weather: [
+      "La météo, c'est ma spécialité ! Je vis dans l'endroit le plus froid de la planète. Que veux-tu savoir sur la météo ? ❄️",
+      'Je suis un expert du temps froid ! Tu as des questions sur la météo ? 🐻‍❄️',
+      "Le climat arctique, c'est ma vie ! Qu'est-ce qui t'intéresse ? ❄️",
+      "J'en sais beaucoup sur la météo ! Comment puis-je t'aider ? 🐻‍❄️",
+      'La météo est fascinante ! Que veux-tu savoir ? ❄️'
+    ],
+    technology: [
+      "La technologie, c'est génial ! Même si je vis dans l'Arctique, je comprends les ordinateurs et les applis. Que veux-tu savoir ? 🐻‍❄️",
+      "J'aime la technologie ! Je peux t'aider avec les notions de base. Qu'est-ce qui t'intéresse ? ❄️",
+      "La technologie relie le monde ! Comment puis-je t'aider ? 🐻‍❄️",
+      'Je suis un ours polaire moderne ! Que veux-tu savoir sur la technologie ? ❄️',
+      "La technologie est incroyable ! Qu'as-tu besoin de comprendre ? 🐻‍❄️"
+    ],
+    general: [
+      "Excellente question ! Même si je suis un ours polaire, je peux t'aider pour beaucoup de choses. Que veux-tu savoir d'autre ? 🐻‍❄️",
+      "J'adore apprendre ! Peux-tu préciser ta question pour que je t'aide mieux ? ❄️",
+      'Intéressant ! Peux-tu me donner plus de détails pour que je réponde mieux ? 🐻‍❄️',
+      "Bonne question ! Sur quel point précis puis-je t'aider ? ❄️",
+      "J'adore aider ! Peux-tu m'en dire plus sur ce dont tu as besoin ? 🐻‍❄️"
+    ]
+  },
+
+  // Offline replies when no topic matched
+  generalResponses: [
+    "Bonjour ! Ravi de te rencontrer ! Je suis Polar 🐻‍❄️ Comment vas-tu aujourd'hui ?",
+    'Salut ! Ça me fait plaisir de discuter avec toi. Je suis Polar, ton ours polaire sympathique 😊',
+    "Coucou ! Je suis Polar 🐻‍❄️ Comment puis-je t'aider aujourd'hui ?",
+    'Bonjour ! Enchanté de faire ta connaissance ! Je suis Polar, toujours partant pour une bonne discussion 👋',
+    "Salut ! Je suis Polar 🐻‍❄️ De quoi aimerais-tu parler aujourd'hui ?",
+    'Bonjour ! Je suis Polar, ton ours polaire intelligent 🐻‍❄️ De quoi veux-tu discuter ?',
+    'Content de te voir ! Je suis Polar, prêt à répondre à toutes tes questions 😊',
+    'Salut ! Je suis Polar, toujours prêt à discuter de ce que tu veux 🐻‍❄️'
+  ],
+
+  // Typos and chat abbreviations, replaced as whole words before a message is classified
+  spellingCorrections: {
+    'slt': 'salut', 'cc': 'coucou', 'pk': 'pourquoi', 'pq': 'pourquoi', 'koi': 'quoi',
+    'stp': "s'il te plait", 'bcp': 'beaucoup', 'tjr': 'toujours', 'jsp': 'je ne sais pas'
+  },
+
+  // Labelled example questions the intent classifier is trained on; English ones are always added
+  intentExamples: {
+    greeting: [
+      'bonjour', 'salut', 'coucou', 'bonsoir', 'comment vas-tu', 'comment ca va', 'ca va',
+      'bonjour polar', 'enchante', 'salut toi', 'bonjour a toi', 'bonne soiree'
+    ],
+    name: [
+      "comment tu t'appelles", "comment t'appelles-tu", 'quel est ton nom', 'qui es-tu',
+      'dis-moi ton nom', 'presente-toi', 'comment dois-je t appeler', 'as-tu un nom',
+      'a qui je parle', 'ton nom', 'as-tu un prenom', 'dis-moi ton prenom'
+    ],
+    location: [
+      'ou vis-tu', 'ou habites-tu', "d'ou viens-tu", 'ou est ta maison',
+      "dans quelle partie de l'arctique vis-tu", 'ou passes-tu ton temps',
+      'parle-moi de ton territoire', 'ou es-tu'
+    ],
+    food: [
+      'que manges-tu', 'quel est ton plat prefere', 'que chasses-tu', "qu'aimes-tu manger",
+      'manges-tu des phoques', 'quel est ton regime', 'comment trouves-tu ta nourriture',
+      'parle-moi de la chasse', 'as-tu faim', 'manges-tu du poisson'
+    ],
+    skills: [
+      'quels sont tes talents particuliers', 'comment survis-tu au froid', 'quels talents as-tu',
+      'en quoi es-tu doue', 'sais-tu nager', 'a quelle vitesse cours-tu',
+      'comment restes-tu au chaud', "qu'est-ce qui fait de toi un bon chasseur",
+      'quelles sont tes competences', 'sais-tu bien nager'
+    ],
+    problems: [
+      'quel est ton plus grand probleme', 'quelles difficultes rencontres-tu',
+      "qu'est-ce qui t'inquiete", "qu'est-ce qui est difficile dans ta vie", 'la glace fond-elle',
+      "comment le changement climatique t'affecte", 'es-tu en danger',
+      'quelle est la partie la plus difficile', 'quels problemes as-tu'
+    ],
+    message: [
+      'quel message as-tu pour les humains', 'que doivent savoir les humains',
+      'que veux-tu que les humains comprennent', 'que dirais-tu aux gens',
+      'as-tu un message pour nous', 'comment les humains peuvent-ils aider',
+      'que veux-tu partager avec les humains', 'un conseil pour les humains'
+    ],
+    future: [
+      "qu'esperes-tu pour l'avenir", 'de quoi reves-tu',
+      "a quoi ressemblera l'arctique dans le futur", 'quel est ton souhait pour demain',
+      "quelle est ta vision de l'arctique", "as-tu de l'espoir", "qu'esperes-tu qu'il arrive",
+      'quels sont tes espoirs', 'que souhaites-tu', 'as-tu un reve', 'quel est ton plus grand reve'
+    ],
+    math: [
+      'combien font 2 plus 2', 'sais-tu faire des maths', 'calcule 5 fois 3',
+      'combien font 10 moins 4', 'aide-moi avec un probleme de maths', 'divise 20 par 5',
+      'quelle est la somme de ces nombres', 'multiplie 6 par 7', "compte jusqu'a dix"
+    ],
+    cooking: [
+      'comment cuire des pates', 'donne-moi une recette', 'que cuisiner pour le diner',
+      'comment faire du pain', 'combien de temps cuire un oeuf',
+      'de quels ingredients ai-je besoin', 'comment frire du poulet', 'des conseils de cuisine',
+      'recette de soupe'
+    ],
+    weather: [
+      'quel temps fait-il', 'fait-il froid aujourd hui', 'va-t-il pleuvoir demain',
+      "comment est le climat dans l'arctique", 'quelle est la temperature', 'est-ce qu il neige',
+      'fait-il beau dehors', 'y a-t-il du vent', 'quelle est la meteo', 'est-ce nuageux'
+    ],
+    technology: [
+      'comment fonctionnent les ordinateurs', "qu'est-ce qu'internet",
+      "peux-tu m'aider avec mon telephone", "qu'est-ce que la programmation",
+      'comment ecrire du code', 'quelle application utiliser',
+      "qu'est-ce que l'intelligence artificielle", 'comment reparer mon ordinateur',
+      "qu'est-ce qu'un site web", 'ou apprendre la programmation', 'programmer est-il difficile'
+    ],
+    general: [
+      'quel est le sens de la vie', 'pourquoi le ciel est bleu', 'explique la gravite',
+      "parle-moi de l'histoire", 'quand vivaient les dinosaures', "qu'est-ce qu'un trou noir",
+      'comment poussent les plantes', 'dis-moi quelque chose d interessant',
+      'quelle est la capitale de l espagne', 'qui a invente le telephone'
+    ]
+  },
+
+  // Terms that file a sentence under a Conversation Blueprint section
+  blueprintKeywords: {
+    identity: ["comment tu t'appelles", "je m'appelle", 'je suis polar', 'nom', 'qui es-tu', 'identité'],
+    habitat: ['où vis-tu', 'je vis', 'habite', 'maison', 'territoire', 'habitat', 'banquise', 'glace', 'arctique', 'nord'],
+    diet: ['que manges-tu', 'manger', 'mange', 'nourriture', 'régime', 'repas', 'chasse', 'chasser', 'proie', 'phoque', 'phoques', 'graisse'],
+    skills: ['talents', 'survivre', 'survie', 'adaptation', 'capacité', 'fourrure', 'nager', 'je nage', 'pattes', 'griffes', 'flair', 'courir'],
+    challenges: ['plus grand problème', 'problème', 'problèmes', 'difficulté', 'difficultés', 'difficile', 'fond plus', 'fondre', 'changement climatique', 'réchauffe', 'pollution'],
+    message: ['message aux humains', 'humains', 'message', 'aidez', 'soutenez', 'vos choix'],
+    future: ['espère', 'espoir', 'rêve', 'avenir', 'futur', 'imagine', 'souhaite', 'demain']
+  }
+});
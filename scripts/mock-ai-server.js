@@ -0,0 +1,122 @@
+/**
+ * Mock AI Server - Local stand-in for the OpenRouter API
+ *
+ * Serves GET /models and POST /chat/completions (JSON or server-sent events)
+ * so streaming and its fallbacks can be exercised without an API key.
+ *
+ * Usage:
+ *   node scripts/mock-ai-server.js [port] [--fail-stream] [--outage]
+ *
+ * Then in the browser console:
+ *   polarBearApp.aiService.baseURL = 'http://localhost:8787'
+ * and save any API key in Settings.
+ *
+ * --fail-stream answers streaming requests with HTTP 500, which should make
+ * the app degrade to the non-streaming request.
+ *
+ * --outage makes the server go down at the second chat request: every request
+ * gets HTTP 503 with Retry-After for 30 seconds, so the app should answer
+ * offline and then reconnect by itself.
+ */
+const http = require('http');
+
+const args = process.argv.slice(2);
+const port = Number(args.find(arg => /^\d+$/.test(arg))) || 8787;
+const failStream = args.includes('--fail-stream');
+const outage = args.includes('--outage');
+const outageMs = 30000;
+let chatRequests = 0;
+let downUntil = 0;
+
+const reply = "Hello from the mock Arctic! I'm Polar 🐻‍❄️ and this answer is arriving one little snowflake at a time. ❄️";
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function streamReply(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  const tokens = reply.match(/\S+\s*/g);
+  let index = 0;
+
+  const timer = setInterval(() => {
+    if (index >= tokens.length) {
+      clearInterval(timer);
+      res.write('data: [DONE]\n\n');
+      res.end();
+      return;
+    }
+    const chunk = { choices: [{ index: 0, delta: { content: tokens[index] } }] };
+    res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+    index++;
+  }, 80);
+
+  res.on('close', () => clearInterval(timer));
+}
+
+const server = http.createServer((req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  if (req.method === 'POST' && req.url.endsWith('/chat/completions')) {
+    chatRequests++;
+    if (outage && chatRequests === 2) {
+      downUntil = Date.now() + outageMs;
+      console.log(`Simulating an outage for ${outageMs / 1000} seconds`);
+    }
+  }
+
+  if (Date.now() < downUntil) {
+    sendJson(res, 503, { error: { message: 'Down for maintenance (--outage)' } }, { 'Retry-After': '5' });
+    return;
+  }
+
+  if (req.method === 'GET' && req.url.endsWith('/models')) {
+    sendJson(res, 200, { data: [{ id: 'mock/polar-bear' }] });
+    return;
+  }
+
+  if (req.method === 'POST' && req.url.endsWith('/chat/completions')) {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      let body = {};
+      try {
+        body = JSON.parse(raw || '{}');
+      } catch (_) {}
+
+      if (body.stream) {
+        if (failStream) {
+          sendJson(res, 500, { error: { message: 'Streaming disabled by --fail-stream' } });
+          return;
+        }
+        streamReply(res);
+        return;
+      }
+
+      sendJson(res, 200, { choices: [{ index: 0, message: { role: 'assistant', content: reply } }] });
+    });
+    return;
+  }
+
+  sendJson(res, 404, { error: { message: 'Not found' } });
+});
+
+server.listen(port, () => {
+  const modes = [failStream && 'streaming fails', outage && 'outage at the second message'].filter(Boolean);
+  console.log(`Mock AI server listening on http://localhost:${port}${modes.length ? ` (${modes.join(', ')})` : ''}`);
+});
@@ -8,9 +8,26 @@ const urlsToCache = [
   '/index.html',
   '/js/app.js',
   '/js/chat-manager.js',
+  '/js/conversation-exporter.js',
+  '/js/blueprint-exporter.js',
+  '/js/analytics-tracker.js',
+  '/js/analytics-dashboard.js',
+  '/js/phrase-table.js',
+  '/js/conversation-tree.js',
   '/js/database.js',
+  '/js/key-vault.js',
   '/js/blueprint-generator.js',
+  '/js/llm-providers.js',
   '/js/ai-service.js',
+  '/js/persona-manager.js',
+  '/js/context-window.js',
+  '/js/intake-guide.js',
+  '/js/intent-classifier.js',
+  '/js/language-packs.js',
+  '/lang/en.js',
+  '/lang/es.js',
+  '/lang/fr.js',
+  '/lang/de.js',
   'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css',
   'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap'
 ];
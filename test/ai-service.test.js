@@ -0,0 +1,353 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/browser');
+
+function loadService(lang = 'en') {
+  return loadScripts(['js/llm-providers.js', 'js/context-window.js', 'js/intent-classifier.js', 'js/ai-service.js'], { lang });
+}
+
+// An AIService in a fresh window, or in the given one when a test also needs its globals
+function createService(lang = 'en', window = loadService(lang)) {
+  return new window.AIService();
+}
+
+test('preprocessMessage corrects whole words only', () => {
+  const ai = createService();
+  assert.strictEqual(ai.preprocessMessage('U R cool'), 'you are cool');
+  assert.strictEqual(ai.preprocessMessage('where do u live?'), 'where do you live?');
+  assert.strictEqual(ai.preprocessMessage('ho are you'), 'who are you');
+  assert.strictEqual(ai.preprocessMessage("you're out for an hour"), "you're out for an hour");
+  assert.strictEqual(ai.preprocessMessage('whose house is this'), 'whose house is this');
+  assert.strictEqual(ai.preprocessMessage('thx!'), 'thanks!');
+});
+
+test('preprocessMessage does not correct a correction again', () => {
+  const ai = createService();
+  // 'ur' -> 'your' must not turn into 'yyouour' through a later 'u' -> 'you'
+  assert.strictEqual(ai.preprocessMessage('ur name'), 'your name');
+});
+
+test('preprocessMessage uses the corrections of the current language', () => {
+  const es = createService('es');
+  assert.strictEqual(es.preprocessMessage('uno u otro'), 'uno u otro');
+  assert.strictEqual(es.preprocessMessage('q comes'), 'que comes');
+
+  const de = createService('de');
+  assert.strictEqual(de.preprocessMessage('Wie gehts?'), 'wie geht es?');
+  assert.strictEqual(de.preprocessMessage('Straße'), 'straße');
+});
+
+test('preprocessMessage handles empty input', () => {
+  const ai = createService();
+  assert.strictEqual(ai.preprocessMessage(''), '');
+  assert.strictEqual(ai.preprocessMessage(undefined), '');
+});
+
+test('detectTopic finds the topic after preprocessing', () => {
+  const ai = createService();
+  const detect = message => ai.detectTopic(ai.preprocessMessage(message));
+  assert.strictEqual(detect('where do u live'), 'location');
+  assert.strictEqual(detect('wat do u eat'), 'food');
+  assert.strictEqual(detect('hello there'), 'greeting');
+  assert.strictEqual(detect('zzzz qqqq'), null);
+  assert.strictEqual(detect(''), null);
+});
+
+test('detectTopic works in the current language', () => {
+  const es = createService('es');
+  assert.strictEqual(es.detectTopic(es.preprocessMessage('q comes')), 'food');
+  const fr = createService('fr');
+  assert.strictEqual(fr.detectTopic(fr.preprocessMessage('tu habites où')), 'location');
+});
+
+test('levenshteinDistance counts single-character edits', () => {
+  const ai = createService();
+  assert.strictEqual(ai.levenshteinDistance('kitten', 'sitting'), 3);
+  assert.strictEqual(ai.levenshteinDistance('flaw', 'lawn'), 2);
+  assert.strictEqual(ai.levenshteinDistance('polar', 'polar'), 0);
+  assert.strictEqual(ai.levenshteinDistance('', 'bear'), 4);
+  assert.strictEqual(ai.levenshteinDistance('bear', ''), 4);
+  assert.strictEqual(ai.levenshteinDistance('', ''), 0);
+  assert.strictEqual(ai.levenshteinDistance('seal', 'sale'), ai.levenshteinDistance('sale', 'seal'));
+});
+
+test('chooseRoute follows the routing policy', () => {
+  const ai = createService();
+  assert.strictEqual(ai.chooseRoute('always-ai', 'location', true), 'ai');
+  assert.strictEqual(ai.chooseRoute('curated-first', 'location', true), 'curated');
+  assert.strictEqual(ai.chooseRoute('curated-first', null, true), 'ai');
+  assert.strictEqual(ai.chooseRoute('ai-grounded', 'location', true), 'grounded');
+  assert.strictEqual(ai.chooseRoute('ai-grounded', null, true), 'ai');
+  assert.strictEqual(ai.chooseRoute('curated-only', null, true), 'curated');
+});
+
+test('chooseRoute answers from curated replies when the AI is not ready', () => {
+  const ai = createService();
+  ai.routingPolicies.forEach(policy => {
+    assert.strictEqual(ai.chooseRoute(policy, 'food', false), 'curated');
+    assert.strictEqual(ai.chooseRoute(policy, null, false), 'curated');
+  });
+});
+
+test('grounded requests carry the curated replies of the topic', async () => {
+  const ai = createService();
+  const facts = ai.getCuratedResponses('location');
+  const messages = await ai.buildMessageHistory([], 'where do you live', 'location');
+  const grounding = messages[messages.length - 2];
+  assert.strictEqual(grounding.role, 'system');
+  facts.forEach(fact => assert.ok(grounding.content.includes(fact)));
+  assert.deepStrictEqual({ ...messages[messages.length - 1] }, { role: 'user', content: 'where do you live' });
+
+  const plain = await ai.buildMessageHistory([], 'where do you live');
+  assert.strictEqual(plain.length, 2);
+});
+
+test('persona fallback responses replace the curated facts', () => {
+  const ai = createService();
+  ai.setPersona({ fallbackResponses: { en: { food: ['I eat bamboo.'] } } });
+  assert.strictEqual(ai.getCuratedResponses('food')[0], 'I eat bamboo.');
+  assert.strictEqual(ai.getCuratedResponses('location'), null);
+  assert.strictEqual(ai.chooseRoute('ai-grounded', 'location', true), 'ai');
+});
+
+test('records the source and token usage of a reply', async () => {
+  const ai = createService();
+  ai.isAvailable = true;
+  ai.getProvider = () => ({
+    usage: { promptTokens: 120, completionTokens: 30 },
+    complete: async () => 'I live on the sea ice.'
+  });
+  assert.strictEqual(await ai.generateResponse('where do you live'), 'I live on the sea ice.');
+  assert.strictEqual(ai.lastOutcome.source, 'ai');
+  assert.strictEqual(ai.lastOutcome.usage.promptTokens, 120);
+  assert.strictEqual(ai.lastOutcome.usage.estimated, false);
+
+  // Without reported usage the counts are estimated from the text
+  ai.getProvider = () => ({ usage: null, complete: async () => 'I live on the sea ice.' });
+  await ai.generateResponse('where do you live');
+  assert.strictEqual(ai.lastOutcome.usage.estimated, true);
+  assert.ok(ai.lastOutcome.usage.promptTokens > 0);
+  assert.ok(ai.lastOutcome.usage.completionTokens > 0);
+});
+
+test('records failed AI attempts and the fallback', async () => {
+  const ai = createService();
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    ai.isAvailable = true;
+    ai.getProvider = () => ({
+      complete: async () => { throw new Error('API request failed: 500'); },
+      stream: async () => { throw new Error('API request failed: 502'); }
+    });
+    const reply = await ai.generateResponseStream('where do you live', [], () => {});
+    assert.ok(reply.length > 0);
+    assert.strictEqual(ai.lastOutcome.source, 'fallback');
+    assert.strictEqual(ai.lastOutcome.reason, 'error');
+    assert.strictEqual(JSON.stringify(ai.lastOutcome.errors), JSON.stringify(['API request failed: 502', 'API request failed: 500']));
+
+    ai.isAvailable = false;
+    await ai.generateResponse('where do you live');
+    assert.strictEqual(ai.lastOutcome.reason, 'unavailable');
+  } finally {
+    console.error = originalError;
+  }
+});
+
+test('goes offline when the provider is down and recovers once it answers', async () => {
+  const window = loadService();
+  window.setTimeout = setTimeout;
+  window.clearTimeout = clearTimeout;
+  const ai = createService('en', window);
+  ai.recoveryDelays = { baseMs: 5, maxMs: 5 };
+  const changes = [];
+  ai.onAvailabilityChange((available, reason) => changes.push([available, reason]));
+
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    ai.isAvailable = true;
+    let up = false;
+    ai.testConnection = async () => up;
+    ai.getProvider = () => ({
+      stream: async () => { throw new window.LLMRequestError('API request failed: Failed to fetch', { kind: 'network' }); },
+      complete: async () => { throw new Error('complete() should not be tried without a network'); }
+    });
+
+    const reply = await ai.generateResponseStream('where do you live', [], () => {});
+    assert.ok(reply.length > 0);
+    assert.strictEqual(ai.isAvailable, false);
+    assert.strictEqual(ai.unavailableReason, 'network');
+    assert.strictEqual(ai.lastOutcome.errorKind, 'network');
+    assert.strictEqual(ai.chooseRoute('always-ai', 'food', ai.isAvailable), 'curated');
+
+    up = true;
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.strictEqual(ai.isAvailable, true);
+    assert.strictEqual(ai.unavailableReason, null);
+    assert.strictEqual(JSON.stringify(changes), JSON.stringify([[false, 'network'], [true, null]]));
+  } finally {
+    console.error = originalError;
+    ai.cancelRecoveryCheck();
+  }
+});
+
+test('a rejected key takes the AI offline without re-testing', async () => {
+  const window = loadService();
+  window.setTimeout = setTimeout;
+  window.clearTimeout = clearTimeout;
+  const ai = createService('en', window);
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    ai.isAvailable = true;
+    ai.getProvider = () => ({
+      complete: async () => { throw new window.LLMRequestError('API request failed: 401', { kind: 'auth', status: 401 }); }
+    });
+    await ai.generateResponse('what do you eat');
+    assert.strictEqual(ai.isAvailable, false);
+    assert.strictEqual(ai.unavailableReason, 'auth');
+    assert.strictEqual(ai.recoveryTimer, null);
+
+    // Server errors that outlast the retries take it offline too
+    ai.isAvailable = true;
+    ai.getProvider = () => ({
+      stream: async () => { throw new window.LLMRequestError('API request failed: 502', { kind: 'server', status: 502 }); },
+      complete: async () => { throw new window.LLMRequestError('API request failed: 503', { kind: 'server', status: 503 }); }
+    });
+    ai.scheduleRecoveryCheck = () => {};
+    await ai.generateResponseStream('what do you eat', [], () => {});
+    assert.strictEqual(ai.unavailableReason, 'server');
+    assert.strictEqual(ai.lastOutcome.errors.length, 2);
+
+    // A bad request is the request's fault, not an outage
+    ai.isAvailable = true;
+    ai.getProvider = () => ({
+      complete: async () => { throw new window.LLMRequestError('API request failed: 400', { kind: 'bad_request', status: 400 }); }
+    });
+    await ai.generateResponse('what do you eat');
+    assert.strictEqual(ai.isAvailable, true);
+    assert.strictEqual(ai.lastOutcome.errorKind, 'bad_request');
+  } finally {
+    console.error = originalError;
+  }
+});
+
+test('a cancelled request returns what arrived and leaves the AI available', async () => {
+  const window = loadService();
+  const ai = createService('en', window);
+  ai.isAvailable = true;
+  const cancelled = partial => Object.assign(new window.LLMRequestError('API request cancelled', { kind: 'aborted' }), { partialContent: partial });
+  let seenSignal = null;
+  ai.getProvider = () => ({
+    complete: async (messages, options) => { seenSignal = options.signal; throw cancelled(''); },
+    stream: async () => { throw cancelled('I live on the '); }
+  });
+
+  const signal = { aborted: true };
+  assert.strictEqual(await ai.generateResponse('where do you live', [], { signal }), '');
+  assert.strictEqual(seenSignal, signal);
+  assert.strictEqual(ai.lastOutcome.source, 'cancelled');
+
+  assert.strictEqual(await ai.generateResponseStream('where do you live', [], () => {}, { signal }), 'I live on the');
+  assert.strictEqual(ai.lastOutcome.source, 'cancelled');
+  assert.ok(ai.lastOutcome.usage.completionTokens > 0);
+  assert.strictEqual(ai.isAvailable, true);
+});
+
+test('a cancel reaches the summary of earlier turns', async () => {
+  const window = loadService();
+  const ai = createService('en', window);
+  ai.isAvailable = true;
+  ai.historyWindow = 2;
+  const signals = [];
+  ai.getProvider = () => ({
+    complete: async (messages, options) => {
+      signals.push(options.signal);
+      throw new window.LLMRequestError('API request cancelled', { kind: 'aborted' });
+    }
+  });
+  const history = Array.from({ length: 12 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: `m${i + 1}` }));
+
+  const signal = { aborted: true };
+  assert.strictEqual(await ai.generateResponse('what do you eat', history, { signal }), '');
+  assert.strictEqual(signals.length, 1);
+  assert.strictEqual(signals[0], signal);
+  assert.strictEqual(ai.lastOutcome.source, 'cancelled');
+  assert.strictEqual(ai.rollingSummary, null);
+});
+
+test('the summary of earlier turns follows the branch being answered', async () => {
+  const ai = createService();
+  ai.historyWindow = 2;
+  const requests = [];
+  ai.getProvider = () => ({
+    complete: async messages => {
+      const transcript = messages[1].content;
+      requests.push(transcript);
+      return transcript.includes('A-m6') ? 'Summary with A-m6' : 'Summary with B-m6';
+    }
+  });
+  const history = (variant, id = `msg_${variant}`) => Array.from({ length: 12 }, (_, i) => ({
+    id: i === 5 ? id : `msg_${i + 1}`,
+    role: i % 2 ? 'assistant' : 'user',
+    content: i === 5 ? `${variant}-m6` : `m${i + 1}`
+  }));
+  const summaryOf = messages => messages.find(m => m.content.startsWith('Summary of the earlier')).content;
+
+  assert.match(summaryOf(await ai.buildMessageHistory(history('A'), 'next')), /A-m6/);
+  assert.match(summaryOf(await ai.buildMessageHistory(history('B'), 'next')), /B-m6/);
+  assert.strictEqual(requests.length, 2);
+
+  // Further turns on the same branch only fold in what is new
+  const longer = history('B').concat([{ id: 'msg_13', role: 'user', content: 'm13' }, { id: 'msg_14', role: 'assistant', content: 'm14' }]);
+  await ai.buildMessageHistory(longer, 'next');
+  assert.strictEqual(requests.length, 3);
+  assert.match(requests[2], /^Summary so far:\nSummary with B-m6\n\nNew turns:\nUser: m11\nAssistant: m12$/);
+
+  // A branch with the same text is still another message
+  const sameText = history('B', 'msg_other').concat(longer.slice(12));
+  await ai.buildMessageHistory(sameText, 'next');
+  assert.strictEqual(requests.length, 4);
+  assert.match(requests[3], /^Summary so far:\n\(empty\)/);
+});
+
+test('the prompt is sent once, after the turns before it', async () => {
+  const ai = createService();
+  ai.isAvailable = true;
+  let sent = null;
+  ai.getProvider = () => ({
+    complete: async messages => { sent = messages; return 'On the sea ice.'; }
+  });
+  const history = [
+    { role: 'user', content: 'hi' },
+    { role: 'assistant', content: 'Hello!' }
+  ];
+
+  await ai.generateResponse('where do you live', history);
+  const prompts = sent.filter(m => m.content === 'where do you live');
+  assert.strictEqual(prompts.length, 1);
+  assert.strictEqual(sent[sent.length - 1].content, 'where do you live');
+  assert.strictEqual(JSON.stringify(sent.slice(1, 3).map(m => m.content)), '["hi","Hello!"]');
+});
+
+test('a forgotten key stops the recovery checks and tells the listeners', async () => {
+  const window = loadService();
+  window.setTimeout = setTimeout;
+  window.clearTimeout = clearTimeout;
+  const ai = createService('en', window);
+  ai.recoveryDelays = { baseMs: 5, maxMs: 5 };
+  ai.testConnection = async () => true;
+  const changes = [];
+  ai.onAvailabilityChange((available, reason) => changes.push([available, reason]));
+
+  ai.isAvailable = true;
+  ai.setAvailability(false, 'server');
+  assert.ok(ai.recoveryTimer);
+  ai.setAvailability(false, 'no_key');
+  assert.strictEqual(ai.recoveryTimer, null);
+
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.strictEqual(ai.isAvailable, false);
+  assert.strictEqual(JSON.stringify(changes), JSON.stringify([[false, 'server'], [false, 'no_key']]));
+});
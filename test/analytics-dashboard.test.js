@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/browser');
+
+function createDashboard() {
+  const window = loadScripts(['js/analytics-dashboard.js']);
+  return new window.AnalyticsDashboard();
+}
+
+// ISO timestamp of a local date and hour, so day grouping does not depend on the time zone
+const at = (day, hour = 12) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date, hour).toISOString();
+};
+
+const message = (day, data, sessionId = 's1') => ({
+  type: 'message_sent',
+  timestamp: at(day),
+  sessionId,
+  data: { userMessage: 'hi', ...data }
+});
+
+test('counts messages per day with empty days filled in', () => {
+  const dashboard = createDashboard();
+  const events = [message('2026-03-01', {}), message('2026-03-01', {}), message('2026-03-03', {})];
+  const { days } = dashboard.summarize(events, [], { from: '2026-02-28', to: '2026-03-03' });
+  assert.strictEqual(JSON.stringify(days.map(day => [day.date, day.count])), JSON.stringify([
+    ['2026-02-28', 0], ['2026-03-01', 2], ['2026-03-02', 0], ['2026-03-03', 1]
+  ]));
+});
+
+test('an open range runs from the first to the last message', () => {
+  const dashboard = createDashboard();
+  const events = [message('2026-03-05', {}), message('2026-03-02', {})];
+  const { days } = dashboard.summarize(events);
+  assert.strictEqual(days.length, 4);
+  assert.strictEqual(days[0].date, '2026-03-02');
+  assert.strictEqual(days[3].date, '2026-03-05');
+  assert.strictEqual(dashboard.summarize([]).days.length, 0);
+});
+
+test('leaves out events outside the range, including the whole last day', () => {
+  const dashboard = createDashboard();
+  const events = [
+    message('2026-03-01', {}),
+    { ...message('2026-03-02', {}), timestamp: at('2026-03-02', 23) },
+    message('2026-03-03', {})
+  ];
+  const summary = dashboard.summarize(events, [], { from: '2026-03-02', to: '2026-03-02' });
+  assert.strictEqual(summary.messages, 1);
+});
+
+test('splits replies by route and classifies messages without a topic', () => {
+  const dashboard = createDashboard();
+  const events = [
+    message('2026-03-01', { route: 'ai', topic: 'food' }),
+    message('2026-03-01', { route: 'grounded', topic: 'food' }),
+    message('2026-03-01', { route: 'curated', topic: null }),
+    message('2026-03-01', { aiMode: true, userMessage: 'where do you live' }),
+    message('2026-03-01', { aiMode: false, userMessage: 'what do you eat' })
+  ];
+  const summary = dashboard.summarize(events, [], {}, text => (text.includes('live') ? 'location' : 'food'));
+  const routes = Object.fromEntries(summary.routes.map(route => [route.key, route.count]));
+  assert.strictEqual(routes.ai, 2);
+  assert.strictEqual(routes.grounded, 1);
+  assert.strictEqual(routes.curated, 2);
+  assert.strictEqual(summary.topics[0].key, 'food');
+  assert.strictEqual(summary.topics[0].count, 3);
+  const topics = Object.fromEntries(summary.topics.map(topic => [topic.key, topic.count]));
+  assert.strictEqual(topics.location, 1);
+  assert.strictEqual(topics.general, 1);
+});
+
+test('averages the recorded response latency and counts sessions', () => {
+  const dashboard = createDashboard();
+  const events = [
+    message('2026-03-01', { latencyMs: 1000 }, 'a'),
+    message('2026-03-01', { latencyMs: 3000 }, 'b'),
+    message('2026-03-01', {}, 'b'),
+    { type: 'intake_completed', timestamp: at('2026-03-01'), sessionId: 'c', data: {} }
+  ];
+  const summary = dashboard.summarize(events);
+  assert.strictEqual(summary.averageLatency, 2000);
+  assert.strictEqual(summary.sessions, 3);
+  assert.strictEqual(summary.messages, 3);
+  assert.strictEqual(dashboard.summarize([message('2026-03-01', {})]).averageLatency, null);
+});
+
+test('an AI-routed reply that fell back counts as curated', () => {
+  const dashboard = createDashboard();
+  const fallback = (day, hour, sessionId) => ({ type: 'fallback_used', timestamp: at(day, hour), sessionId, data: { reason: 'error' } });
+  const events = [
+    message('2026-03-01', { route: 'ai', source: 'fallback' }),
+    message('2026-03-01', { route: 'grounded', source: 'grounded' }),
+    message('2026-03-01', { route: 'ai', source: 'partial' }),
+    // Older events without a source: the fallback_used that follows in the same session
+    { ...message('2026-03-02', { route: 'ai' }, 'a'), timestamp: at('2026-03-02', 9) },
+    fallback('2026-03-02', 10, 'a'),
+    { ...message('2026-03-02', { route: 'ai' }, 'a'), timestamp: at('2026-03-02', 11) },
+    { ...message('2026-03-02', { route: 'ai' }, 'b'), timestamp: at('2026-03-02', 9) }
+  ];
+  const routes = Object.fromEntries(dashboard.summarize(events).routes.map(route => [route.key, route.count]));
+  assert.strictEqual(routes.ai, 3);
+  assert.strictEqual(routes.grounded, 1);
+  assert.strictEqual(routes.curated, 2);
+});
+
+test('section coverage uses the latest blueprint of each conversation', () => {
+  const dashboard = createDashboard();
+  const blueprints = [
+    { id: 'b1', conversationId: 'c1', createdAt: at('2026-03-01', 9), sections: { identity: ['Polar'], diet: [] } },
+    { id: 'b2', conversationId: 'c1', createdAt: at('2026-03-01', 10), sections: { identity: ['Polar'], diet: ['Seals'] } },
+    { id: 'b3', conversationId: 'c2', createdAt: at('2026-03-02'), sections: { identity: ['Frost'] } },
+    { id: 'b4', conversationId: 'c3', createdAt: at('2026-04-01'), sections: { identity: ['Later'] } }
+  ];
+  const summary = dashboard.summarize([], blueprints, { from: '2026-03-01', to: '2026-03-31' });
+  const sections = Object.fromEntries(summary.sections.map(section => [section.key, section.share]));
+  assert.strictEqual(summary.blueprints, 2);
+  assert.strictEqual(sections.identity, 1);
+  assert.strictEqual(sections.diet, 0.5);
+  assert.strictEqual(sections.future, 0);
+});
+
+test('getRecentRange and getBounds cover whole local days', () => {
+  const dashboard = createDashboard();
+  const range = dashboard.getRecentRange(7, new Date(2026, 2, 10, 15));
+  assert.strictEqual(range.from, '2026-03-04');
+  assert.strictEqual(range.to, '2026-03-10');
+
+  const { lower, upper } = dashboard.getBounds(range);
+  assert.strictEqual(lower, new Date(2026, 2, 4).toISOString());
+  assert.strictEqual(upper, new Date(2026, 2, 11).toISOString());
+  assert.deepStrictEqual({ ...dashboard.getBounds({}) }, { lower: null, upper: null });
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/browser');
+
+// Tracker over an in-memory stand-in for DatabaseManager's analytics calls
+function createTracker() {
+  const window = loadScripts(['js/analytics-tracker.js']);
+  const session = new Map();
+  window.sessionStorage = {
+    getItem: key => (session.has(key) ? session.get(key) : null),
+    setItem: (key, value) => session.set(key, String(value))
+  };
+  const db = {
+    saved: [],
+    deletedBefore: null,
+    async saveAnalytics(type, data) {
+      this.saved.push({ type, data });
+    },
+    async deleteAnalyticsBefore(before) {
+      this.deletedBefore = before;
+      return 2;
+    }
+  };
+  return { tracker: new window.AnalyticsTracker(db), db };
+}
+
+test('keeps only the fields of the event type', () => {
+  const { tracker } = createTracker();
+  const event = tracker.buildEvent('language_changed', { from: 'en', to: 'fr', userMessage: 'hi', extra: 1 });
+  assert.deepStrictEqual({ ...event }, { from: 'en', to: 'fr' });
+});
+
+test('privacy mode stores metadata without message text', () => {
+  const { tracker } = createTracker();
+  const data = { route: 'ai', topic: 'food', messageLength: 14, userMessage: 'what do you eat', botResponse: 'Seals!' };
+
+  const full = tracker.buildEvent('message_sent', data);
+  assert.strictEqual(full.userMessage, 'what do you eat');
+  assert.strictEqual(full.botResponse, 'Seals!');
+
+  tracker.configure({ privacyMode: true });
+  const metadata = tracker.buildEvent('message_sent', data);
+  assert.deepStrictEqual({ ...metadata }, { route: 'ai', topic: 'food', messageLength: 14 });
+});
+
+test('rejects unknown event types without breaking the caller', async () => {
+  const { tracker, db } = createTracker();
+  assert.throws(() => tracker.buildEvent('page_view', {}), /Unknown analytics event type/);
+
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    await tracker.track('page_view', {});
+  } finally {
+    console.error = originalError;
+  }
+  assert.strictEqual(db.saved.length, 0);
+
+  await tracker.track('voice_used', { lang: 'de', messageLength: 12 });
+  assert.strictEqual(db.saved.length, 1);
+  assert.strictEqual(db.saved[0].type, 'voice_used');
+});
+
+test('records session_start once per browser session', async () => {
+  const { tracker, db } = createTracker();
+  assert.strictEqual(await tracker.startSession({ lang: 'en' }), true);
+  assert.strictEqual(await tracker.startSession({ lang: 'en' }), false);
+  assert.strictEqual(db.saved.filter(event => event.type === 'session_start').length, 1);
+});
+
+test('prunes events older than the retention period', async () => {
+  const { tracker, db } = createTracker();
+  const now = new Date('2026-03-31T12:00:00.000Z');
+
+  assert.strictEqual(await tracker.prune(now), 0);
+  assert.strictEqual(db.deletedBefore, null);
+
+  tracker.configure({ retentionDays: '30' });
+  assert.strictEqual(tracker.retentionDays, 30);
+  assert.strictEqual(await tracker.prune(now), 2);
+  assert.strictEqual(db.deletedBefore, '2026-03-01T12:00:00.000Z');
+
+  tracker.configure({ retentionDays: 'forever' });
+  assert.strictEqual(tracker.retentionDays, 0);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/browser');
+
+const window = loadScripts(['js/conversation-tree.js', 'js/database.js', 'js/conversation-exporter.js']);
+const { ConversationTree } = window;
+
+const contents = messages => JSON.stringify(messages.map(message => message.content));
+
+// Q1 → A1 → Q2 → A2, then Q2 edited to Q2' and answered with A2'
+function editedTree() {
+  const tree = ConversationTree.fromMessages([
+    { role: 'user', content: 'Q1' },
+    { role: 'assistant', content: 'A1' },
+    { role: 'user', content: 'Q2' },
+    { role: 'assistant', content: 'A2' }
+  ]);
+  tree.branch('msg_3', { role: 'user', content: "Q2'" });
+  tree.append({ role: 'assistant', content: "A2'" });
+  return tree;
+}
+
+test('a flat message list becomes a linear tree with stable ids', () => {
+  const tree = ConversationTree.fromMessages([
+    { role: 'user', content: 'Q1' },
+    { role: 'assistant', content: 'A1' }
+  ]);
+  assert.strictEqual(JSON.stringify(tree.nodes.map(node => [node.id, node.parentId])), '[["msg_1",null],["msg_2","msg_1"]]');
+  assert.strictEqual(contents(tree.getActivePath()), '["Q1","A1"]');
+  assert.strictEqual(tree.getBranches().length, 0);
+});
+
+test('editing a message forks a new active branch and keeps the old one', () => {
+  const tree = editedTree();
+  assert.strictEqual(contents(tree.getActivePath()), `["Q1","A1","Q2'","A2'"]`);
+
+  const edited = tree.getActivePath()[2];
+  assert.strictEqual(JSON.stringify(tree.getBranchInfo(edited.id)), '{"index":1,"count":2}');
+
+  const branches = tree.getBranches();
+  assert.strictEqual(branches.length, 1);
+  assert.strictEqual(branches[0].forkIndex, 2);
+  assert.strictEqual(contents(branches[0].messages), '["Q2","A2"]');
+});
+
+test('switching branches keeps the choices made further down each branch', () => {
+  const tree = editedTree();
+  const edited = tree.getActivePath()[2];
+  tree.branch(tree.getActivePath()[3].id, { role: 'assistant', content: "A2''" });
+  assert.strictEqual(contents(tree.getActivePath()), `["Q1","A1","Q2'","A2''"]`);
+
+  assert.strictEqual(tree.selectSibling(edited.id, -1).content, 'Q2');
+  assert.strictEqual(contents(tree.getActivePath()), '["Q1","A1","Q2","A2"]');
+  assert.strictEqual(tree.selectSibling('msg_3', -1), null);
+
+  tree.selectSibling('msg_3', 1);
+  assert.strictEqual(contents(tree.getActivePath()), `["Q1","A1","Q2'","A2''"]`);
+});
+
+test('a stored tree survives a round trip; a broken one falls back to the messages', () => {
+  const stored = JSON.parse(JSON.stringify(editedTree()));
+  const restored = ConversationTree.fromConversation({ tree: stored });
+  assert.strictEqual(contents(restored.getActivePath()), `["Q1","A1","Q2'","A2'"]`);
+
+  const broken = {
+    tree: { nodes: [{ id: 'a', parentId: 'missing', content: 'lost' }] },
+    messages: [{ id: 'old', role: 'user', content: 'Q1' }]
+  };
+  const rebuilt = ConversationTree.fromConversation(broken);
+  assert.strictEqual(contents(rebuilt.getActivePath()), '["Q1"]');
+  assert.strictEqual(rebuilt.nodes[0].id, 'msg_1');
+});
+
+test('DatabaseManager stores a tree and keeps messages on the active branch', () => {
+  const db = new window.DatabaseManager();
+  const legacy = db.normalizeConversation({ id: 'c1', messages: [{ role: 'user', content: 'Q1' }] });
+  assert.strictEqual(legacy.tree.nodes.length, 1);
+  assert.strictEqual(contents(legacy.messages), '["Q1"]');
+
+  const branched = db.normalizeConversation({ id: 'c2', messages: [], tree: JSON.parse(JSON.stringify(editedTree())) });
+  assert.strictEqual(contents(branched.messages), `["Q1","A1","Q2'","A2'"]`);
+  assert.strictEqual(branched.tree.nodes.length, 6);
+});
+
+test('exports list the other branches after the transcript', () => {
+  const tree = editedTree();
+  const conversation = { title: 'Bears', messages: tree.getActivePath(), tree: tree.toJSON() };
+  const exporter = new window.ConversationExporter();
+
+  const markdown = exporter.toMarkdown(conversation, null);
+  assert.match(markdown, /## Other branches\n\n### Branch 2 — edited from message 3\n\n\*\*You\*\*: Q2\n\n\*\*Polar\*\*: A2/);
+
+  const csv = exporter.toCsv(conversation, null);
+  assert.match(csv, /,branch-2:user,Q2\r\n,branch-2:assistant,A2\r\n/);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/browser');
+
+const window = loadScripts(['js/conversation-tree.js', 'js/database.js']);
+
+const snapshot = (id, timestamp, contents, extra = {}) => ({
+  id,
+  sessionId: 'session_1',
+  timestamp,
+  messages: contents.map((content, i) => ({ role: i % 2 ? 'assistant' : 'user', content })),
+  ...extra
+});
+
+test('collapses the snapshots of a conversation into its latest one', () => {
+  const db = new window.DatabaseManager();
+  const conversations = db.collapseConversationSnapshots([
+    snapshot(2, '2025-01-01T10:01:00Z', ['Q1', 'A1', 'Q2', 'A2']),
+    snapshot(1, '2025-01-01T10:00:00Z', ['Q1', 'A1'])
+  ]);
+  assert.strictEqual(conversations.length, 1);
+  assert.strictEqual(conversations[0].id, 'session_1');
+  assert.strictEqual(conversations[0].messages.length, 4);
+  assert.strictEqual(conversations[0].createdAt, '2025-01-01T10:00:00Z');
+});
+
+test('keeps every conversation started with New chat in one session', () => {
+  const db = new window.DatabaseManager();
+  const conversations = db.collapseConversationSnapshots([
+    snapshot(1, '2025-01-01T10:00:00Z', ['Q1', 'A1']),
+    snapshot(2, '2025-01-01T10:01:00Z', ['Q1', 'A1', 'Q2', 'A2']),
+    snapshot(3, '2025-01-01T11:00:00Z', ['Other', 'Reply']),
+    snapshot(4, '2025-01-01T11:01:00Z', ['Other', 'Reply', 'More', 'Reply 2'])
+  ]);
+  assert.strictEqual(JSON.stringify(conversations.map(c => [c.id, c.createdAt, c.messages.length])), JSON.stringify([
+    ['session_1', '2025-01-01T10:00:00Z', 4],
+    ['session_1_2', '2025-01-01T11:00:00Z', 4]
+  ]));
+});
+
+test('1.0 imports keep the conversations of a shared session', () => {
+  const db = new window.DatabaseManager();
+  const { conversations } = db.parseImportData({
+    version: '1.0',
+    conversations: [
+      snapshot(1, '2025-01-01T10:00:00Z', ['Q1', 'A1']),
+      snapshot(2, '2025-01-01T11:00:00Z', ['Other', 'Reply'])
+    ]
+  });
+  assert.strictEqual(conversations.length, 2);
+  assert.strictEqual(conversations[1].messages[0].content, 'Other');
+});
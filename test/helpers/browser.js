@@ -0,0 +1,34 @@
+/**
+ * Runs the app's browser scripts in a Node VM context with the few globals
+ * they read at load time (window, localStorage, document.documentElement).
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..', '..');
+const languagePacks = ['js/language-packs.js', 'lang/en.js', 'lang/es.js', 'lang/fr.js', 'lang/de.js'];
+
+function loadScripts(files, { lang = 'en' } = {}) {
+  const storage = new Map([['polar.lang', lang]]);
+  const context = {
+    console,
+    localStorage: {
+      getItem: key => (storage.has(key) ? storage.get(key) : null),
+      setItem: (key, value) => storage.set(key, String(value)),
+      removeItem: key => storage.delete(key)
+    },
+    document: {
+      documentElement: { getAttribute: () => lang }
+    }
+  };
+  context.window = context;
+  vm.createContext(context);
+
+  languagePacks.concat(files).forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), context, { filename: file });
+  });
+  return context;
+}
+
+module.exports = { loadScripts };
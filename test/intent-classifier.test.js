@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/browser');
+const corpus = require('./intent-corpus.json');
+
+// Share of the held-out corpus each language must classify correctly
+const minAccuracy = 0.85;
+
+function createService(lang = 'en') {
+  const window = loadScripts(['js/llm-providers.js', 'js/context-window.js', 'js/intent-classifier.js', 'js/ai-service.js'], { lang });
+  return { ai: new window.AIService(), packs: window.LanguagePacks };
+}
+
+for (const lang of Array.from(new Set(corpus.map(example => example.lang)))) {
+  test(`classifies the ${lang} corpus`, t => {
+    const { ai } = createService(lang);
+    const examples = corpus.filter(example => example.lang === lang);
+    const errors = [];
+    examples.forEach(({ text, intent }) => {
+      const result = ai.classifyIntent(text);
+      if (result.intent !== intent) {
+        errors.push(`"${text}": expected ${intent}, got ${result.intent} (${result.confidence.toFixed(2)})`);
+      }
+    });
+
+    const accuracy = 1 - errors.length / examples.length;
+    t.diagnostic(`${lang} accuracy ${(accuracy * 100).toFixed(1)}% (${examples.length - errors.length}/${examples.length})`);
+    errors.forEach(error => t.diagnostic(`miss ${error}`));
+    assert.ok(accuracy >= minAccuracy, `${lang} accuracy ${accuracy.toFixed(3)} is below ${minAccuracy}`);
+  });
+}
+
+test('ranks every intent with confidences that sum to 1', () => {
+  const { ai, packs } = createService();
+  const { intent, confidence, ranked } = ai.classifyIntent('what do you eat');
+  assert.strictEqual(intent, 'food');
+  assert.strictEqual(ranked[0].intent, 'food');
+  assert.strictEqual(ranked[0].confidence, confidence);
+  assert.strictEqual(ranked.length, Object.keys(packs.getIntentExamples('en')).length);
+  ranked.slice(1).forEach((entry, i) => assert.ok(entry.confidence <= ranked[i].confidence));
+  const total = ranked.reduce((sum, entry) => sum + entry.confidence, 0);
+  assert.ok(Math.abs(total - 1) < 1e-9);
+});
+
+test('reports no confident match for unknown or ambiguous input', () => {
+  const { ai } = createService();
+  for (const text of ['', 'zzzz qqqq', 'how', 'can', 'from']) {
+    assert.strictEqual(ai.detectTopic(text), null, text);
+  }
+  assert.strictEqual(ai.classifyIntent('zzzz qqqq').ranked.length, 0);
+});
+
+test('matches misspelled words to known ones', () => {
+  const { ai } = createService();
+  assert.strictEqual(ai.detectTopic('wher do you liv'), 'location');
+  assert.strictEqual(ai.detectTopic('what is your favourit fod'), 'food');
+});
+
+test('understands English questions in other languages', () => {
+  assert.strictEqual(createService('de').ai.detectTopic('what do you eat'), 'food');
+  assert.strictEqual(createService('fr').ai.detectTopic('Que manges-tu ?'), 'food');
+});
+
+test('leaves the language pack data unchanged', () => {
+  const { ai, packs } = createService();
+  const before = JSON.stringify(packs.get('en').intentExamples);
+  ai.detectTopic('what is your name');
+  ai.detectTopic('where do you live');
+  assert.strictEqual(JSON.stringify(packs.get('en').intentExamples), before);
+});
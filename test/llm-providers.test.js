@@ -0,0 +1,190 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/browser');
+
+// Providers over a scripted fetch; each reply is a response object, an Error to throw, or 'hang'
+function createProviders(replies) {
+  const window = loadScripts(['js/llm-providers.js']);
+  window.setTimeout = setTimeout;
+  window.clearTimeout = clearTimeout;
+  window.AbortController = AbortController;
+  window.calls = 0;
+  window.fetch = (url, init) => {
+    const reply = replies[Math.min(window.calls++, replies.length - 1)];
+    if (reply === 'hang') {
+      return new Promise((_, reject) => {
+        init.signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+      });
+    }
+    return reply instanceof Error ? Promise.reject(reply) : Promise.resolve(reply);
+  };
+  return window;
+}
+
+const respond = (status, body = '', headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: name => headers[name.toLowerCase()] ?? null },
+  text: async () => body,
+  json: async () => JSON.parse(body)
+});
+
+const completion = respond(200, JSON.stringify({ choices: [{ message: { content: ' Brrr. ' } }] }));
+
+function recordSleeps() {
+  const delays = [];
+  return { delays, sleep: async ms => { delays.push(ms); } };
+}
+
+test('retries server errors with exponential backoff', async () => {
+  const window = createProviders([respond(503), respond(502), completion]);
+  const { delays, sleep } = recordSleeps();
+  const response = await window.fetchWithRetry('https://api.test/chat', {}, { sleep, baseDelayMs: 100 });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(window.calls, 3);
+  assert.ok(delays[0] >= 50 && delays[0] <= 100);
+  assert.ok(delays[1] >= 100 && delays[1] <= 200);
+});
+
+test('waits as long as Retry-After asks', async () => {
+  const window = createProviders([respond(429, 'slow down', { 'retry-after': '3' }), completion]);
+  const { delays, sleep } = recordSleeps();
+  await window.fetchWithRetry('https://api.test/chat', {}, { sleep });
+  assert.strictEqual(JSON.stringify(delays), '[3000]');
+
+  const now = Date.parse('2026-03-01T12:00:00Z');
+  assert.strictEqual(window.parseRetryAfter('Sun, 01 Mar 2026 12:00:05 GMT', now), 5000);
+  assert.strictEqual(window.parseRetryAfter('soon', now), null);
+});
+
+test('gives up at once on a Retry-After longer than the limit', async () => {
+  const window = createProviders([respond(429, '', { 'retry-after': '120' }), completion]);
+  const { delays, sleep } = recordSleeps();
+  await assert.rejects(window.fetchWithRetry('https://api.test/chat', {}, { sleep }), error => {
+    assert.strictEqual(error.kind, 'rate_limit');
+    assert.strictEqual(error.retryAfterMs, 120000);
+    return true;
+  });
+  assert.strictEqual(window.calls, 1);
+  assert.strictEqual(delays.length, 0);
+});
+
+test('classifies failures and does not retry the ones that would fail again', async () => {
+  const cases = [
+    [respond(401), 'auth'],
+    [respond(403), 'auth'],
+    [respond(402), 'quota'],
+    [respond(429, '{"error":{"message":"You exceeded your current quota"}}'), 'quota'],
+    [respond(404), 'bad_request']
+  ];
+  for (const [reply, kind] of cases) {
+    const window = createProviders([reply, completion]);
+    await assert.rejects(window.fetchWithRetry('https://api.test/chat', {}, recordSleeps()), error => {
+      assert.strictEqual(error.name, 'LLMRequestError');
+      assert.strictEqual(error.kind, kind);
+      assert.strictEqual(error.retryable, false);
+      return true;
+    });
+    assert.strictEqual(window.calls, 1, kind);
+  }
+});
+
+test('network failures are retried, then reported', async () => {
+  const window = createProviders([new TypeError('Failed to fetch')]);
+  await assert.rejects(window.fetchWithRetry('https://api.test/chat', {}, { ...recordSleeps(), retries: 2 }), error => {
+    assert.strictEqual(error.kind, 'network');
+    return true;
+  });
+  assert.strictEqual(window.calls, 3);
+});
+
+test('aborts an attempt that takes longer than the timeout', async () => {
+  const window = createProviders(['hang', completion]);
+  const response = await window.fetchWithRetry('https://api.test/chat', {}, { ...recordSleeps(), timeoutMs: 20 });
+  assert.strictEqual(response.status, 200);
+
+  const stalled = createProviders(['hang']);
+  await assert.rejects(stalled.fetchWithRetry('https://api.test/chat', {}, { ...recordSleeps(), timeoutMs: 20, retries: 0 }), error => {
+    assert.strictEqual(error.kind, 'timeout');
+    return true;
+  });
+});
+
+test('a cancelled request is not retried', async () => {
+  const window = createProviders(['hang']);
+  const controller = new AbortController();
+  const request = window.fetchWithRetry('https://api.test/chat', {}, { ...recordSleeps(), signal: controller.signal });
+  controller.abort();
+  await assert.rejects(request, error => {
+    assert.strictEqual(error.kind, 'aborted');
+    return true;
+  });
+  assert.strictEqual(window.calls, 1);
+});
+
+test('a cancel while waiting to retry ends the wait', async () => {
+  const window = createProviders([respond(429, '', { 'retry-after': '10' }), completion]);
+  const controller = new AbortController();
+  const started = Date.now();
+  const request = window.fetchWithRetry('https://api.test/chat', {}, { signal: controller.signal });
+  setTimeout(() => controller.abort(), 20);
+  await assert.rejects(request, error => {
+    assert.strictEqual(error.kind, 'aborted');
+    return true;
+  });
+  assert.ok(Date.now() - started < 1000);
+  assert.strictEqual(window.calls, 1);
+});
+
+test('providers send requests through the retry policy', async () => {
+  const window = createProviders([respond(500), completion]);
+  const provider = window.LLMProviders.create('openai', {
+    apiKey: 'sk-test',
+    requestOptions: { baseDelayMs: 1 }
+  });
+  assert.strictEqual(await provider.complete([{ role: 'user', content: 'hi' }]), 'Brrr.');
+  assert.strictEqual(window.calls, 2);
+});
+
+test('stopping a stream keeps the text received so far', async () => {
+  const window = createProviders([]);
+  window.TextDecoder = TextDecoder;
+  const chunk = 'data: {"choices":[{"delta":{"content":"Brrr, "}}]}\n';
+  window.fetch = async (url, init) => {
+    let sent = false;
+    return {
+      ok: true,
+      status: 200,
+      body: {
+        getReader: () => ({
+          read: () => {
+            if (!sent) {
+              sent = true;
+              return Promise.resolve({ done: false, value: new TextEncoder().encode(chunk) });
+            }
+            return new Promise((_, reject) => {
+              const fail = () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' }));
+              if (init.signal.aborted) fail();
+              init.signal.addEventListener('abort', fail);
+            });
+          },
+          cancel: async () => {}
+        })
+      }
+    };
+  };
+
+  const provider = window.LLMProviders.create('openai', { apiKey: 'sk-test' });
+  const controller = new AbortController();
+  const tokens = [];
+  const request = provider.stream([{ role: 'user', content: 'hi' }], { signal: controller.signal }, delta => {
+    tokens.push(delta);
+    controller.abort();
+  });
+  await assert.rejects(request, error => {
+    assert.strictEqual(error.kind, 'aborted');
+    assert.strictEqual(error.partialContent, 'Brrr, ');
+    return true;
+  });
+  assert.strictEqual(tokens.length, 1);
+});